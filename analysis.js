@@ -0,0 +1,855 @@
+/**
+ * AnyScope - Frame Analysis Core
+ * DOM-free scope math: turns any RGBA buffer into the data each scope displays.
+ * Safe to import in browsers, workers and Node (no canvas required).
+ *
+ * Scope data is accumulated in a single pass straight into preallocated
+ * Uint32Array density grids at scope resolution, so a frame costs no
+ * per-pixel allocations and renderers only have to colorize the grids.
+ */
+
+import { getColorSpace } from './color.js';
+import { brushBand, brushWedge, isInWedge } from './brush.js';
+
+// Target number of vectorscope samples per frame
+const VECTORSCOPE_SAMPLE_TARGET = 50000;
+
+// Space between the vectorscope's outer circle and the canvas edge, in pixels
+export const VECTORSCOPE_MARGIN = 20;
+
+// Scope resolutions matching the default canvases in index.html
+export const DEFAULT_LAYOUT = {
+    waveform: { width: 512, height: 256 },
+    parade: { width: 512, height: 256 },
+    vectorscope: { size: 300 }
+};
+
+// Waveform display modes and the grids each one fills
+export const WAVEFORM_MODES = {
+    luma: 'Luma',                    // density: luma per column
+    rgb: 'RGB Overlay',              // r, g, b: each channel per column, full width
+    ycbcr: 'YCbCr Parade',           // y, cb, cr: side by side in parade layout
+    lumaChroma: 'Luma + Chroma'      // density plus chroma: luma ± chroma amplitude
+};
+
+// Broadcast-safe limits: luma and RGB in 8-bit code values (RGB per EBU R103's
+// -5%..105% gamut tolerance), chroma as a percentage of the vectorscope's outer circle
+export const DEFAULT_LEGAL_LIMITS = {
+    lumaMin: 16,
+    lumaMax: 235,
+    chromaMax: 100,
+    rgbMin: 5,
+    rgbMax: 246
+};
+
+// Bits set in the legal mask for each kind of violation
+export const LEGAL_LUMA = 1;
+export const LEGAL_CHROMA = 2;
+export const LEGAL_RGB = 4;
+
+// Levels a waveform or parade brush selects a source column's pixels by
+const BRUSH_LUMA = 1;
+const BRUSH_R = 2;
+const BRUSH_G = 4;
+const BRUSH_B = 8;
+const BRUSH_CB = 16;
+const BRUSH_CR = 32;
+const BRUSH_CHROMA = 64; // Either end of the luma ± chroma amplitude envelope
+
+/**
+ * Get the vectorscope's outer circle radius for a canvas size
+ * @param {number} size - Vectorscope width/height in pixels
+ * @returns {number}
+ */
+export function vectorscopeRadius(size) {
+    return (size / 2) - VECTORSCOPE_MARGIN;
+}
+
+/**
+ * Build a lookup from 8-bit level to grid row (0 at the top, 255 at the bottom row 0)
+ * @param {number} height - Grid height
+ * @returns {Int32Array}
+ */
+function levelRows(height) {
+    const rows = new Int32Array(256);
+    for (let v = 0; v < 256; v++) {
+        rows[v] = Math.floor(height - 1 - (v / 255) * (height - 1));
+    }
+    return rows;
+}
+
+/**
+ * Round a code value and clamp it to 0-255
+ * @param {number} value
+ * @returns {number}
+ */
+function clampCode(value) {
+    return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+}
+
+/**
+ * Find the median level of a histogram
+ * @param {Uint32Array} bins - Count per level
+ * @param {number} count - Total of all bins
+ * @returns {number} Lowest level at or below which half of the values lie (0 for an empty histogram)
+ */
+function histogramMedian(bins, count) {
+    const half = count / 2;
+    let cumulative = 0;
+    for (let level = 0; level < bins.length; level++) {
+        cumulative += bins[level];
+        if (cumulative >= half && cumulative > 0) return level;
+    }
+    return 0;
+}
+
+/**
+ * Build a lookup from source column to parade grid column, -1 marking columns
+ * past the last whole third (each parade column stands for three source columns)
+ * @param {number} width - Source width
+ * @param {number} channelWidth - Width of one parade channel in the grid
+ * @returns {Int32Array}
+ */
+function paradeColumnLookup(width, channelWidth) {
+    const columns = new Int32Array(width);
+    const paradeSourceWidth = Math.floor(width / 3);
+    for (let x = 0; x < width; x++) {
+        const paradeX = Math.floor(x / 3);
+        columns[x] = paradeX < paradeSourceWidth
+            ? Math.floor((paradeX / paradeSourceWidth) * channelWidth)
+            : -1;
+    }
+    return columns;
+}
+
+/**
+ * Tell a color space (see getColorSpace) from an options object
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isColorSpace(value) {
+    return typeof value.kr === 'number' && typeof value.black === 'number';
+}
+
+/**
+ * Single-pass frame analyzer with reusable buffers.
+ * The grids returned by analyze() are overwritten by the next call.
+ */
+export class FrameAnalyzer {
+    /**
+     * @param {object} [layout=DEFAULT_LAYOUT] - Scope resolutions:
+     *   { waveform: { width, height }, parade: { width, height }, vectorscope: { size } }
+     * @param {object} [options]
+     * @param {object} [options.colorSpace] - Result of getColorSpace (defaults to full-range Rec. 709)
+     * @param {string} [options.waveformMode='luma'] - Key of WAVEFORM_MODES
+     * @param {object|null} [options.legalLimits=null] - Broadcast-safe limits to check
+     *   (see DEFAULT_LEGAL_LIMITS), or null to skip the check
+     * @param {boolean} [options.lumaMap=false] - Also return the luma code value of every pixel
+     * @param {number} [options.vectorscopeZoom=1] - Vectorscope magnification (see setVectorscopeZoom)
+     * @param {boolean} [options.vectorscopeColors=false] - Also sum the source colors of vectorscope points
+     * @param {object|null} [options.brush=null] - Scope selection to highlight (see setBrush)
+     * @param {string} [positionalWaveformMode='luma'] - Waveform mode of the earlier positional
+     *   form (layout, colorSpace, waveformMode), which is still accepted
+     */
+    constructor(layout = DEFAULT_LAYOUT, options = {}, positionalWaveformMode = 'luma') {
+        const {
+            colorSpace = getColorSpace(),
+            waveformMode = 'luma',
+            legalLimits = null,
+            lumaMap = false,
+            vectorscopeZoom = 1,
+            vectorscopeColors = false,
+            brush = null
+        } = isColorSpace(options) ? { colorSpace: options, waveformMode: positionalWaveformMode } : options;
+        
+        const { waveform, parade, vectorscope } = layout;
+        for (const [name, size] of [['waveform', waveform], ['parade', parade]]) {
+            if (!(size.width > 0 && size.height > 0)) {
+                throw new RangeError(`Invalid ${name} size ${size.width}×${size.height}`);
+            }
+        }
+        if (!(vectorscope.size > 2 * VECTORSCOPE_MARGIN)) {
+            throw new RangeError(`Invalid vectorscope size ${vectorscope.size}`);
+        }
+        
+        // Mode-specific grids are allocated on first use by setWaveformMode
+        this.waveform = {
+            mode: 'luma',
+            width: waveform.width,
+            height: waveform.height,
+            channelWidth: Math.floor(waveform.width / 3),
+            density: new Uint32Array(waveform.width * waveform.height),
+            r: null,
+            g: null,
+            b: null,
+            y: null,
+            cb: null,
+            cr: null,
+            chroma: null
+        };
+        
+        // Each parade channel gets a third of the width
+        const channelWidth = Math.floor(parade.width / 3);
+        this.parade = {
+            width: channelWidth,
+            height: parade.height,
+            r: new Uint32Array(channelWidth * parade.height),
+            g: new Uint32Array(channelWidth * parade.height),
+            b: new Uint32Array(channelWidth * parade.height)
+        };
+        
+        // r, g and b sum the source colors plotted at each point, when enabled
+        this.vectorscope = {
+            size: vectorscope.size,
+            radius: vectorscopeRadius(vectorscope.size),
+            zoom: 1,
+            density: new Uint32Array(vectorscope.size * vectorscope.size),
+            r: null,
+            g: null,
+            b: null
+        };
+        
+        this.histogram = {
+            r: new Uint32Array(256),
+            g: new Uint32Array(256),
+            b: new Uint32Array(256),
+            lum: new Uint32Array(256)
+        };
+        
+        this.paradeCanvasWidth = parade.width; // Brushes are drawn on the whole canvas
+        this.waveformRows = levelRows(this.waveform.height);
+        this.paradeRows = levelRows(this.parade.height);
+        
+        // Per-source-column lookups, rebuilt when the frame width changes
+        this.columnWidth = -1;
+        this.waveformColumns = null;
+        this.waveformParadeColumns = null;
+        this.paradeColumns = null;
+        
+        // Luma contribution of every 8-bit value, per channel
+        this.lumaR = new Float64Array(256);
+        this.lumaG = new Float64Array(256);
+        this.lumaB = new Float64Array(256);
+        this.setColorSpace(colorSpace);
+        this.setWaveformMode(waveformMode);
+        
+        // Per-pixel violation flags, reallocated when the frame size changes
+        this.legalMask = null;
+        this.setLegalLimits(legalLimits);
+        
+        // Per-pixel luma, reallocated when the frame size changes
+        this.lumaMap = null;
+        this.setLumaMap(lumaMap);
+        
+        this.setVectorscopeZoom(vectorscopeZoom);
+        this.setVectorscopeColors(vectorscopeColors);
+        
+        // Per-pixel brush selection, reallocated when the frame size changes
+        this.brushMask = null;
+        this.brushColumns = null;
+        this.setBrush(brush);
+    }
+    
+    /**
+     * Select the pixels that land inside a region drawn on a scope
+     * @param {object|null} brush - { scope, x0, y0, x1, y1 } (see brush.js), or null to stop
+     */
+    setBrush(brush) {
+        if (brush && !['waveform', 'parade', 'vectorscope'].includes(brush.scope)) {
+            throw new RangeError(`Unknown brush scope "${brush.scope}"`);
+        }
+        this.brush = brush;
+    }
+    
+    /**
+     * Magnify the vectorscope: at zoom 2 the outer circle stands for 50% saturation.
+     * Points beyond the edge of the grid are dropped.
+     * @param {number} zoom - 1 or more
+     */
+    setVectorscopeZoom(zoom) {
+        if (!(zoom >= 1 && Number.isFinite(zoom))) {
+            throw new RangeError(`Invalid vectorscope zoom ${zoom}`);
+        }
+        this.vectorscope.zoom = zoom;
+    }
+    
+    /**
+     * Enable or disable summing the source colors of vectorscope points (for the hue display)
+     * @param {boolean} enabled
+     */
+    setVectorscopeColors(enabled) {
+        const vectorscope = this.vectorscope;
+        if (enabled && !vectorscope.r) {
+            const size = vectorscope.size * vectorscope.size;
+            vectorscope.r = new Uint32Array(size);
+            vectorscope.g = new Uint32Array(size);
+            vectorscope.b = new Uint32Array(size);
+        } else if (!enabled) {
+            vectorscope.r = null;
+            vectorscope.g = null;
+            vectorscope.b = null;
+        }
+    }
+    
+    /**
+     * Enable or disable the per-pixel luma output (used by false color)
+     * @param {boolean} enabled
+     */
+    setLumaMap(enabled) {
+        this.keepLumaMap = Boolean(enabled);
+    }
+    
+    /**
+     * Enable, change or disable the broadcast-safe check
+     * @param {object|null} limits - Partial limits merged over DEFAULT_LEGAL_LIMITS, or null to disable
+     */
+    setLegalLimits(limits) {
+        this.legalLimits = limits ? { ...DEFAULT_LEGAL_LIMITS, ...limits } : null;
+    }
+    
+    /**
+     * Switch what the waveform grids accumulate
+     * @param {string} mode - Key of WAVEFORM_MODES
+     */
+    setWaveformMode(mode) {
+        if (!WAVEFORM_MODES[mode]) {
+            throw new RangeError(`Unknown waveform mode "${mode}"`);
+        }
+        
+        const waveform = this.waveform;
+        const fullSize = waveform.width * waveform.height;
+        const channelSize = waveform.channelWidth * waveform.height;
+        
+        if (mode === 'rgb' && !waveform.r) {
+            waveform.r = new Uint32Array(fullSize);
+            waveform.g = new Uint32Array(fullSize);
+            waveform.b = new Uint32Array(fullSize);
+        } else if (mode === 'ycbcr' && !waveform.y) {
+            waveform.y = new Uint32Array(channelSize);
+            waveform.cb = new Uint32Array(channelSize);
+            waveform.cr = new Uint32Array(channelSize);
+        } else if (mode === 'lumaChroma' && !waveform.chroma) {
+            waveform.chroma = new Uint32Array(fullSize);
+        }
+        
+        waveform.mode = mode;
+    }
+    
+    /**
+     * Switch the color standard and signal range used for luma and chroma
+     * @param {object} colorSpace - Result of getColorSpace
+     */
+    setColorSpace(colorSpace) {
+        this.colorSpace = colorSpace;
+        for (let v = 0; v < 256; v++) {
+            this.lumaR[v] = colorSpace.kr * v;
+            this.lumaG[v] = colorSpace.kg * v;
+            this.lumaB[v] = colorSpace.kb * v;
+        }
+    }
+    
+    /**
+     * Map source columns to waveform and parade grid columns
+     */
+    updateColumnLookups(width) {
+        if (width === this.columnWidth) return;
+        
+        this.columnWidth = width;
+        this.waveformColumns = new Int32Array(width);
+        for (let x = 0; x < width; x++) {
+            this.waveformColumns[x] = Math.floor((x / width) * this.waveform.width);
+        }
+        this.waveformParadeColumns = paradeColumnLookup(width, this.waveform.channelWidth);
+        this.paradeColumns = paradeColumnLookup(width, this.parade.width);
+    }
+    
+    /**
+     * Find which levels of each source column a waveform or parade brush selects by:
+     * those of the scope sections whose plotted column falls inside the brush
+     * @param {object} brush - Waveform or parade brush
+     * @param {number} width - Frame width
+     * @returns {Uint8Array} BRUSH_* flags per source column
+     */
+    updateBrushColumns(brush, width) {
+        if (!this.brushColumns || this.brushColumns.length !== width) {
+            this.brushColumns = new Uint8Array(width);
+        }
+        const flags = this.brushColumns;
+        const { left, right } = brushBand(brush);
+        
+        // [section flags, grid column lookup, section width] per side-by-side section
+        let sections;
+        let canvasWidth;
+        if (brush.scope === 'parade') {
+            const channelWidth = this.parade.width;
+            sections = [BRUSH_R, BRUSH_G, BRUSH_B].map((flag) => [flag, this.paradeColumns, channelWidth]);
+            canvasWidth = this.paradeCanvasWidth;
+        } else {
+            const { mode, width: waveformWidth, channelWidth } = this.waveform;
+            canvasWidth = waveformWidth;
+            if (mode === 'ycbcr') {
+                sections = [BRUSH_LUMA, BRUSH_CB, BRUSH_CR].map((flag) => [flag, this.waveformParadeColumns, channelWidth]);
+            } else {
+                const flag = mode === 'rgb' ? BRUSH_R | BRUSH_G | BRUSH_B
+                    : mode === 'lumaChroma' ? BRUSH_LUMA | BRUSH_CHROMA
+                    : BRUSH_LUMA;
+                sections = [[flag, this.waveformColumns, waveformWidth]];
+            }
+        }
+        
+        flags.fill(0);
+        sections.forEach(([flag, columns, sectionWidth], i) => {
+            for (let x = 0; x < width; x++) {
+                if (columns[x] < 0) continue;
+                const position = (i * sectionWidth + columns[x] + 0.5) / canvasWidth;
+                if (position >= left && position <= right) flags[x] |= flag;
+            }
+        });
+        return flags;
+    }
+    
+    /**
+     * Analyze an RGBA pixel buffer
+     * @param {Uint8ClampedArray|Uint8Array|number[]} data - RGBA pixels, row-major, 4 bytes per pixel
+     * @param {number} width - Buffer width in pixels
+     * @param {number} height - Buffer height in pixels
+     * @returns {{ width: number, height: number, waveform: object, parade: object,
+     *   vectorscope: object, histogram: object, stats: object, legalMask: Uint8Array|null,
+     *   lumaMap: Uint8Array|null, brushMask: Uint8Array|null }}
+     */
+    analyze(data, width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 0 || height < 0) {
+            throw new RangeError(`Invalid frame size ${width}×${height}`);
+        }
+        if (!data || data.length < width * height * 4) {
+            throw new RangeError(`Pixel buffer too small for a ${width}×${height} RGBA frame`);
+        }
+        
+        const waveform = this.waveform;
+        const parade = this.parade;
+        const vectorscope = this.vectorscope;
+        const histogram = this.histogram;
+        
+        const mode = waveform.mode;
+        const rgbMode = mode === 'rgb';
+        const ycbcrMode = mode === 'ycbcr';
+        const chromaMode = mode === 'lumaChroma';
+        
+        waveform.density.fill(0);
+        if (rgbMode) {
+            waveform.r.fill(0);
+            waveform.g.fill(0);
+            waveform.b.fill(0);
+        } else if (ycbcrMode) {
+            waveform.y.fill(0);
+            waveform.cb.fill(0);
+            waveform.cr.fill(0);
+        } else if (chromaMode) {
+            waveform.chroma.fill(0);
+        }
+        parade.r.fill(0);
+        parade.g.fill(0);
+        parade.b.fill(0);
+        vectorscope.density.fill(0);
+        if (vectorscope.r) {
+            vectorscope.r.fill(0);
+            vectorscope.g.fill(0);
+            vectorscope.b.fill(0);
+        }
+        histogram.r.fill(0);
+        histogram.g.fill(0);
+        histogram.b.fill(0);
+        histogram.lum.fill(0);
+        
+        this.updateColumnLookups(width);
+        
+        const waveformDensity = waveform.density;
+        const waveformWidth = waveform.width;
+        const waveformRows = this.waveformRows;
+        const waveformColumns = this.waveformColumns;
+        const waveformParadeColumns = this.waveformParadeColumns;
+        const waveformChannelWidth = waveform.channelWidth;
+        
+        const paradeR = parade.r;
+        const paradeG = parade.g;
+        const paradeB = parade.b;
+        const paradeWidth = parade.width;
+        const paradeRows = this.paradeRows;
+        const paradeColumns = this.paradeColumns;
+        
+        const vectorDensity = vectorscope.density;
+        const vectorSize = vectorscope.size;
+        const center = vectorSize / 2;
+        const radius = vectorscope.radius;
+        const vectorR = vectorscope.r;
+        const vectorG = vectorscope.g;
+        const vectorB = vectorscope.b;
+        
+        const lumaR = this.lumaR;
+        const lumaG = this.lumaG;
+        const lumaB = this.lumaB;
+        
+        // Normalized Cb/Cr span ±0.5, which the vectorscope maps to its outer circle (divided by the zoom)
+        const { kr, kb, black, white } = this.colorSpace;
+        const cbScale = (2 * radius * vectorscope.zoom) / ((white - black) * 2 * (1 - kb));
+        const crScale = (2 * radius * vectorscope.zoom) / ((white - black) * 2 * (1 - kr));
+        
+        // The same chroma differences as Cb/Cr code values (YCbCr parade) and as
+        // chroma amplitude in luma code values (luma + chroma excursion)
+        const { chromaSpan } = this.colorSpace;
+        const cbCode = chromaSpan / ((white - black) * 2 * (1 - kb));
+        const crCode = chromaSpan / ((white - black) * 2 * (1 - kr));
+        const cbAmplitude = 1 / (2 * (1 - kb));
+        const crAmplitude = 1 / (2 * (1 - kr));
+        
+        // Sample rate for vectorscope (don't need every pixel)
+        const vectorSampleRate = Math.max(1, Math.floor((width * height) / VECTORSCOPE_SAMPLE_TARGET));
+        
+        let sumR = 0;
+        let sumG = 0;
+        let sumB = 0;
+        let sumLum = 0;
+        let minLum = 255;
+        let maxLum = 0;
+        
+        // Chroma of the vectorscope samples, as fractions of the outer circle
+        let sumCb = 0;
+        let sumCr = 0;
+        let sumChroma = 0;
+        let chromaSamples = 0;
+        
+        // Broadcast-safe check; chroma is compared squared, as a fraction of the outer circle
+        const legal = this.legalLimits;
+        let legalMask = null;
+        let lumaMin = 0;
+        let lumaMax = 255;
+        let rgbMin = 0;
+        let rgbMax = 255;
+        let chromaMaxSq = 0;
+        let lumaViolations = 0;
+        let chromaViolations = 0;
+        let rgbViolations = 0;
+        let anyViolations = 0;
+        if (legal) {
+            if (!this.legalMask || this.legalMask.length !== width * height) {
+                this.legalMask = new Uint8Array(width * height);
+            }
+            legalMask = this.legalMask;
+            ({ lumaMin, lumaMax, rgbMin, rgbMax } = legal);
+            chromaMaxSq = (legal.chromaMax / 100) ** 2;
+        }
+        const cbSaturation = 2 / ((white - black) * 2 * (1 - kb));
+        const crSaturation = 2 / ((white - black) * 2 * (1 - kr));
+        
+        let lumaMap = null;
+        if (this.keepLumaMap) {
+            if (!this.lumaMap || this.lumaMap.length !== width * height) {
+                this.lumaMap = new Uint8Array(width * height);
+            }
+            lumaMap = this.lumaMap;
+        }
+        
+        // Scope brush: a level band tested per column, or a hue/saturation wedge
+        const brush = this.brush;
+        let brushMask = null;
+        let brushColumns = null;
+        let brushWedgeArea = null;
+        let brushLow = 0;
+        let brushHigh = 255;
+        let brushedCount = 0;
+        if (brush) {
+            if (!this.brushMask || this.brushMask.length !== width * height) {
+                this.brushMask = new Uint8Array(width * height);
+            }
+            brushMask = this.brushMask;
+            if (brush.scope === 'vectorscope') {
+                brushWedgeArea = brushWedge(brush, radius / vectorSize, vectorscope.zoom);
+            } else {
+                ({ low: brushLow, high: brushHigh } = brushBand(brush));
+                brushColumns = this.updateBrushColumns(brush, width);
+            }
+        }
+        const inBrushBand = (level) => level >= brushLow && level <= brushHigh;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                
+                // Calculate luma code value with the active standard's weights
+                const luma = lumaR[r] + lumaG[g] + lumaB[b];
+                const lum = Math.round(luma);
+                
+                if (lumaMap) {
+                    lumaMap[p] = lum;
+                }
+                
+                // Waveform (luminance per column)
+                const waveformX = waveformColumns[x];
+                waveformDensity[waveformRows[lum] * waveformWidth + waveformX]++;
+                
+                if (rgbMode) {
+                    waveform.r[waveformRows[r] * waveformWidth + waveformX]++;
+                    waveform.g[waveformRows[g] * waveformWidth + waveformX]++;
+                    waveform.b[waveformRows[b] * waveformWidth + waveformX]++;
+                } else if (ycbcrMode) {
+                    const columnX = waveformParadeColumns[x];
+                    if (columnX >= 0) {
+                        const cb = clampCode(128 + (b - luma) * cbCode);
+                        const cr = clampCode(128 + (r - luma) * crCode);
+                        waveform.y[waveformRows[lum] * waveformChannelWidth + columnX]++;
+                        waveform.cb[waveformRows[cb] * waveformChannelWidth + columnX]++;
+                        waveform.cr[waveformRows[cr] * waveformChannelWidth + columnX]++;
+                    }
+                } else if (chromaMode) {
+                    // Envelope of luma ± chroma amplitude, like a composite signal's peaks
+                    const cbDiff = (b - luma) * cbAmplitude;
+                    const crDiff = (r - luma) * crAmplitude;
+                    const amplitude = Math.sqrt(cbDiff * cbDiff + crDiff * crDiff);
+                    waveform.chroma[waveformRows[clampCode(luma + amplitude)] * waveformWidth + waveformX]++;
+                    waveform.chroma[waveformRows[clampCode(luma - amplitude)] * waveformWidth + waveformX]++;
+                }
+                
+                // Parade (RGB values per column, in thirds)
+                const paradeX = paradeColumns[x];
+                if (paradeX >= 0) {
+                    paradeR[paradeRows[r] * paradeWidth + paradeX]++;
+                    paradeG[paradeRows[g] * paradeWidth + paradeX]++;
+                    paradeB[paradeRows[b] * paradeWidth + paradeX]++;
+                }
+                
+                // Vectorscope (sampled for performance)
+                if (p % vectorSampleRate === 0) {
+                    const cbSat = (b - luma) * cbSaturation;
+                    const crSat = (r - luma) * crSaturation;
+                    sumCb += cbSat;
+                    sumCr += crSat;
+                    sumChroma += Math.sqrt(cbSat * cbSat + crSat * crSat);
+                    chromaSamples++;
+                    
+                    // Chroma differences (B' - Y', R' - Y') scaled straight to vectorscope pixels
+                    const px = Math.floor(center + (b - luma) * cbScale);
+                    const py = Math.floor(center - (r - luma) * crScale); // Inverted Y
+                    
+                    // Plot a 3x3 point for better visibility
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const plotY = py + dy;
+                        if (plotY < 0 || plotY >= vectorSize) continue;
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const plotX = px + dx;
+                            if (plotX >= 0 && plotX < vectorSize) {
+                                const cell = plotY * vectorSize + plotX;
+                                vectorDensity[cell]++;
+                                if (vectorR) {
+                                    vectorR[cell] += r;
+                                    vectorG[cell] += g;
+                                    vectorB[cell] += b;
+                                }
+                            }
+                        }
+                    }
+                }
+                
+                // Histogram
+                histogram.r[r]++;
+                histogram.g[g]++;
+                histogram.b[b]++;
+                histogram.lum[lum]++;
+                
+                // Summary stats
+                sumR += r;
+                sumG += g;
+                sumB += b;
+                sumLum += lum;
+                if (lum < minLum) minLum = lum;
+                if (lum > maxLum) maxLum = lum;
+                
+                // Broadcast-safe check
+                if (legalMask) {
+                    let flags = 0;
+                    if (lum < lumaMin || lum > lumaMax) {
+                        flags |= LEGAL_LUMA;
+                        lumaViolations++;
+                    }
+                    const cbSat = (b - luma) * cbSaturation;
+                    const crSat = (r - luma) * crSaturation;
+                    if (cbSat * cbSat + crSat * crSat > chromaMaxSq) {
+                        flags |= LEGAL_CHROMA;
+                        chromaViolations++;
+                    }
+                    if (r < rgbMin || r > rgbMax || g < rgbMin || g > rgbMax || b < rgbMin || b > rgbMax) {
+                        flags |= LEGAL_RGB;
+                        rgbViolations++;
+                    }
+                    if (flags) anyViolations++;
+                    legalMask[p] = flags;
+                }
+                
+                // Scope brush
+                if (brushMask) {
+                    let brushed = false;
+                    if (brushWedgeArea) {
+                        brushed = isInWedge(brushWedgeArea, (b - luma) * cbSaturation, (r - luma) * crSaturation);
+                    } else {
+                        const flags = brushColumns[x];
+                        if (flags) {
+                            brushed = ((flags & BRUSH_LUMA) && inBrushBand(lum)) ||
+                                ((flags & BRUSH_R) && inBrushBand(r)) ||
+                                ((flags & BRUSH_G) && inBrushBand(g)) ||
+                                ((flags & BRUSH_B) && inBrushBand(b)) ||
+                                ((flags & BRUSH_CB) && inBrushBand(clampCode(128 + (b - luma) * cbCode))) ||
+                                ((flags & BRUSH_CR) && inBrushBand(clampCode(128 + (r - luma) * crCode)));
+                            
+                            // The chroma envelope, computed as it is plotted
+                            if (!brushed && (flags & BRUSH_CHROMA)) {
+                                const cbDiff = (b - luma) * cbAmplitude;
+                                const crDiff = (r - luma) * crAmplitude;
+                                const amplitude = Math.sqrt(cbDiff * cbDiff + crDiff * crDiff);
+                                brushed = inBrushBand(clampCode(luma + amplitude)) || inBrushBand(clampCode(luma - amplitude));
+                            }
+                        }
+                    }
+                    brushMask[p] = brushed ? 1 : 0;
+                    if (brushed) brushedCount++;
+                }
+            }
+        }
+        
+        const pixelCount = width * height;
+        const percentOf = (count) => (pixelCount ? (count / pixelCount) * 100 : 0);
+        
+        return {
+            width,
+            height,
+            waveform,
+            parade,
+            vectorscope,
+            histogram,
+            stats: {
+                pixelCount,
+                luma: {
+                    min: pixelCount ? minLum : 0,
+                    max: pixelCount ? maxLum : 0,
+                    mean: pixelCount ? sumLum / pixelCount : 0,
+                    median: histogramMedian(histogram.lum, pixelCount)
+                },
+                mean: {
+                    r: pixelCount ? sumR / pixelCount : 0,
+                    g: pixelCount ? sumG / pixelCount : 0,
+                    b: pixelCount ? sumB / pixelCount : 0
+                },
+                // Percentage of pixels at 0 (low) and 255 (high) per channel
+                clipped: {
+                    low: { r: percentOf(histogram.r[0]), g: percentOf(histogram.g[0]), b: percentOf(histogram.b[0]) },
+                    high: { r: percentOf(histogram.r[255]), g: percentOf(histogram.g[255]), b: percentOf(histogram.b[255]) }
+                },
+                // Mean Cb/Cr vector and mean saturation of the vectorscope samples, in percent of the outer circle
+                chroma: {
+                    cb: chromaSamples ? (sumCb / chromaSamples) * 100 : 0,
+                    cr: chromaSamples ? (sumCr / chromaSamples) * 100 : 0,
+                    saturation: chromaSamples ? (sumChroma / chromaSamples) * 100 : 0
+                },
+                // Percentage of pixels outside each broadcast-safe limit (null when not checked)
+                outOfRange: legalMask ? {
+                    luma: pixelCount ? (lumaViolations / pixelCount) * 100 : 0,
+                    chroma: pixelCount ? (chromaViolations / pixelCount) * 100 : 0,
+                    rgb: pixelCount ? (rgbViolations / pixelCount) * 100 : 0,
+                    any: pixelCount ? (anyViolations / pixelCount) * 100 : 0
+                } : null,
+                // Percentage of pixels selected by the scope brush (null without one)
+                brushed: brushMask ? percentOf(brushedCount) : null
+            },
+            // LEGAL_* flags per analyzed pixel, row-major (null when not checked)
+            legalMask,
+            // Luma code value per analyzed pixel, row-major (null unless enabled)
+            lumaMap,
+            // 1 for each analyzed pixel inside the scope brush, row-major (null without one)
+            brushMask
+        };
+    }
+}
+
+/**
+ * Analyze an RGBA pixel buffer with freshly allocated grids.
+ * Convenient for one-off analysis and tests; use a FrameAnalyzer for streams.
+ * @param {Uint8ClampedArray|Uint8Array|number[]} data - RGBA pixels, row-major, 4 bytes per pixel
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {object} [options]
+ * @param {object} [options.layout=DEFAULT_LAYOUT] - Scope resolutions (see FrameAnalyzer)
+ * @param {object} [options.colorSpace] - Result of getColorSpace (defaults to full-range Rec. 709)
+ * @param {string} [options.waveformMode='luma'] - Key of WAVEFORM_MODES
+ * @param {object|null} [options.legalLimits=null] - Broadcast-safe limits to check
+ * @param {boolean} [options.lumaMap=false] - Also return the luma code value of every pixel
+ * @param {...*} [positional] - Color space and waveform mode of the earlier positional form,
+ *   (data, width, height, layout, colorSpace, waveformMode), which is still accepted
+ * @returns {object} See FrameAnalyzer#analyze
+ */
+export function analyzeImage(data, width, height, options = {}, ...positional) {
+    // The earlier positional form: (data, width, height, layout, colorSpace, waveformMode)
+    if (options.waveform) {
+        const [colorSpace = getColorSpace(), waveformMode] = positional;
+        return new FrameAnalyzer(options, colorSpace, waveformMode).analyze(data, width, height);
+    }
+    const { layout = DEFAULT_LAYOUT, ...rest } = options;
+    return new FrameAnalyzer(layout, rest).analyze(data, width, height);
+}
+
+/**
+ * Luma and RGB statistics per waveform column, in 8-bit code values.
+ * Source columns are grouped into output columns the same way the waveform groups them.
+ * @param {Uint8ClampedArray|Uint8Array|number[]} data - RGBA pixels, row-major, 4 bytes per pixel
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {object} [options]
+ * @param {object} [options.colorSpace] - Result of getColorSpace (defaults to full-range Rec. 709)
+ * @param {number} [options.columns=width] - Number of output columns (at most width)
+ * @returns {{ columns: number, lumaMin: Uint8Array, lumaMax: Uint8Array, lumaMean: Float64Array,
+ *   r: Float64Array, g: Float64Array, b: Float64Array }} Means are per column; r, g and b are channel means
+ */
+export function waveformColumnStats(data, width, height, { colorSpace = getColorSpace(), columns = width } = {}) {
+    columns = Math.max(1, Math.min(columns, width));
+    const { kr, kg, kb } = colorSpace;
+    
+    const lumaMin = new Uint8Array(columns).fill(255);
+    const lumaMax = new Uint8Array(columns);
+    const lumaMean = new Float64Array(columns);
+    const r = new Float64Array(columns);
+    const g = new Float64Array(columns);
+    const b = new Float64Array(columns);
+    const counts = new Uint32Array(columns);
+    
+    for (let x = 0; x < width; x++) {
+        const column = Math.floor((x / width) * columns);
+        counts[column] += height;
+        
+        for (let y = 0; y < height; y++) {
+            const i = (y * width + x) * 4;
+            const lum = Math.round(kr * data[i] + kg * data[i + 1] + kb * data[i + 2]);
+            
+            if (lum < lumaMin[column]) lumaMin[column] = lum;
+            if (lum > lumaMax[column]) lumaMax[column] = lum;
+            lumaMean[column] += lum;
+            r[column] += data[i];
+            g[column] += data[i + 1];
+            b[column] += data[i + 2];
+        }
+    }
+    
+    for (let column = 0; column < columns; column++) {
+        const count = counts[column];
+        if (count === 0) {
+            lumaMin[column] = 0;
+            continue;
+        }
+        lumaMean[column] /= count;
+        r[column] /= count;
+        g[column] /= count;
+        b[column] /= count;
+    }
+    
+    return { columns, lumaMin, lumaMax, lumaMean, r, g, b };
+}
@@ -1,18 +1,128 @@
 /**
  * AnyScope - Main Application
- * Desktop scope viewing application using Screen Capture API
+ * Desktop scope viewing application for screen, camera and file sources
  */
 
+import { InlinePipeline, WorkerPipeline } from './pipeline.js';
+import { vectorscopeRadius } from './analysis.js';
+import { ScreenSource, CameraSource, VideoFileSource, createFileSource } from './sources.js';
+import { ZebraOverlay, FalseColorOverlay, BrushOverlay } from './overlays.js';
+import { SIGNAL_RANGES, D65_CCT, getColorSpace, rgbToYCbCr, rgbToHex, rgbToHsl } from './color.js';
+import { HANDLE_CURSORS, hitTestZones, moveZone, resizeZone, zoneToSourceRect, sourceRectToZone } from './zones.js';
+import { MeasurementHistory, measure, deriveMeasurements } from './measurements.js';
+import { FrameTimeline, timelineSample, detectFlicker, drawTimeline } from './timeline.js';
+import { SETTINGS_VERSION, SettingsStore, encodeStateHash, decodeStateHash } from './settings.js';
+import { PopoutWindows } from './popout.js';
+import { getScopes } from './registry.js';
+import { canvasToChromaticity } from './chromaticity.js';
+import { formatLevel } from './graticule.js';
+import {
+    ScopeRecorder, composeScopes, histogramCsv, waveformCsv, reportJson, exportFilename, downloadBlob
+} from './exports.js';
+
 class AnyScope {
     // Constants for zone selection
     static MIN_ZONE_SIZE = 0.02; // Minimum zone size as fraction (2%)
     static MIN_ZONE_PIXELS = 10; // Minimum zone size in pixels
-    static SELECTION_HANDLE_SIZE = 8; // Size of corner handles in pixels
+    static SELECTION_HANDLE_SIZE = 8; // Size of corner handles in pixels, also how far edges can be grabbed
+    static CLICK_TOLERANCE = 3; // A drag this small (in pixels) on empty space counts as a click
+    static MAX_ZONES = 6;
+    static NUDGE_STEP = 1; // Arrow key nudge in source pixels
+    static NUDGE_STEP_LARGE = 10; // Shift+arrow nudge in source pixels
+    
+    // Zone colors, taken in order by new zones (magenta is left to reference traces)
+    static ZONE_COLORS = ['#00d4ff', '#ffb020', '#7cff4f', '#ff6b6b', '#b48cff', '#ffffff'];
+    
+    // Pixel probes: pinned probes take these colors (and are numbered) in order
+    static PROBE_COLORS = ['#ffe14d', '#ff7ad9', '#7df9ff', '#c6ff7a'];
+    static HOVER_PROBE_COLOR = '#ffffff';
+    
+    // Scopes that take pointer input (brushing, markers and readouts), by canvas id
+    static INTERACTIVE_SCOPES = { waveform: 'waveformCanvas', parade: 'paradeCanvas', vectorscope: 'vectorscopeCanvas' };
+    
+    // Reference lines (waveform and parade) and angle markers (vectorscope)
+    static MAX_MARKERS = 8; // Of each kind
+    static MARKER_GRAB_DISTANCE = 6; // How far from a marker it can be grabbed, in pixels
+    static NEW_LEVEL_LINE = 128; // Code value of a line added with the button
+    static NEW_ANGLE_MARKER = 45; // Angle of a marker added with the button, in degrees
+    
+    // Constants for frame analysis
+    static MAX_ANALYSIS_WIDTH = 640; // Frames are scaled down to this width before analysis
+    static ANALYSIS_INTERVAL = 66; // Delay between analyzed frames in ms (~15 fps)
+    
+    // Waveform panel subtitle for each waveform mode
+    static WAVEFORM_MODE_INFO = {
+        luma: '(Luminance)',
+        rgb: '(RGB Overlay)',
+        ycbcr: '(Y, Cb, Cr)',
+        lumaChroma: '(Luma with Chroma Excursion)'
+    };
+    
+    // Histogram readout name of each channel
+    static HISTOGRAM_CHANNEL_NAMES = { r: 'R', g: 'G', b: 'B', lum: 'Y' };
     
-    constructor() {
+    // Controls saved with the settings, by element id (false color thresholds are added in
+    // initFalseColor, scope checkboxes in initScopePanels)
+    static PERSISTED_CONTROLS = [
+        'sourceType',
+        'showMeasurements', 'measurementSmoothing',
+        'showTimeline', 'timelineDuration',
+        'colorStandard', 'signalRange', 'waveformMode', 'vectorscopeZoom', 'vectorscopeTargets', 'vectorscopeMode',
+        'graticuleUnit', 'graticuleHistogramUnit', 'graticuleTransfer', 'graticuleLegal', 'graticuleGrey',
+        'histogramMode', 'histogramScale', 'histogramCumulative',
+        'chromaticityRec709', 'chromaticityP3', 'chromaticityRec2020',
+        'legalCheck', 'showZebras', 'legalLumaMin', 'legalLumaMax', 'legalChromaMax', 'legalRgbMin', 'legalRgbMax',
+        'showFalseColor',
+        'referenceView',
+        'exportPreview'
+    ];
+    static SETTINGS_SAVE_DELAY = 300; // Settings are saved this long (ms) after the last change
+    
+    // Constants for exports
+    static RECORDING_FRAME_RATE = 15;
+    static MAX_PREVIEW_EXPORT_WIDTH = 1280; // The preview is scaled down to this width in exports
+    
+    // Rows of the measurements panel: label and how to show a measurement (see measurements.js)
+    static MEASUREMENT_ROWS = [
+        { label: 'Luma min / max', format: (m) => `${m.lumaMin.toFixed(0)} / ${m.lumaMax.toFixed(0)}` },
+        { label: 'Luma mean', format: (m) => m.lumaMean.toFixed(1) },
+        { label: 'Luma median', format: (m) => m.lumaMedian.toFixed(0) },
+        { label: 'RGB mean', format: (m) => [m.meanR, m.meanG, m.meanB].map((v) => v.toFixed(1)).join(' / ') },
+        { label: 'Clipped at 0 (R/G/B)', format: (m) => formatPercents(m.clipLowR, m.clipLowG, m.clipLowB) },
+        { label: 'Clipped at 255 (R/G/B)', format: (m) => formatPercents(m.clipHighR, m.clipHighG, m.clipHighB) },
+        { label: 'Average hue', format: (m) => (m.hue === null ? 'neutral' : `${m.hue.toFixed(0)}°`) },
+        { label: 'Average saturation', format: (m) => `${m.saturation.toFixed(1)}%` },
+        { label: 'Color temp. (est.)', format: (m) => formatTemperature(m.cct) },
+        { label: 'Tint (est.)', format: (m) => formatTint(m.tint) }
+    ];
+    
+    // Rows of the match report: label and how to show a comparison (see match.js)
+    static MATCH_ROWS = [
+        { label: 'Gain (R/G/B)', format: (m) => ['r', 'g', 'b'].map((key) => `×${m.channels[key].gain.toFixed(3)}`).join(' / ') },
+        { label: 'Lift (R/G/B)', format: (m) => ['r', 'g', 'b'].map((key) => formatSigned(m.channels[key].lift, 1)).join(' / ') },
+        { label: 'Hue offset', format: (m) => (m.hueOffset === null ? 'neutral' : `${formatSigned(m.hueOffset, 1)}°`) },
+        {
+            label: 'Saturation offset',
+            format: (m) => `${formatSigned(m.saturationOffset, 1)}%${m.saturationGain === null ? '' : ` (×${m.saturationGain.toFixed(2)})`}`
+        },
+        { label: 'ΔE2000 mean / max', format: (m) => `${m.deltaE.mean.toFixed(2)} / ${m.deltaE.max.toFixed(2)}` }
+    ];
+    
+    // Start button icon and label for each source type
+    static SOURCE_LABELS = {
+        screen: { icon: '📺', label: 'Start Screen Capture' },
+        camera: { icon: '📷', label: 'Start Camera' },
+        file: { icon: '📂', label: 'Open File' }
+    };
+    
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.useWorker=true] - Analyze and render scopes in a Web Worker when supported
+     */
+    constructor({ useWorker = true } = {}) {
         this.video = document.getElementById('sourceVideo');
+        this.image = document.getElementById('sourceImage');
         this.captureCanvas = document.getElementById('captureCanvas');
-        this.captureCtx = this.captureCanvas.getContext('2d');
         this.placeholder = document.getElementById('videoPlaceholder');
         this.videoContainer = document.getElementById('videoContainer');
         
@@ -20,31 +130,337 @@ class AnyScope {
         this.selectionCanvas = document.getElementById('selectionCanvas');
         this.selectionCtx = this.selectionCanvas.getContext('2d');
         
+        // Source picker
+        this.sourceTypeSelect = document.getElementById('sourceType');
+        this.cameraSelect = document.getElementById('cameraDevice');
+        this.fileInput = document.getElementById('fileInput');
+        this.startIcon = document.getElementById('startIcon');
+        this.startLabel = document.getElementById('startLabel');
+        
+        // Transport for video files
+        this.transport = document.getElementById('transport');
+        this.playPauseButton = document.getElementById('playPause');
+        this.scrubber = document.getElementById('scrubber');
+        this.timecode = document.getElementById('timecode');
+        
         this.startButton = document.getElementById('startCapture');
         this.stopButton = document.getElementById('stopCapture');
         this.resetZoneButton = document.getElementById('resetZone');
+        this.zoneList = document.getElementById('zoneList');
+        this.colorStandardSelect = document.getElementById('colorStandard');
+        this.signalRangeSelect = document.getElementById('signalRange');
+        this.waveformModeSelect = document.getElementById('waveformMode');
+        this.graticuleUnitSelect = document.getElementById('graticuleUnit');
+        this.graticuleHistogramUnitSelect = document.getElementById('graticuleHistogramUnit');
+        this.graticuleTransferSelect = document.getElementById('graticuleTransfer');
+        this.waveformInfo = document.getElementById('waveformInfo');
+        this.histogramModeSelect = document.getElementById('histogramMode');
+        this.histogramScaleSelect = document.getElementById('histogramScale');
+        this.histogramCumulativeCheckbox = document.getElementById('histogramCumulative');
+        
+        // Histogram hover readout
+        this.histogramCanvas = document.getElementById('histogramCanvas');
+        this.histogramReadout = document.getElementById('histogramReadout');
+        this.histogramReadoutHint = this.histogramReadout.textContent;
+        this.histogramHover = null; // Pointer position over the histogram, normalized (0-1)
+        
+        // Broadcast-safe limits
+        this.legalCheckbox = document.getElementById('legalCheck');
+        this.zebraCheckbox = document.getElementById('showZebras');
+        this.legalInputs = {
+            lumaMin: document.getElementById('legalLumaMin'),
+            lumaMax: document.getElementById('legalLumaMax'),
+            chromaMax: document.getElementById('legalChromaMax'),
+            rgbMin: document.getElementById('legalRgbMin'),
+            rgbMax: document.getElementById('legalRgbMax')
+        };
+        this.legalBadges = {
+            waveform: { element: document.getElementById('waveformLegal'), key: 'luma' },
+            parade: { element: document.getElementById('paradeLegal'), key: 'rgb' },
+            vectorscope: { element: document.getElementById('vectorscopeLegal'), key: 'chroma' },
+            histogram: { element: document.getElementById('histogramLegal'), key: 'any' }
+        };
+        this.zebras = new ZebraOverlay();
+        
+        // False color
+        this.falseColorCheckbox = document.getElementById('showFalseColor');
+        this.falseColorBandsContainer = document.getElementById('falseColorBands');
+        this.falseColor = new FalseColorOverlay();
+        
+        // Hold and reference comparison
+        this.holdButton = document.getElementById('holdFrame');
+        this.referenceNameInput = document.getElementById('referenceName');
+        this.storeReferenceButton = document.getElementById('storeReference');
+        this.referenceSelect = document.getElementById('referenceSelect');
+        this.deleteReferenceButton = document.getElementById('deleteReference');
+        this.referenceViewSelect = document.getElementById('referenceView');
+        this.isHeld = false; // Scopes keep showing the last analyzed frame
+        this.nextReferenceId = 1;
+        
+        // Match mode: a stored source zone, and a live target zone compared with it every frame
+        this.setMatchSourceButton = document.getElementById('setMatchSource');
+        this.setMatchTargetButton = document.getElementById('setMatchTarget');
+        this.clearMatchButton = document.getElementById('clearMatch');
+        this.matchSourceInfo = document.getElementById('matchSourceInfo');
+        this.matchTargetInfo = document.getElementById('matchTargetInfo');
+        this.matchReportTable = document.getElementById('matchReport');
+        this.matchSourceName = null; // Name of the stored source zone
+        this.matchTarget = null; // { zone } compared with the source; zone null for the whole frame
+        
+        // Saved settings and presets
+        this.presetSelect = document.getElementById('presetSelect');
+        this.presetNameInput = document.getElementById('presetName');
+        this.savePresetButton = document.getElementById('savePreset');
+        this.deletePresetButton = document.getElementById('deletePreset');
+        this.exportPresetsButton = document.getElementById('exportPresets');
+        this.importPresetsButton = document.getElementById('importPresets');
+        this.presetFileInput = document.getElementById('presetFileInput');
+        this.copyLinkButton = document.getElementById('copyLink');
+        this.resetSettingsButton = document.getElementById('resetSettings');
+        this.settings = new SettingsStore();
+        this.settingControls = {}; // Persisted controls by name, see PERSISTED_CONTROLS
+        this.settingsSaveTimer = null;
+        
+        // Exports
+        this.exportSnapshotButton = document.getElementById('exportSnapshot');
+        this.exportHistogramButton = document.getElementById('exportHistogram');
+        this.exportWaveformButton = document.getElementById('exportWaveform');
+        this.exportJsonButton = document.getElementById('exportJson');
+        this.recordButton = document.getElementById('recordScopes');
+        this.exportPreviewCheckbox = document.getElementById('exportPreview');
+        this.previewCanvas = document.createElement('canvas'); // Preview with overlays, for exports
+        this.recordingCanvas = document.createElement('canvas');
+        this.recorder = null; // ScopeRecorder while recording
+        this.recording = null; // { start, scopes, preview, timer, busy } while recording
+        
+        // Measurements panel
+        this.measurementsContainer = document.getElementById('measurementsContainer');
+        this.measurementsTable = document.getElementById('measurementsTable');
+        this.measurementSmoothingSelect = document.getElementById('measurementSmoothing');
+        this.measurementHistory = new MeasurementHistory();
+        this.measurementCells = null; // Value cells by row then column, see renderMeasurementTable
+        this.measurementColumnsKey = null; // Zones the table was built for
+        
+        // Timeline of exposure and color over the last seconds or minutes, with flicker detection
+        this.timelineContainer = document.getElementById('timelineContainer');
+        this.timelineCanvas = document.getElementById('timelineCanvas');
+        this.timelineCtx = this.timelineCanvas.getContext('2d');
+        this.timelineDurationSelect = document.getElementById('timelineDuration');
+        this.timelineReadout = document.getElementById('timelineReadout');
+        this.flickerBadge = document.getElementById('flickerBadge');
+        this.timeline = new FrameTimeline();
+        this.flicker = null; // Result of detectFlicker for the last frames
+        
+        // Scope brushing: a selection drawn on a scope highlights its pixels on the preview
+        this.brushPanel = document.getElementById('brushPanel');
+        this.brushInfo = document.getElementById('brushInfo');
+        this.clearBrushButton = document.getElementById('clearBrush');
+        this.brushOverlay = new BrushOverlay();
+        this.brush = null; // { scope, x0, y0, x1, y1 } in canvas fractions, see brush.js
+        this.brushDrag = null; // { scope, canvas, x0, y0 } while dragging on a scope
+        
+        // Scope markers: reference lines at code values on the waveform and parade, and hue
+        // lines on the vectorscope at degrees counterclockwise from +Cb
+        this.markerList = document.getElementById('markerList');
+        this.addLevelLineButton = document.getElementById('addLevelLine');
+        this.addAngleMarkerButton = document.getElementById('addAngleMarker');
+        this.levelLines = []; // { id, level, label }
+        this.angleMarkers = []; // { id, angle, label }
+        this.nextMarkerId = 1;
+        this.markerDrag = null; // { marker, canvas } while a marker is dragged
+        
+        // Level and hue under the pointer on the scopes
+        this.vectorscopeZoomSelect = document.getElementById('vectorscopeZoom');
+        this.scopeReadouts = {
+            waveform: document.getElementById('waveformReadout'),
+            parade: document.getElementById('paradeReadout'),
+            vectorscope: document.getElementById('vectorscopeReadout')
+        };
+        this.scopeReadoutHints = Object.fromEntries(
+            Object.entries(this.scopeReadouts).map(([scope, element]) => [scope, element.textContent])
+        );
         
-        this.scopes = new VideoScopes();
-        this.mediaStream = null;
-        this.animationFrameId = null;
+        // Scopes in windows of their own, keyed by scope name ('scopes' for the whole section)
+        this.scopesSection = document.querySelector('.scopes-section');
+        this.popoutButtons = []; // Found in initPopouts, once every scope panel is built
+        this.popouts = null; // PopoutWindows, see initPopouts
+        
+        // Per-pixel data of each analyzed region of the last frame for preview overlays:
+        // { zone, width, height, legalMask, lumaMap, brushMask }, zone normalized like zones
+        this.overlayFrames = [];
+        
+        this.source = null; // Active input source (see sources.js)
+        this.needsAnalysis = false; // Set when a still source must be analyzed again
+        this.scheduledFrame = null; // { win, callback, timer, request } of the next analysis step, see scheduleFrame
         this.isCapturing = false;
+        this.lastAnalyses = null; // Most recent analysis per region (summaries only in worker mode)
+        this.lastRegions = null; // Regions lastAnalyses were made from
         
-        // Zone selection state
-        this.selectedZone = null; // { x, y, width, height } in normalized coordinates (0-1)
-        this.isSelecting = false;
-        this.selectionStart = null;
-        
-        // Scope visibility toggles
-        this.scopeContainers = {
-            waveform: document.getElementById('waveformContainer'),
-            parade: document.getElementById('paradeContainer'),
-            vectorscope: document.getElementById('vectorscopeContainer'),
-            histogram: document.getElementById('histogramContainer')
+        // Zone selection state; zones are { id, x, y, width, height, color, label }
+        // with the rectangle in normalized coordinates (0-1)
+        this.zones = [];
+        this.nextZoneId = 1;
+        this.nextZoneNumber = 1; // Numbers the default labels, restarts when all zones are removed
+        this.draftZone = null; // Zone being dragged out
+        this.activeZone = null; // Zone being edited (arrow keys and the inspector act on it)
+        this.dragState = null; // { mode: 'create'|'move'|'resize', start, zone, handle, original }
+        
+        // Inspector for the active zone, in source pixels
+        this.zoneInspector = document.getElementById('zoneInspector');
+        this.zoneInspectorLabel = document.getElementById('zoneInspectorLabel');
+        this.zoneInputs = {
+            x: document.getElementById('zoneX'),
+            y: document.getElementById('zoneY'),
+            width: document.getElementById('zoneWidth'),
+            height: document.getElementById('zoneHeight')
         };
         
+        // Pixel probes: the pixel under the pointer and pinned points, sampled at source resolution
+        this.probePanel = document.getElementById('probePanel');
+        this.probeList = document.getElementById('probeList');
+        this.clearProbesButton = document.getElementById('clearProbes');
+        this.probeCanvas = document.createElement('canvas');
+        this.probeCanvas.width = 1;
+        this.probeCanvas.height = 1;
+        this.probeCtx = this.probeCanvas.getContext('2d', { willReadFrequently: true });
+        this.probePixels = new Map(); // 'x,y' -> [r, g, b] under the probes in the last analyzed frame
+        this.hoverProbe = null; // Normalized point under the pointer
+        this.pinnedProbes = []; // { x, y, color, label } with the point normalized
+        this.probeSamples = []; // Last samples: { color, label, pinned, pixel, r, g, b, columns }
+        this.probeListKey = null; // Probes the list rows were built for
+        
+        // Panel of every registered scope by id, in page order (see initScopePanels)
+        this.scopeContainers = this.initScopePanels();
+        
+        this.pipeline = this.createPipeline(useWorker);
+        
         this.initEventListeners();
+        this.initSourcePicker();
+        this.initTransport();
         this.initScopeToggles();
+        this.initAnalysisOptions();
+        this.initHistogramReadout();
+        this.initChromaticity();
+        this.initLegalLimits();
+        this.initGraticule();
+        this.initFalseColor();
+        this.initCompare();
+        this.initMatch();
+        this.initMeasurements();
+        this.initTimeline();
+        this.initExports();
         this.initZoneSelection();
+        this.initProbes();
+        this.initBrushing();
+        this.initScopeMarkers();
+        this.initPopouts();
+        this.initSettings(); // Last: restoring settings goes through the handlers set up above
+    }
+    
+    /**
+     * Find or build the panel and checkbox of every registered scope (see registry.js). The
+     * built-in scopes' panels are in the page, with their own tools; other scopes get a plain
+     * panel after the previous scope's, and a checkbox after the previous scope's checkbox.
+     * @returns {object} Panel element by scope id, in registry order
+     */
+    initScopePanels() {
+        const containers = {};
+        let previous = null;
+        
+        for (const { id, title, subtitle, width, height } of getScopes()) {
+            let container = document.getElementById(`${id}Container`);
+            let toggle = document.getElementById(toggleId(id));
+            
+            if (!container) {
+                container = document.createElement('div');
+                container.className = 'scope-container';
+                container.id = `${id}Container`;
+                container.innerHTML = `
+                    <div class="scope-header">
+                        <h3><span class="scope-info"></span></h3>
+                        <div class="scope-tools">
+                            <button class="scope-popout" data-popout="${id}" title="Open in its own window">⧉</button>
+                        </div>
+                    </div>
+                    <canvas id="${id}Canvas" width="${width}" height="${height}"></canvas>
+                `;
+                const heading = container.querySelector('h3');
+                heading.prepend(`${title} `);
+                heading.querySelector('.scope-info').textContent = subtitle;
+                if (previous) {
+                    previous.container.after(container);
+                } else {
+                    document.querySelector('.scope-grid').prepend(container);
+                }
+            }
+            
+            if (!toggle) {
+                const label = document.createElement('label');
+                label.innerHTML = `<input type="checkbox" id="${toggleId(id)}" checked>`;
+                label.append(` ${title}`);
+                if (previous) {
+                    previous.toggle.closest('label').after(label);
+                } else {
+                    document.querySelector('.scope-selector .checkbox-group').prepend(label);
+                }
+                toggle = label.querySelector('input');
+            }
+            
+            this.settingControls[toggleId(id)] = toggle;
+            containers[id] = container;
+            previous = { container, toggle };
+        }
+        return containers;
+    }
+    
+    /**
+     * Create the frame pipeline, preferring the worker when available
+     * @param {boolean} useWorker - Whether the worker pipeline may be used
+     */
+    createPipeline(useWorker) {
+        const ids = Object.keys(this.scopeContainers);
+        const canvases = Object.fromEntries(ids.map((id) => [id, document.getElementById(`${id}Canvas`)]));
+        // Not a registered scope: the match panel compares the source with one zone rather than
+        // tracing every zone, so it has a canvas of its own
+        canvases.match = document.getElementById('matchCanvas');
+        
+        if (useWorker && !WorkerPipeline.canDraw(ids)) {
+            console.warn('A registered scope names no module for the scope worker, analyzing on the main thread.');
+        } else if (useWorker) {
+            try {
+                const pipeline = new WorkerPipeline(canvases, {
+                    onFail: (error) => this.fallBackToInlinePipeline(pipeline, error)
+                });
+                return pipeline;
+            } catch (error) {
+                // Canvases are only transferred once the worker has loaded, so falling back is safe
+                console.warn('Scope worker unavailable, analyzing on the main thread:', error);
+            }
+        }
+        
+        return new InlinePipeline(canvases, this.captureCanvas);
+    }
+    
+    /**
+     * Analyze on the main thread after the scope worker failed to load, with the options it was
+     * given. The worker analyzed no frame, so no reference or match source was stored in it.
+     * @param {WorkerPipeline} failed - The pipeline whose worker failed; its canvases were not transferred
+     * @param {Error} error
+     */
+    fallBackToInlinePipeline(failed, error) {
+        console.warn('Scope worker failed to load, analyzing on the main thread:', error);
+        this.pipeline = new InlinePipeline(failed.canvases, this.captureCanvas);
+        this.pipeline.setOptions(failed.options);
+        
+        // Drop the references and match source the lists show but the pipeline does not have
+        for (const option of [...this.referenceSelect.options]) {
+            if (option.value) option.remove();
+        }
+        this.referenceSelect.value = '';
+        this.applyReferenceOptions();
+        this.matchSourceName = null;
+        this.updateMatchInfo();
+        this.needsAnalysis = true;
     }
     
     /**
@@ -53,7 +469,7 @@ class AnyScope {
     initEventListeners() {
         this.startButton.addEventListener('click', () => this.startCapture());
         this.stopButton.addEventListener('click', () => this.stopCapture());
-        this.resetZoneButton.addEventListener('click', () => this.resetZone());
+        this.resetZoneButton.addEventListener('click', () => this.resetZones());
         
         // Handle video metadata loaded
         this.video.addEventListener('loadedmetadata', () => {
@@ -62,9 +478,6 @@ class AnyScope {
             this.updateSelectionCanvasSize();
         });
         
-        // Handle stream ended (user closed share dialog or stopped sharing)
-        this.video.addEventListener('ended', () => this.stopCapture());
-        
         // Handle window resize
         window.addEventListener('resize', () => {
             if (this.isCapturing) {
@@ -74,6 +487,135 @@ class AnyScope {
         });
     }
     
+    /**
+     * Initialize the source picker, file input and drag and drop onto the preview
+     */
+    initSourcePicker() {
+        // Files always work; disable the capture sources this browser lacks
+        const unsupported = {
+            screen: !ScreenSource.isSupported(),
+            camera: !CameraSource.isSupported()
+        };
+        for (const option of this.sourceTypeSelect.options) {
+            option.disabled = Boolean(unsupported[option.value]);
+        }
+        if (this.sourceTypeSelect.selectedOptions[0].disabled) {
+            this.sourceTypeSelect.value = 'file';
+        }
+        
+        const applySourceType = () => {
+            const type = this.sourceTypeSelect.value;
+            const { icon, label } = AnyScope.SOURCE_LABELS[type];
+            this.startIcon.textContent = icon;
+            this.startLabel.textContent = label;
+            this.cameraSelect.classList.toggle('hidden', type !== 'camera');
+            if (type === 'camera') {
+                this.refreshCameraList();
+            }
+        };
+        
+        this.sourceTypeSelect.addEventListener('change', applySourceType);
+        applySourceType();
+        
+        // Switching cameras while one is running reopens it
+        this.cameraSelect.addEventListener('change', () => {
+            if (this.source instanceof CameraSource) {
+                this.startCapture();
+            }
+        });
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshCameraList());
+        }
+        
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = ''; // Allow opening the same file again
+            if (file) {
+                this.openFile(file);
+            }
+        });
+        
+        // Drop a video or image file onto the preview
+        this.videoContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.videoContainer.classList.add('drag-over');
+        });
+        this.videoContainer.addEventListener('dragleave', () => {
+            this.videoContainer.classList.remove('drag-over');
+        });
+        this.videoContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.videoContainer.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.openFile(file);
+            }
+        });
+    }
+    
+    /**
+     * Fill the camera list (device names are only available once camera permission was granted).
+     * Callers don't wait for it, so failures are reported here.
+     */
+    async refreshCameraList() {
+        let devices;
+        try {
+            devices = await CameraSource.listDevices();
+        } catch (error) {
+            console.error('Error listing cameras:', error);
+            alert('Error listing cameras: ' + error.message);
+            return;
+        }
+        
+        const selected = this.cameraSelect.value;
+        
+        // Keep the "Default camera" entry
+        this.cameraSelect.length = 1;
+        devices.forEach((device, i) => {
+            if (!device.deviceId) return; // Hidden until permission is granted
+            this.cameraSelect.add(new Option(device.label || `Camera ${i + 1}`, device.deviceId));
+        });
+        
+        if (devices.some((device) => device.deviceId === selected)) {
+            this.cameraSelect.value = selected;
+        }
+    }
+    
+    /**
+     * Initialize play/pause and scrubbing for video files
+     */
+    initTransport() {
+        this.playPauseButton.addEventListener('click', () => {
+            if (this.video.paused) {
+                this.video.play();
+            } else {
+                this.video.pause();
+            }
+        });
+        
+        this.scrubber.addEventListener('input', () => {
+            this.video.currentTime = parseFloat(this.scrubber.value);
+        });
+        
+        const updateTransport = () => {
+            if (!(this.source instanceof VideoFileSource)) return;
+            
+            const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+            this.scrubber.max = duration;
+            this.scrubber.value = this.video.currentTime;
+            this.timecode.textContent = `${formatTime(this.video.currentTime)} / ${formatTime(duration)}`;
+            this.playPauseButton.textContent = this.video.paused ? '▶' : '⏸';
+        };
+        
+        for (const type of ['timeupdate', 'durationchange', 'play', 'pause']) {
+            this.video.addEventListener(type, updateTransport);
+        }
+        
+        // A paused video is only analyzed again once the displayed frame changes
+        this.video.addEventListener('pause', () => { this.needsAnalysis = true; });
+        this.video.addEventListener('seeked', () => { this.needsAnalysis = true; });
+    }
+    
     /**
      * Initialize zone selection functionality
      */
@@ -95,297 +637,2491 @@ class AnyScope {
             this.onSelectionMove(touch);
         });
         this.selectionCanvas.addEventListener('touchend', (e) => this.onSelectionEnd(e));
+        
+        // Arrow keys nudge the active zone
+        document.addEventListener('keydown', (e) => this.onZoneKeyDown(e));
+        
+        // Numeric entry in source pixels
+        for (const input of Object.values(this.zoneInputs)) {
+            input.addEventListener('change', () => this.applyZoneInspector());
+        }
     }
     
     /**
-     * Update selection canvas size to match video display size
+     * Initialize pixel probes: hovering the preview probes the pixel under the pointer
      */
-    updateSelectionCanvasSize() {
-        const rect = this.video.getBoundingClientRect();
-        this.selectionCanvas.width = rect.width;
-        this.selectionCanvas.height = rect.height;
+    initProbes() {
+        this.selectionCanvas.addEventListener('mouseleave', () => this.setHoverProbe(null));
+        this.clearProbesButton.addEventListener('click', () => {
+            this.pinnedProbes = [];
+            this.onProbesChanged();
+        });
+        this.renderProbeList();
     }
     
     /**
-     * Get mouse/touch position relative to the video content
+     * Probe the pixel under the pointer
+     * @param {{ x: number, y: number }|null} point - Normalized point, or null when the pointer left
      */
-    getRelativePosition(e) {
-        const rect = this.selectionCanvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / rect.width;
-        const y = (e.clientY - rect.top) / rect.height;
-        return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+    setHoverProbe(point) {
+        if (!point && !this.hoverProbe) return;
+        this.hoverProbe = point;
+        this.onProbesChanged();
     }
     
     /**
-     * Handle selection start
+     * Pin a probe at a point, or unpin the probe already there
+     * @param {{ x: number, y: number }} point - Normalized point
      */
-    onSelectionStart(e) {
-        if (!this.isCapturing) return;
+    toggleProbe(point) {
+        const width = this.selectionCanvas.width;
+        const height = this.selectionCanvas.height;
+        const existing = this.pinnedProbes.find((probe) => {
+            const distance = Math.hypot((probe.x - point.x) * width, (probe.y - point.y) * height);
+            return distance <= AnyScope.SELECTION_HANDLE_SIZE;
+        });
         
-        this.isSelecting = true;
-        this.selectionStart = this.getRelativePosition(e);
-        this.selectedZone = null;
-        this.resetZoneButton.disabled = true;
+        if (existing) {
+            this.pinnedProbes = this.pinnedProbes.filter((probe) => probe !== existing);
+        } else {
+            // Colors stay with their probes, so a new probe takes the first free one
+            const index = AnyScope.PROBE_COLORS.findIndex((color) => {
+                return !this.pinnedProbes.some((probe) => probe.color === color);
+            });
+            if (index < 0) return;
+            this.pinnedProbes = [...this.pinnedProbes, {
+                x: point.x,
+                y: point.y,
+                color: AnyScope.PROBE_COLORS[index],
+                label: String(index + 1)
+            }];
+        }
+        this.onProbesChanged();
     }
     
     /**
-     * Handle selection move
+     * Sample the probes again with the next analysis; still sources and held frames are redrawn for it
      */
-    onSelectionMove(e) {
-        if (!this.isSelecting || !this.selectionStart) return;
-        
-        const current = this.getRelativePosition(e);
-        
-        // Calculate selection rectangle
-        const x = Math.min(this.selectionStart.x, current.x);
-        const y = Math.min(this.selectionStart.y, current.y);
-        const width = Math.abs(current.x - this.selectionStart.x);
-        const height = Math.abs(current.y - this.selectionStart.y);
-        
-        this.selectedZone = { x, y, width, height };
+    onProbesChanged() {
+        this.needsAnalysis = true;
+        this.clearProbesButton.disabled = this.pinnedProbes.length === 0;
         this.drawSelectionOverlay();
+        if (!this.isCapturing) {
+            this.probeSamples = [];
+            this.renderProbeList();
+        }
     }
     
     /**
-     * Handle selection end
+     * Sample every probe at full resolution from the frame about to be analyzed and pass them
+     * to the scopes, which mark them with it
+     * @param {object[]} regions - Regions being analyzed (see pipeline.js)
+     * @param {boolean} held - Whether the last analyzed frame is analyzed again rather than a new one
      */
-    onSelectionEnd(e) {
-        if (!this.isSelecting) return;
-        
-        this.isSelecting = false;
+    updateProbes(regions, held) {
+        const { element, width, height } = this.source;
+        const probes = this.pinnedProbes.map((probe) => ({ ...probe, pinned: true }));
+        if (this.hoverProbe) {
+            probes.push({ ...this.hoverProbe, color: AnyScope.HOVER_PROBE_COLOR, label: '', pinned: false });
+        }
         
-        // If the selection is too small, reset it
-        if (this.selectedZone && (this.selectedZone.width < AnyScope.MIN_ZONE_SIZE || this.selectedZone.height < AnyScope.MIN_ZONE_SIZE)) {
-            this.selectedZone = null;
+        // Only the pixels under the probes are kept from a frame, so a held frame has values
+        // for the probes it was captured with and no others
+        if (!held) {
+            this.probePixels.clear();
+        }
+        this.probeSamples = [];
+        for (const { x, y, color, label, pinned } of probes) {
+            const pixel = {
+                x: Math.min(Math.floor(x * width), width - 1),
+                y: Math.min(Math.floor(y * height), height - 1)
+            };
+            const key = `${pixel.x},${pixel.y}`;
+            if (!held && !this.probePixels.has(key)) {
+                this.probeCtx.drawImage(element, pixel.x, pixel.y, 1, 1, 0, 0, 1, 1);
+                const [r, g, b] = this.probeCtx.getImageData(0, 0, 1, 1).data;
+                this.probePixels.set(key, [r, g, b]);
+            }
+            if (!this.probePixels.has(key)) continue;
+            const [r, g, b] = this.probePixels.get(key);
+            
+            // Horizontal position of the pixel in each region containing it
+            const columns = regions
+                .filter(({ sx, sy, sw, sh }) => {
+                    return pixel.x >= sx && pixel.x < sx + sw && pixel.y >= sy && pixel.y < sy + sh;
+                })
+                .map(({ sx, sw }) => (pixel.x + 0.5 - sx) / sw);
+            
+            this.probeSamples.push({ color, label, pinned, pixel, r, g, b, columns });
         }
         
-        this.resetZoneButton.disabled = this.selectedZone === null;
-        this.drawSelectionOverlay();
+        this.pipeline.setOptions({
+            probes: this.probeSamples.map(({ r, g, b, columns, color, label }) => ({ r, g, b, columns, color, label }))
+        });
+        this.renderProbeList();
     }
     
     /**
-     * Reset zone selection
+     * List the probed pixels under the preview with their values. Rows are only rebuilt when
+     * probes come or go, so their buttons keep working while the values update every frame.
      */
-    resetZone() {
-        this.selectedZone = null;
-        this.resetZoneButton.disabled = true;
-        this.drawSelectionOverlay();
+    renderProbeList() {
+        const key = this.probeSamples.map(({ label }) => label).join(',');
+        if (key !== this.probeListKey) {
+            this.probeListKey = key;
+            this.probeList.replaceChildren(...this.probeSamples.map(({ color, label, pinned }) => {
+                const row = document.createElement('div');
+                row.className = 'probe-item';
+                row.innerHTML = `
+                    <span class="band-swatch" style="background: ${color}"></span>
+                    <span class="probe-name">${pinned ? label : 'Cursor'}</span>
+                    <span class="probe-values"></span>
+                `;
+                
+                if (pinned) {
+                    const remove = document.createElement('button');
+                    remove.className = 'zone-remove';
+                    remove.title = 'Unpin probe';
+                    remove.textContent = '×';
+                    remove.addEventListener('click', () => {
+                        this.pinnedProbes = this.pinnedProbes.filter((probe) => probe.label !== label);
+                        this.onProbesChanged();
+                    });
+                    row.appendChild(remove);
+                }
+                return row;
+            }));
+        }
+        
+        const colorSpace = getColorSpace(this.colorStandardSelect.value, this.signalRangeSelect.value);
+        this.probeSamples.forEach((sample, i) => {
+            this.probeList.children[i].querySelector('.probe-values').textContent = describeProbe(sample, colorSpace);
+        });
+        this.probePanel.classList.toggle('hidden', this.probeSamples.length === 0);
     }
     
     /**
-     * Draw selection overlay on the video
+     * Mark the pinned probes on the preview
+     * @param {CanvasRenderingContext2D} ctx - Selection overlay context
+     * @param {number} width - Overlay width in pixels
+     * @param {number} height - Overlay height in pixels
      */
-    drawSelectionOverlay() {
-        const ctx = this.selectionCtx;
-        const width = this.selectionCanvas.width;
-        const height = this.selectionCanvas.height;
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-        
-        if (!this.selectedZone) return;
-        
-        // Draw darkened overlay outside selection
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, width, height);
-        
-        // Calculate selection rectangle in canvas coordinates
-        const selX = this.selectedZone.x * width;
-        const selY = this.selectedZone.y * height;
-        const selW = this.selectedZone.width * width;
-        const selH = this.selectedZone.height * height;
-        
-        // Clear the selected area
-        ctx.clearRect(selX, selY, selW, selH);
-        
-        // Draw selection border
-        ctx.strokeStyle = '#00d4ff';
+    drawProbeMarkers(ctx, width, height) {
         ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.strokeRect(selX, selY, selW, selH);
-        
-        // Draw corner handles
-        ctx.setLineDash([]);
-        ctx.fillStyle = '#00d4ff';
-        const handleSize = AnyScope.SELECTION_HANDLE_SIZE;
-        
-        // Top-left
-        ctx.fillRect(selX - handleSize/2, selY - handleSize/2, handleSize, handleSize);
-        // Top-right
-        ctx.fillRect(selX + selW - handleSize/2, selY - handleSize/2, handleSize, handleSize);
-        // Bottom-left
-        ctx.fillRect(selX - handleSize/2, selY + selH - handleSize/2, handleSize, handleSize);
-        // Bottom-right
-        ctx.fillRect(selX + selW - handleSize/2, selY + selH - handleSize/2, handleSize, handleSize);
-        
-        // Draw zone label
-        ctx.fillStyle = '#00d4ff';
-        ctx.font = '12px sans-serif';
-        const label = `Zone: ${Math.round(this.selectedZone.width * 100)}% × ${Math.round(this.selectedZone.height * 100)}%`;
-        ctx.fillText(label, selX + 5, selY - 5);
+        ctx.font = 'bold 12px sans-serif';
+        for (const { x, y, color, label } of this.pinnedProbes) {
+            const px = x * width;
+            const py = y * height;
+            
+            // Dark outline keeps the marker visible on light pictures
+            for (const [style, lineWidth] of [['rgba(0, 0, 0, 0.7)', 4], [color, 2]]) {
+                ctx.strokeStyle = style;
+                ctx.lineWidth = lineWidth;
+                ctx.beginPath();
+                ctx.arc(px, py, 5, 0, Math.PI * 2);
+                ctx.moveTo(px - 10, py);
+                ctx.lineTo(px - 6, py);
+                ctx.moveTo(px + 6, py);
+                ctx.lineTo(px + 10, py);
+                ctx.moveTo(px, py - 10);
+                ctx.lineTo(px, py - 6);
+                ctx.moveTo(px, py + 6);
+                ctx.lineTo(px, py + 10);
+                ctx.stroke();
+            }
+            ctx.fillStyle = color;
+            ctx.fillText(label, px + 9, py - 7);
+        }
+        ctx.lineWidth = 1;
     }
     
     /**
-     * Initialize scope visibility toggles
+     * Drag on the waveform or parade to select a level band, or on the vectorscope to select
+     * a hue/saturation wedge; a click clears the brush
      */
-    initScopeToggles() {
-        const toggles = {
-            showWaveform: 'waveform',
-            showParade: 'parade',
-            showVectorscope: 'vectorscope',
-            showHistogram: 'histogram'
-        };
-        
-        for (const [checkboxId, scopeKey] of Object.entries(toggles)) {
-            const checkbox = document.getElementById(checkboxId);
-            checkbox.addEventListener('change', (e) => {
-                this.scopeContainers[scopeKey].classList.toggle('hidden', !e.target.checked);
+    initBrushing() {
+        for (const [scope, id] of Object.entries(AnyScope.INTERACTIVE_SCOPES)) {
+            const canvas = document.getElementById(id);
+            canvas.addEventListener('mousedown', (e) => {
+                // Side by side, the scopes show two frames at once
+                if (e.button !== 0 || this.isSideBySide()) return;
+                e.preventDefault();
+                
+                // Markers take the press when one is added or grabbed
+                const point = this.getScopePoint(canvas, e);
+                if (this.startMarkerDrag(scope, canvas, point, e.shiftKey)) return;
+                this.brushDrag = { scope, canvas, x0: point.x, y0: point.y };
             });
         }
+        
+        this.listenForScopeDrags(window);
+        this.clearBrushButton.addEventListener('click', () => this.setBrush(null));
+        this.updateBrushInfo(null);
     }
     
     /**
-     * Start screen capture
+     * Follow brush and marker drags on a window, the page's or a pop-out's, so a drag can
+     * leave the canvas it started on
+     * @param {Window} win
      */
-    async startCapture() {
-        try {
-            // Request screen capture with options
-            const displayMediaOptions = {
-                video: {
-                    cursor: 'always',
-                    displaySurface: 'monitor' // Hint to prefer full screen options
-                },
-                audio: false
-            };
-            
-            this.mediaStream = await navigator.mediaDevices.getDisplayMedia(displayMediaOptions);
-            
-            // Set up video element
-            this.video.srcObject = this.mediaStream;
-            
-            // Handle when the user stops sharing via browser UI
-            this.mediaStream.getVideoTracks()[0].addEventListener('ended', () => {
-                this.stopCapture();
-            });
-            
-            // Wait for video to be ready
-            await new Promise((resolve) => {
-                this.video.onloadeddata = resolve;
-            });
-            
-            // Update UI
-            this.placeholder.classList.add('hidden');
-            this.startButton.disabled = true;
-            this.stopButton.disabled = false;
-            this.isCapturing = true;
-            
-            // Update selection canvas size
-            this.updateSelectionCanvasSize();
-            
-            // Start the analysis loop
-            this.startAnalysisLoop();
-            
-        } catch (error) {
-            console.error('Error starting screen capture:', error);
-            if (error.name === 'NotAllowedError') {
-                alert('Screen capture permission was denied. Please allow screen sharing to use this application.');
-            } else {
-                alert('Error starting screen capture: ' + error.message);
+    listenForScopeDrags(win) {
+        win.addEventListener('mousemove', (e) => {
+            if (this.brushDrag) this.updateBrushDrag(e, false);
+            if (this.markerDrag) this.moveMarker(this.getScopePoint(this.markerDrag.canvas, e));
+        });
+        win.addEventListener('mouseup', (e) => {
+            if (this.brushDrag) this.updateBrushDrag(e, true);
+            if (this.markerDrag) {
+                this.markerDrag = null;
+                this.renderMarkerList();
+                this.scheduleSettingsSave();
             }
-        }
+        });
     }
     
     /**
-     * Stop screen capture
+     * Get the pointer position on a scope canvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {MouseEvent} e
+     * @returns {{ x: number, y: number }} Position as fractions of the canvas, clamped to it
      */
-    stopCapture() {
-        // Stop analysis loop
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
+    getScopePoint(canvas, e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+            y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+        };
+    }
+    
+    /**
+     * Follow the pointer while a brush is dragged out
+     * @param {MouseEvent} e
+     * @param {boolean} done - Whether the button was released
+     */
+    updateBrushDrag(e, done) {
+        const { scope, canvas, x0, y0 } = this.brushDrag;
+        const { x, y } = this.getScopePoint(canvas, e);
+        if (done) this.brushDrag = null;
         
-        // Stop media stream
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-            this.mediaStream = null;
+        const rect = canvas.getBoundingClientRect();
+        const isClick = Math.abs(x - x0) * rect.width <= AnyScope.CLICK_TOLERANCE &&
+            Math.abs(y - y0) * rect.height <= AnyScope.CLICK_TOLERANCE;
+        if (isClick) {
+            if (done) this.setBrush(null);
+            return;
         }
+        this.setBrush({ scope, x0, y0, x1: x, y1: y });
+    }
+    
+    /**
+     * Change the scope brush
+     * @param {object|null} brush - See brush.js, or null for none
+     */
+    setBrush(brush) {
+        if (!brush && !this.brush) return;
+        this.brush = brush;
+        this.setPipelineOptions({ brush });
+        this.updateBrushInfo(null);
+    }
+    
+    /**
+     * Show how much of each zone the brush selects
+     * @param {object[]|null} analyses - Analysis result (or worker summary) per region
+     */
+    updateBrushInfo(analyses) {
+        this.brushPanel.classList.toggle('hidden', !this.brush);
+        if (!this.brush) return;
         
-        // Clear video
-        this.video.srcObject = null;
-        
-        // Update UI
-        this.placeholder.classList.remove('hidden');
-        this.startButton.disabled = false;
-        this.stopButton.disabled = true;
-        this.isCapturing = false;
-        
-        // Reset zone selection
-        this.selectedZone = null;
-        this.resetZoneButton.disabled = true;
-        this.selectionCtx.clearRect(0, 0, this.selectionCanvas.width, this.selectionCanvas.height);
+        const title = `Brush on the ${this.brush.scope}`;
+        if (!analyses || analyses.some(({ stats }) => stats.brushed === null)) {
+            this.brushInfo.textContent = title;
+            return;
+        }
         
-        // Clear scopes
-        this.scopes.clearAll();
+        const shares = analyses.map(({ stats }, i) => {
+            const share = `${stats.brushed.toFixed(1)}%`;
+            return analyses.length > 1 ? `${this.lastRegions[i].label} ${share}` : share;
+        });
+        this.brushInfo.textContent = `${title}: ${shares.join(' · ')} of pixels`;
     }
     
     /**
-     * Start the continuous analysis loop
+     * Initialize reference lines, angle markers and the level/hue readouts of the scopes
      */
-    startAnalysisLoop() {
-        const analyzeFrame = () => {
-            if (!this.isCapturing) return;
-            
-            // Capture current frame
-            if (this.video.readyState >= this.video.HAVE_CURRENT_DATA) {
-                // Get source dimensions
-                const srcWidth = this.video.videoWidth;
-                const srcHeight = this.video.videoHeight;
+    initScopeMarkers() {
+        for (const [scope, id] of Object.entries(AnyScope.INTERACTIVE_SCOPES)) {
+            const canvas = document.getElementById(id);
+            canvas.addEventListener('mousemove', (e) => {
+                const point = this.getScopePoint(canvas, e);
+                this.updateScopeReadout(scope, canvas, point);
                 
-                // Calculate zone to analyze
-                let zoneX = 0;
-                let zoneY = 0;
-                let zoneW = srcWidth;
-                let zoneH = srcHeight;
-                
-                if (this.selectedZone) {
-                    zoneX = Math.floor(this.selectedZone.x * srcWidth);
-                    zoneY = Math.floor(this.selectedZone.y * srcHeight);
-                    zoneW = Math.floor(this.selectedZone.width * srcWidth);
-                    zoneH = Math.floor(this.selectedZone.height * srcHeight);
-                    
-                    // Ensure minimum size
-                    zoneW = Math.max(zoneW, AnyScope.MIN_ZONE_PIXELS);
-                    zoneH = Math.max(zoneH, AnyScope.MIN_ZONE_PIXELS);
+                // Show which markers can be dragged
+                if (!this.markerDrag) {
+                    const marker = this.isSideBySide() ? null : this.hitTestMarker(scope, canvas, point);
+                    canvas.style.cursor = marker ? (scope === 'vectorscope' ? 'move' : 'ns-resize') : '';
                 }
-                
-                // Scale down for performance (analyze at lower resolution)
-                const maxAnalysisWidth = 320;
-                const scale = Math.min(1, maxAnalysisWidth / zoneW);
-                const analysisWidth = Math.floor(zoneW * scale);
-                const analysisHeight = Math.floor(zoneH * scale);
-                
-                this.captureCanvas.width = analysisWidth;
-                this.captureCanvas.height = analysisHeight;
-                
-                // Draw only the selected zone (or full frame if no zone selected)
-                this.captureCtx.drawImage(
-                    this.video,
-                    zoneX, zoneY, zoneW, zoneH,    // Source rectangle
-                    0, 0, analysisWidth, analysisHeight // Destination rectangle
-                );
-                
-                // Get image data
-                const imageData = this.captureCtx.getImageData(0, 0, analysisWidth, analysisHeight);
-                
-                // Analyze and render scopes
-                this.scopes.analyze(imageData);
-            }
-            
-            // Schedule next frame (throttle to ~15 fps for better performance)
-            this.animationFrameId = setTimeout(() => {
-                requestAnimationFrame(analyzeFrame);
-            }, 66); // ~15 fps
+            });
+            canvas.addEventListener('mouseleave', () => this.updateScopeReadout(scope, canvas, null));
+        }
+        
+        this.addLevelLineButton.addEventListener('click', () => {
+            this.addMarker('waveform', { level: AnyScope.NEW_LEVEL_LINE });
+        });
+        this.addAngleMarkerButton.addEventListener('click', () => {
+            this.addMarker('vectorscope', { angle: AnyScope.NEW_ANGLE_MARKER });
+        });
+        this.renderMarkerList();
+    }
+    
+    /**
+     * Get the hue and saturation at a point on the vectorscope canvas, allowing for the
+     * halves of the side-by-side view
+     * @param {HTMLCanvasElement} canvas - Vectorscope canvas
+     * @param {{ x: number, y: number }} point - Position as fractions of the canvas
+     * @returns {{ angle: number, saturation: number, distance: number }} Degrees counterclockwise
+     *   from +Cb (0-360), percent of the outer circle at 1×, and pixels from the center
+     */
+    getVectorscopePolar(canvas, point) {
+        let { x, y } = point;
+        let scale = 1;
+        if (this.isSideBySide()) {
+            scale = 0.5;
+            x = (x % 0.5) * 2;
+            y = (y - 0.25) * 2;
+        }
+        
+        const dx = (x - 0.5) * canvas.width;
+        const dy = (0.5 - y) * canvas.height;
+        const zoom = Number(this.vectorscopeZoomSelect.value) || 1;
+        const radius = vectorscopeRadius(canvas.width) * zoom;
+        return {
+            angle: (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360,
+            saturation: (Math.hypot(dx, dy) / radius) * 100,
+            distance: Math.hypot(dx, dy) * scale
+        };
+    }
+    
+    /**
+     * Show the level, or the hue and saturation, under the pointer
+     * @param {string} scope - Key of INTERACTIVE_SCOPES
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ x: number, y: number }|null} point - Pointer position as fractions of the canvas,
+     *   or null when it left
+     */
+    updateScopeReadout(scope, canvas, point) {
+        const readout = this.scopeReadouts[scope];
+        if (!point) {
+            readout.textContent = this.scopeReadoutHints[scope];
+            return;
+        }
+        
+        if (scope === 'vectorscope') {
+            const { angle, saturation } = this.getVectorscopePolar(canvas, point);
+            readout.textContent = `Hue ${angle.toFixed(1)}° · Saturation ${saturation.toFixed(1)}%`;
+            return;
+        }
+        
+        // Parade-style layouts name the section under the pointer; side by side, each half has all three
+        const x = this.isSideBySide() ? (point.x % 0.5) * 2 : point.x;
+        const section = Math.min(2, Math.floor(x * 3));
+        const names = scope === 'parade' ? ['R', 'G', 'B']
+            : this.waveformModeSelect.value === 'ycbcr' ? ['Y', 'Cb', 'Cr']
+            : null;
+        const name = names ? names[section] : 'Level';
+        
+        // Levels read in the graticule's unit too, unless that is code values already
+        const level = (1 - point.y) * 255;
+        const colorSpace = getColorSpace(this.colorStandardSelect.value, this.signalRangeSelect.value);
+        const unit = this.graticuleUnitSelect.value;
+        const value = name === 'Cb' || name === 'Cr'
+            ? `${level.toFixed(1)} (${level >= 128 ? '+' : ''}${(level - 128).toFixed(1)})`
+            : unit === 'code8' ? level.toFixed(1)
+            : `${level.toFixed(1)} · ${formatLevel(level, unit, colorSpace, this.graticuleTransferSelect.value)}`;
+        readout.textContent = `${name} ${value}`;
+    }
+    
+    /**
+     * Find the marker under a point on a scope
+     * @param {string} scope - Key of INTERACTIVE_SCOPES
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ x: number, y: number }} point - Position as fractions of the canvas
+     * @returns {object|null} The nearest reference line or angle marker within grabbing distance
+     */
+    hitTestMarker(scope, canvas, point) {
+        const rect = canvas.getBoundingClientRect();
+        const grab = AnyScope.MARKER_GRAB_DISTANCE;
+        let best = null;
+        let bestDistance = Infinity;
+        
+        if (scope === 'vectorscope') {
+            // Distance from the marker's line, beyond a little circle where all lines meet
+            const { angle, distance } = this.getVectorscopePolar(canvas, point);
+            const pixels = distance * (rect.width / canvas.width);
+            if (pixels < grab * 2) return null;
+            for (const marker of this.angleMarkers) {
+                const difference = Math.abs(((angle - marker.angle + 540) % 360) - 180);
+                const offset = Math.sin(Math.min(difference, 90) * Math.PI / 180) * pixels;
+                if (offset <= grab && offset < bestDistance) {
+                    best = marker;
+                    bestDistance = offset;
+                }
+            }
+        } else {
+            const level = (1 - point.y) * 255;
+            for (const marker of this.levelLines) {
+                const offset = (Math.abs(marker.level - level) / 255) * rect.height;
+                if (offset <= grab && offset < bestDistance) {
+                    best = marker;
+                    bestDistance = offset;
+                }
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Handle a press on a scope: Shift adds a marker at the pointer and starts dragging it,
+     * otherwise a marker under the pointer is picked up
+     * @param {string} scope - Key of INTERACTIVE_SCOPES
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ x: number, y: number }} point - Position as fractions of the canvas
+     * @param {boolean} add - Whether to add a marker
+     * @returns {boolean} Whether a marker is being dragged
+     */
+    startMarkerDrag(scope, canvas, point, add) {
+        let marker = null;
+        if (add) {
+            marker = scope === 'vectorscope'
+                ? this.addMarker(scope, { angle: this.getVectorscopePolar(canvas, point).angle })
+                : this.addMarker(scope, { level: (1 - point.y) * 255 });
+        } else {
+            marker = this.hitTestMarker(scope, canvas, point);
+        }
+        
+        if (!marker) return false;
+        this.markerDrag = { marker, canvas };
+        return true;
+    }
+    
+    /**
+     * Move the dragged marker to the pointer
+     * @param {{ x: number, y: number }} point - Position as fractions of the dragged-on canvas
+     */
+    moveMarker(point) {
+        const { marker, canvas } = this.markerDrag;
+        if ('angle' in marker) {
+            marker.angle = Math.round(this.getVectorscopePolar(canvas, point).angle * 10) / 10;
+        } else {
+            marker.level = Math.round((1 - point.y) * 2550) / 10;
+        }
+        this.applyScopeMarkers();
+    }
+    
+    /**
+     * Add a reference line or angle marker
+     * @param {string} scope - 'vectorscope' for an angle marker, otherwise a reference line
+     * @param {{ level?: number, angle?: number, label?: string }} values
+     * @returns {object|null} The marker, or null when there are already as many as allowed
+     */
+    addMarker(scope, { level = 0, angle = 0, label = '' }) {
+        const list = scope === 'vectorscope' ? this.angleMarkers : this.levelLines;
+        if (list.length >= AnyScope.MAX_MARKERS) return null;
+        
+        const marker = scope === 'vectorscope'
+            ? { id: this.nextMarkerId++, angle: Math.round(angle * 10) / 10, label }
+            : { id: this.nextMarkerId++, level: Math.round(level * 10) / 10, label };
+        list.push(marker);
+        this.applyScopeMarkers();
+        this.renderMarkerList();
+        this.scheduleSettingsSave();
+        return marker;
+    }
+    
+    /**
+     * Remove a reference line or angle marker
+     * @param {object} marker
+     */
+    removeMarker(marker) {
+        this.levelLines = this.levelLines.filter((line) => line !== marker);
+        this.angleMarkers = this.angleMarkers.filter((line) => line !== marker);
+        this.applyScopeMarkers();
+        this.renderMarkerList();
+        this.scheduleSettingsSave();
+    }
+    
+    /**
+     * Send the markers to the scopes
+     */
+    applyScopeMarkers() {
+        this.setPipelineOptions({
+            levelLines: this.levelLines.map(({ level, label }) => ({ level, label })),
+            angleMarkers: this.angleMarkers.map(({ angle, label }) => ({ angle, label }))
+        });
+    }
+    
+    /**
+     * Rebuild the list of markers, each with its label, value and a remove button
+     */
+    renderMarkerList() {
+        this.markerList.replaceChildren();
+        
+        const rows = [
+            ...this.levelLines.map((marker) => ({ marker, kind: 'Level', key: 'level', min: 0, max: 255 })),
+            ...this.angleMarkers.map((marker) => ({ marker, kind: 'Hue °', key: 'angle', min: 0, max: 359.9 }))
+        ];
+        for (const { marker, kind, key, min, max } of rows) {
+            const item = document.createElement('div');
+            item.className = 'zone-item marker-item';
+            item.innerHTML = `
+                <span class="marker-kind">${kind}</span>
+                <input type="number" min="${min}" max="${max}" step="0.1" title="${kind}">
+                <input type="text" maxlength="24" placeholder="Label" title="Label">
+                <button class="zone-remove" title="Remove">×</button>
+            `;
+            
+            const [valueInput, labelInput] = item.querySelectorAll('input');
+            valueInput.value = marker[key];
+            valueInput.addEventListener('change', () => {
+                const value = parseFloat(valueInput.value);
+                if (Number.isFinite(value)) {
+                    marker[key] = key === 'angle' ? ((value % 360) + 360) % 360 : Math.min(Math.max(value, min), max);
+                    this.applyScopeMarkers();
+                }
+                valueInput.value = marker[key];
+            });
+            labelInput.value = marker.label;
+            labelInput.addEventListener('change', () => {
+                marker.label = labelInput.value.trim();
+                this.applyScopeMarkers();
+            });
+            item.querySelector('button').addEventListener('click', () => this.removeMarker(marker));
+            
+            this.markerList.appendChild(item);
+        }
+        
+        this.addLevelLineButton.disabled = this.levelLines.length >= AnyScope.MAX_MARKERS;
+        this.addAngleMarkerButton.disabled = this.angleMarkers.length >= AnyScope.MAX_MARKERS;
+    }
+    
+    /**
+     * Replace every marker, e.g. from saved settings
+     * @param {{ levels: object[], angles: object[] }} markers - Saved lines ({ level, label })
+     *   and angle markers ({ angle, label }); invalid entries are skipped
+     */
+    setScopeMarkers({ levels = [], angles = [] }) {
+        const label = (value) => String(value || '').slice(0, 24);
+        const isEntry = (value) => Boolean(value) && typeof value === 'object';
+        this.levelLines = levels
+            .filter((line) => isEntry(line) && Number.isFinite(line.level))
+            .slice(0, AnyScope.MAX_MARKERS)
+            .map((line) => ({ id: this.nextMarkerId++, level: Math.min(Math.max(line.level, 0), 255), label: label(line.label) }));
+        this.angleMarkers = angles
+            .filter((marker) => isEntry(marker) && Number.isFinite(marker.angle))
+            .slice(0, AnyScope.MAX_MARKERS)
+            .map((marker) => ({ id: this.nextMarkerId++, angle: ((marker.angle % 360) + 360) % 360, label: label(marker.label) }));
+        this.applyScopeMarkers();
+        this.renderMarkerList();
+    }
+    
+    /**
+     * Update selection canvas size to match video display size
+     */
+    updateSelectionCanvasSize() {
+        const element = this.source ? this.source.element : this.video;
+        const rect = element.getBoundingClientRect();
+        this.selectionCanvas.width = rect.width;
+        this.selectionCanvas.height = rect.height;
+    }
+    
+    /**
+     * Get mouse/touch position relative to the video content
+     */
+    getRelativePosition(e) {
+        const rect = this.selectionCanvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        const y = (e.clientY - rect.top) / rect.height;
+        return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+    }
+    
+    /**
+     * Handle selection start: grab a zone's handle, edge or inside, or start drawing a new zone
+     */
+    onSelectionStart(e) {
+        if (!this.isCapturing) return;
+        
+        // Alt+click pins a probe anywhere, also inside zones
+        const point = this.getRelativePosition(e);
+        if (e.altKey) {
+            this.toggleProbe(point);
+            return;
+        }
+        
+        const hit = hitTestZones(this.zones, point, this.selectionCanvas.width, this.selectionCanvas.height,
+            AnyScope.SELECTION_HANDLE_SIZE);
+        
+        if (hit) {
+            this.setActiveZone(hit.zone);
+            this.dragState = {
+                mode: hit.handle === 'move' ? 'move' : 'resize',
+                start: point,
+                zone: hit.zone,
+                handle: hit.handle,
+                original: { ...hit.zone }
+            };
+            return;
+        }
+        
+        // Empty space: a click deselects and pins a probe, a drag draws a new zone
+        this.setActiveZone(null);
+        if (this.zones.length >= AnyScope.MAX_ZONES) return;
+        
+        this.dragState = { mode: 'create', start: point };
+        this.draftZone = null;
+    }
+    
+    /**
+     * Handle selection move
+     */
+    onSelectionMove(e) {
+        const current = this.getRelativePosition(e);
+        const state = this.dragState;
+        
+        if (!state) {
+            this.updateSelectionCursor(current);
+            this.setHoverProbe(this.isCapturing ? current : null);
+            return;
+        }
+        
+        if (state.mode === 'move') {
+            const dx = current.x - state.start.x;
+            const dy = current.y - state.start.y;
+            Object.assign(state.zone, moveZone(state.original, dx, dy));
+            this.onZoneGeometryChanged();
+            return;
+        }
+        
+        if (state.mode === 'resize') {
+            // Shift keeps the zone's aspect ratio
+            const lockAspect = Boolean(e.shiftKey);
+            Object.assign(state.zone, resizeZone(state.original, state.handle, current, lockAspect, AnyScope.MIN_ZONE_SIZE));
+            this.onZoneGeometryChanged();
+            return;
+        }
+        
+        // Calculate selection rectangle
+        const x = Math.min(state.start.x, current.x);
+        const y = Math.min(state.start.y, current.y);
+        const width = Math.abs(current.x - state.start.x);
+        const height = Math.abs(current.y - state.start.y);
+        
+        const color = AnyScope.ZONE_COLORS.find((c) => !this.zones.some((zone) => zone.color === c));
+        this.draftZone = { x, y, width, height, color, label: `Zone ${this.nextZoneNumber}` };
+        this.drawSelectionOverlay();
+    }
+    
+    /**
+     * Check whether a drawn zone is small enough to have been meant as a click
+     * @param {object|null} draft - Zone dragged out, or null if the pointer never moved
+     * @returns {boolean}
+     */
+    isClick(draft) {
+        return !draft || (draft.width * this.selectionCanvas.width <= AnyScope.CLICK_TOLERANCE &&
+            draft.height * this.selectionCanvas.height <= AnyScope.CLICK_TOLERANCE);
+    }
+    
+    /**
+     * Handle selection end
+     */
+    onSelectionEnd(e) {
+        const state = this.dragState;
+        if (!state) return;
+        
+        this.dragState = null;
+        if (state.mode !== 'create') return;
+        
+        const draft = this.draftZone;
+        this.draftZone = null;
+        
+        // Selections that are too small are dropped, and a click without a drag pins a probe
+        if (draft && draft.width >= AnyScope.MIN_ZONE_SIZE && draft.height >= AnyScope.MIN_ZONE_SIZE) {
+            const zone = { ...draft, id: this.nextZoneId++ };
+            this.nextZoneNumber++;
+            this.activeZone = zone;
+            this.setZones([...this.zones, zone]);
+        } else if (e.type !== 'mouseleave' && this.isClick(draft)) {
+            this.toggleProbe(state.start);
+        } else {
+            this.drawSelectionOverlay();
+        }
+    }
+    
+    /**
+     * Show which drag a press at a position would start
+     * @param {{ x: number, y: number }} point - Normalized position
+     */
+    updateSelectionCursor(point) {
+        const hit = this.isCapturing
+            ? hitTestZones(this.zones, point, this.selectionCanvas.width, this.selectionCanvas.height,
+                AnyScope.SELECTION_HANDLE_SIZE)
+            : null;
+        this.selectionCanvas.style.cursor = hit ? HANDLE_CURSORS[hit.handle] : '';
+    }
+    
+    /**
+     * Nudge the active zone with the arrow keys, by 1 source pixel or 10 with Shift
+     * @param {KeyboardEvent} e
+     */
+    onZoneKeyDown(e) {
+        const zone = this.activeZone;
+        if (!zone || !this.source) return;
+        
+        // Arrow keys keep their meaning in form fields (labels, inspector, scrubber)
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        
+        const step = e.shiftKey ? AnyScope.NUDGE_STEP_LARGE : AnyScope.NUDGE_STEP;
+        const offsets = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+        const offset = offsets[e.key];
+        if (!offset) return;
+        
+        e.preventDefault();
+        Object.assign(zone, moveZone(zone, offset[0] / this.source.width, offset[1] / this.source.height));
+        this.onZoneGeometryChanged();
+    }
+    
+    /**
+     * Set the active zone from the inspector's source pixel values
+     */
+    applyZoneInspector() {
+        const zone = this.activeZone;
+        if (!zone || !this.source) return;
+        
+        const rect = {};
+        for (const [key, input] of Object.entries(this.zoneInputs)) {
+            rect[key] = parseFloat(input.value);
+        }
+        
+        // Invalid entries fall back to the current values
+        if (Object.values(rect).every(Number.isFinite)) {
+            Object.assign(zone, sourceRectToZone(rect, this.source.width, this.source.height, AnyScope.MIN_ZONE_PIXELS));
+        }
+        this.onZoneGeometryChanged();
+    }
+    
+    /**
+     * Update the inspector with the active zone in source pixels, or hide it
+     */
+    updateZoneInspector() {
+        const zone = this.activeZone;
+        const visible = Boolean(zone && this.source);
+        this.zoneInspector.classList.toggle('hidden', !visible);
+        if (!visible) return;
+        
+        this.zoneInspectorLabel.textContent = zone.label;
+        this.zoneInspectorLabel.style.color = zone.color;
+        const rect = zoneToSourceRect(zone, this.source.width, this.source.height);
+        for (const [key, input] of Object.entries(this.zoneInputs)) {
+            input.value = rect[key];
+        }
+    }
+    
+    /**
+     * Update everything that follows a zone being moved or resized
+     */
+    onZoneGeometryChanged() {
+        this.needsAnalysis = true;
+        this.updateZoneInspector();
+        this.drawSelectionOverlay();
+        this.scheduleSettingsSave();
+    }
+    
+    /**
+     * Select the zone that arrow keys and the inspector act on
+     * @param {object|null} zone - One of this.zones, or null to deselect
+     */
+    setActiveZone(zone) {
+        if (zone === this.activeZone) return;
+        
+        this.activeZone = zone;
+        for (const item of this.zoneList.children) {
+            item.classList.toggle('active', item.zone === zone);
+        }
+        this.updateZoneInspector();
+        this.drawSelectionOverlay();
+    }
+    
+    /**
+     * Remove every zone
+     */
+    resetZones() {
+        this.setZones([]);
+    }
+    
+    /**
+     * Remove one zone
+     * @param {object} zone - One of this.zones
+     */
+    removeZone(zone) {
+        this.setZones(this.zones.filter((z) => z !== zone));
+    }
+    
+    /**
+     * Replace the zones and update everything that shows them
+     * @param {object[]} zones
+     */
+    setZones(zones) {
+        this.zones = zones;
+        if (zones.length === 0) {
+            this.nextZoneNumber = 1;
+        }
+        if (!zones.includes(this.activeZone)) {
+            this.activeZone = null;
+        }
+        
+        // A zone target goes with its zone, the whole frame once there are zones
+        const target = this.matchTarget;
+        if (target && (target.zone ? !zones.includes(target.zone) : zones.length > 0)) {
+            this.setMatchTarget(null);
+        }
+        
+        this.resetZoneButton.disabled = zones.length === 0;
+        this.measurementHistory.clear();
+        this.renderZoneList();
+        this.updateZoneInspector();
+        this.needsAnalysis = true;
+        this.drawSelectionOverlay();
+        this.scheduleSettingsSave();
+    }
+    
+    /**
+     * List the zones under the preview, with editable labels
+     */
+    renderZoneList() {
+        this.zoneList.replaceChildren();
+        
+        for (const zone of this.zones) {
+            const item = document.createElement('div');
+            item.className = 'zone-item';
+            item.classList.toggle('active', zone === this.activeZone);
+            item.zone = zone;
+            item.innerHTML = `
+                <span class="band-swatch" style="background: ${zone.color}"></span>
+                <input type="text" maxlength="24" title="Zone label">
+                <button class="zone-remove" title="Remove zone">×</button>
+            `;
+            
+            const input = item.querySelector('input');
+            input.value = zone.label;
+            input.addEventListener('change', () => {
+                zone.label = input.value.trim() || zone.label;
+                input.value = zone.label;
+                this.needsAnalysis = true;
+                this.updateZoneInspector();
+                this.drawSelectionOverlay();
+            });
+            item.querySelector('button').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeZone(zone);
+            });
+            
+            // Clicking a zone in the list selects it for editing
+            item.addEventListener('click', () => this.setActiveZone(zone));
+            
+            this.zoneList.appendChild(item);
+        }
+    }
+    
+    /**
+     * Draw selection overlay on the video
+     */
+    drawSelectionOverlay() {
+        const ctx = this.selectionCtx;
+        const width = this.selectionCanvas.width;
+        const height = this.selectionCanvas.height;
+        const zones = this.draftZone ? [...this.zones, this.draftZone] : this.zones;
+        
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+        
+        // Zones kept while stopped are only shown over a source
+        if (!this.isCapturing) return;
+        
+        if (zones.length > 0) {
+            // Draw darkened overlay outside the zones
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, width, height);
+            
+            // Clear the selected areas
+            for (const zone of zones) {
+                ctx.clearRect(zone.x * width, zone.y * height, zone.width * width, zone.height * height);
+            }
+        }
+        
+        // Per-pixel overlays of the analyzed regions
+        for (const frame of this.overlayFrames) {
+            const rect = {
+                x: frame.zone.x * width,
+                y: frame.zone.y * height,
+                width: frame.zone.width * width,
+                height: frame.zone.height * height
+            };
+            
+            if (frame.lumaMap && this.falseColorCheckbox.checked) {
+                this.falseColor.draw(ctx, rect, frame.lumaMap, frame.width, frame.height);
+            }
+            
+            if (frame.brushMask) {
+                this.brushOverlay.draw(ctx, rect, frame.brushMask, frame.width, frame.height);
+            }
+            
+            // Zebras over out-of-range pixels
+            if (frame.legalMask && this.zebraCheckbox.checked) {
+                this.zebras.draw(ctx, rect, frame.legalMask, frame.width, frame.height, performance.now());
+            }
+        }
+        
+        if (this.falseColorCheckbox.checked && this.isCapturing) {
+            this.falseColor.drawLegend(ctx);
+        }
+        
+        for (const zone of zones) {
+            this.drawZoneOutline(ctx, zone, width, height, zone === this.activeZone);
+        }
+        
+        this.drawProbeMarkers(ctx, width, height);
+    }
+    
+    /**
+     * Draw a zone's border, handles and label in its color
+     * @param {CanvasRenderingContext2D} ctx - Selection overlay context
+     * @param {object} zone - Zone in normalized coordinates
+     * @param {number} width - Overlay width in pixels
+     * @param {number} height - Overlay height in pixels
+     * @param {boolean} [active=false] - Zone is being edited: solid border and edge handles
+     */
+    drawZoneOutline(ctx, zone, width, height, active = false) {
+        // Calculate selection rectangle in canvas coordinates
+        const selX = zone.x * width;
+        const selY = zone.y * height;
+        const selW = zone.width * width;
+        const selH = zone.height * height;
+        
+        // Draw selection border
+        ctx.strokeStyle = zone.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(active ? [] : [5, 5]);
+        ctx.strokeRect(selX, selY, selW, selH);
+        
+        // Draw corner handles, plus edge handles on the active zone
+        ctx.setLineDash([]);
+        ctx.fillStyle = zone.color;
+        const handleSize = AnyScope.SELECTION_HANDLE_SIZE;
+        const handles = [[0, 0], [1, 0], [0, 1], [1, 1]];
+        if (active) {
+            handles.push([0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]);
+        }
+        for (const [hx, hy] of handles) {
+            ctx.fillRect(selX + selW * hx - handleSize/2, selY + selH * hy - handleSize/2, handleSize, handleSize);
+        }
+        
+        // Draw zone label
+        ctx.fillStyle = zone.color;
+        ctx.font = '12px sans-serif';
+        const label = `${zone.label}: ${Math.round(zone.width * 100)}% × ${Math.round(zone.height * 100)}%`;
+        ctx.fillText(label, selX + 5, selY - 5);
+    }
+    
+    /**
+     * Initialize scope visibility toggles
+     */
+    initScopeToggles() {
+        for (const [id, container] of Object.entries(this.scopeContainers)) {
+            document.getElementById(toggleId(id)).addEventListener('change', (e) => {
+                container.classList.toggle('hidden', !e.target.checked);
+            });
+        }
+    }
+    
+    /**
+     * Initialize color standard, signal range, waveform mode and vectorscope selectors
+     */
+    initAnalysisOptions() {
+        const applyColorSpace = () => {
+            this.setPipelineOptions({
+                colorStandard: this.colorStandardSelect.value,
+                signalRange: this.signalRangeSelect.value
+            });
+        };
+        
+        this.colorStandardSelect.addEventListener('change', applyColorSpace);
+        this.signalRangeSelect.addEventListener('change', applyColorSpace);
+        applyColorSpace();
+        
+        const applyWaveformMode = () => {
+            const mode = this.waveformModeSelect.value;
+            this.setPipelineOptions({ waveformMode: mode });
+            this.waveformInfo.textContent = AnyScope.WAVEFORM_MODE_INFO[mode];
+        };
+        
+        this.waveformModeSelect.addEventListener('change', applyWaveformMode);
+        applyWaveformMode();
+        
+        const vectorscopeZoomSelect = document.getElementById('vectorscopeZoom');
+        const vectorscopeTargetsSelect = document.getElementById('vectorscopeTargets');
+        const vectorscopeModeSelect = document.getElementById('vectorscopeMode');
+        const applyVectorscope = () => {
+            this.setPipelineOptions({
+                vectorscopeZoom: Number(vectorscopeZoomSelect.value),
+                vectorscopeTargets: Number(vectorscopeTargetsSelect.value),
+                vectorscopeMode: vectorscopeModeSelect.value
+            });
+        };
+        
+        for (const select of [vectorscopeZoomSelect, vectorscopeTargetsSelect, vectorscopeModeSelect]) {
+            select.addEventListener('change', applyVectorscope);
+        }
+        applyVectorscope();
+        
+        const applyHistogram = () => {
+            this.setPipelineOptions({
+                histogramMode: this.histogramModeSelect.value,
+                histogramScale: this.histogramScaleSelect.value,
+                histogramCumulative: this.histogramCumulativeCheckbox.checked
+            });
+            this.updateHistogramReadout();
+        };
+        
+        for (const control of [this.histogramModeSelect, this.histogramScaleSelect, this.histogramCumulativeCheckbox]) {
+            control.addEventListener('change', applyHistogram);
+        }
+        applyHistogram();
+    }
+    
+    /**
+     * Show the bin under the pointer while hovering over the histogram
+     */
+    initHistogramReadout() {
+        this.histogramCanvas.addEventListener('mousemove', (e) => {
+            const rect = this.histogramCanvas.getBoundingClientRect();
+            this.histogramHover = {
+                x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+                y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+            };
+            this.updateHistogramReadout();
+        });
+        this.histogramCanvas.addEventListener('mouseleave', () => {
+            this.histogramHover = null;
+            this.updateHistogramReadout();
+        });
+    }
+    
+    /**
+     * Describe the hovered histogram bin of every zone: its pixel count and share of the zone
+     */
+    updateHistogramReadout() {
+        const hover = this.histogramHover;
+        const analyses = this.lastAnalyses;
+        if (!hover || !analyses || !this.lastRegions) {
+            this.histogramReadout.textContent = this.histogramReadoutHint;
+            return;
+        }
+        
+        // Side by side, the live frame takes the right half
+        let { x } = hover;
+        if (this.isSideBySide()) {
+            if (x < 0.5) {
+                this.histogramReadout.textContent = 'Hover over the live (right) half for bin counts';
+                return;
+            }
+            x = (x - 0.5) * 2;
+        }
+        
+        const level = Math.min(255, Math.floor(x * 256));
+        const mode = this.histogramModeSelect.value;
+        const channels = mode === 'luma' ? ['lum']
+            : mode === 'lanes' ? [['r', 'g', 'b'][Math.min(2, Math.floor(hover.y * 3))]]
+            : ['r', 'g', 'b', 'lum'];
+        
+        const zones = analyses.map(({ histogram, stats }, i) => {
+            const counts = channels.map((key) => {
+                const count = histogram[key][level];
+                const percent = stats.pixelCount ? (count / stats.pixelCount) * 100 : 0;
+                return `${AnyScope.HISTOGRAM_CHANNEL_NAMES[key]} ${count.toLocaleString()} (${percent.toFixed(2)}%)`;
+            }).join('  ');
+            return analyses.length > 1 ? `${this.lastRegions[i].label}: ${counts}` : counts;
+        });
+        const unit = this.graticuleHistogramUnitSelect.value;
+        const levelText = unit === 'code8' ? String(level) : `${level} (${formatLevel(
+            level, unit, getColorSpace(this.colorStandardSelect.value, this.signalRangeSelect.value),
+            this.graticuleTransferSelect.value
+        )})`;
+        this.histogramReadout.textContent = `Level ${levelText} · ${zones.join(' · ')}`;
+    }
+    
+    /**
+     * Initialize the gamut toggles and the x, y readout of the chromaticity diagram
+     */
+    initChromaticity() {
+        const canvas = document.getElementById('chromaticityCanvas');
+        const readout = document.getElementById('chromaticityReadout');
+        const hint = readout.textContent;
+        const gamutCheckboxes = {
+            rec709: document.getElementById('chromaticityRec709'),
+            p3: document.getElementById('chromaticityP3'),
+            rec2020: document.getElementById('chromaticityRec2020')
+        };
+        
+        const applyGamuts = () => {
+            this.setPipelineOptions({
+                chromaticityGamuts: Object.keys(gamutCheckboxes).filter((key) => gamutCheckboxes[key].checked)
+            });
+        };
+        for (const checkbox of Object.values(gamutCheckboxes)) {
+            checkbox.addEventListener('change', applyGamuts);
+        }
+        applyGamuts();
+        
+        canvas.addEventListener('mousemove', (e) => {
+            // Side by side, each half holds a diagram at half size
+            let { x, y } = this.getScopePoint(canvas, e);
+            if (this.isSideBySide()) {
+                x = (x % 0.5) * 2;
+                y = (y - 0.25) * 2;
+                if (y < 0 || y > 1) {
+                    readout.textContent = hint;
+                    return;
+                }
+            }
+            const xy = canvasToChromaticity(x * canvas.width, y * canvas.height, canvas.width);
+            readout.textContent = `x ${xy.x.toFixed(4)} · y ${xy.y.toFixed(4)}`;
+        });
+        canvas.addEventListener('mouseleave', () => {
+            readout.textContent = hint;
+        });
+    }
+    
+    /**
+     * @returns {boolean} Whether the scopes show a reference and the live frame side by side
+     */
+    isSideBySide() {
+        return Boolean(this.referenceSelect.value) && this.referenceViewSelect.value === 'sideBySide';
+    }
+    
+    /**
+     * Update pipeline options; still sources are analyzed again with the new options
+     * @param {object} options - See VideoScopes#setOptions
+     */
+    setPipelineOptions(options) {
+        this.pipeline.setOptions(options);
+        this.needsAnalysis = true;
+    }
+    
+    /**
+     * Initialize broadcast-safe limit checking
+     */
+    initLegalLimits() {
+        const applyLegalLimits = () => {
+            const limits = this.legalCheckbox.checked ? this.readLegalLimits() : null;
+            
+            this.setPipelineOptions({ legalLimits: limits });
+            
+            if (!limits) {
+                for (const frame of this.overlayFrames) frame.legalMask = null;
+                this.updateLegalBadges(null);
+                this.drawSelectionOverlay();
+            }
+        };
+        
+        this.legalCheckbox.addEventListener('change', applyLegalLimits);
+        for (const input of Object.values(this.legalInputs)) {
+            input.addEventListener('change', applyLegalLimits);
+        }
+        this.zebraCheckbox.addEventListener('change', () => this.drawSelectionOverlay());
+        applyLegalLimits();
+    }
+    
+    /**
+     * Read the broadcast-safe limits entered, leaving out blank fields
+     * @returns {object} Limits by key of DEFAULT_LEGAL_LIMITS
+     */
+    readLegalLimits() {
+        const limits = {};
+        for (const [key, input] of Object.entries(this.legalInputs)) {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                limits[key] = value;
+            }
+        }
+        return limits;
+    }
+    
+    /**
+     * Initialize the graticule unit, transfer function and reference line options
+     */
+    initGraticule() {
+        const legalLinesCheckbox = document.getElementById('graticuleLegal');
+        const greyLineCheckbox = document.getElementById('graticuleGrey');
+        
+        const applyGraticule = () => {
+            this.setPipelineOptions({
+                graticuleUnit: this.graticuleUnitSelect.value,
+                histogramUnit: this.graticuleHistogramUnitSelect.value,
+                graticuleTransfer: this.graticuleTransferSelect.value,
+                legalLines: legalLinesCheckbox.checked ? this.readLegalLimits() : null,
+                greyLine: greyLineCheckbox.checked
+            });
+        };
+        
+        const controls = [
+            this.graticuleUnitSelect, this.graticuleHistogramUnitSelect, this.graticuleTransferSelect,
+            legalLinesCheckbox, greyLineCheckbox
+        ];
+        for (const control of controls) {
+            control.addEventListener('change', applyGraticule);
+        }
+        // The legal lines follow the limits entered in the Broadcast Safe panel
+        for (const input of Object.values(this.legalInputs)) {
+            input.addEventListener('change', applyGraticule);
+        }
+        applyGraticule();
+    }
+    
+    /**
+     * Initialize the false color overlay and its band editor
+     */
+    initFalseColor() {
+        const bands = this.falseColor.bands;
+        
+        const applyBands = () => {
+            this.falseColor.setBands(bands, ...this.getSignalLevels());
+            this.drawSelectionOverlay();
+        };
+        
+        // One row per band: swatch, label and editable thresholds in percent
+        for (const band of bands) {
+            const row = document.createElement('div');
+            row.className = 'band-row';
+            row.innerHTML = `
+                <span class="band-swatch" style="background: ${band.color}"></span>
+                <span class="band-label">${band.label}</span>
+                <input type="number" min="-10" max="110" step="1" value="${band.min}" title="Lower threshold (%)">
+                <span>–</span>
+                <input type="number" min="-10" max="110" step="1" value="${band.max}" title="Upper threshold (%)">
+                <span>%</span>
+            `;
+            const [minInput, maxInput] = row.querySelectorAll('input');
+            this.settingControls[`falseColor.${band.id}.min`] = minInput;
+            this.settingControls[`falseColor.${band.id}.max`] = maxInput;
+            const onThresholdChange = () => {
+                const min = parseFloat(minInput.value);
+                const max = parseFloat(maxInput.value);
+                if (Number.isFinite(min)) band.min = min;
+                if (Number.isFinite(max)) band.max = max;
+                applyBands();
+            };
+            minInput.addEventListener('change', onThresholdChange);
+            maxInput.addEventListener('change', onThresholdChange);
+            this.falseColorBandsContainer.appendChild(row);
+        }
+        
+        // Bands are in percent of the active signal range
+        this.signalRangeSelect.addEventListener('change', applyBands);
+        
+        const applyFalseColor = () => {
+            this.setPipelineOptions({ lumaMap: this.falseColorCheckbox.checked });
+            if (!this.falseColorCheckbox.checked) {
+                for (const frame of this.overlayFrames) frame.lumaMap = null;
+            }
+            this.drawSelectionOverlay();
+        };
+        
+        this.falseColorCheckbox.addEventListener('change', applyFalseColor);
+        applyBands();
+        applyFalseColor();
+    }
+    
+    /**
+     * Initialize hold and reference trace comparison
+     */
+    initCompare() {
+        this.holdButton.addEventListener('click', () => this.setHeld(!this.isHeld));
+        this.storeReferenceButton.addEventListener('click', () => this.storeReference());
+        this.deleteReferenceButton.addEventListener('click', () => this.deleteReference());
+        this.referenceSelect.addEventListener('change', () => this.applyReferenceOptions());
+        this.referenceViewSelect.addEventListener('change', () => this.applyReferenceOptions());
+    }
+    
+    /**
+     * Freeze the scopes on the last analyzed frame, or go back to live analysis
+     * @param {boolean} held
+     */
+    setHeld(held) {
+        this.isHeld = held;
+        this.holdButton.classList.toggle('active', held);
+        this.holdButton.textContent = held ? '▶ Release' : '⏸ Hold';
+        
+        // Still sources show the current frame again on release
+        if (!held) {
+            this.needsAnalysis = true;
+        }
+    }
+    
+    /**
+     * Store the frame the scopes show as a named reference and show it
+     */
+    storeReference() {
+        const id = this.nextReferenceId++;
+        const name = this.referenceNameInput.value.trim() || `Ref ${id}`;
+        this.pipeline.storeReference(id, name);
+        
+        this.referenceSelect.add(new Option(name, id));
+        this.referenceSelect.value = id;
+        this.referenceNameInput.value = '';
+        this.referenceNameInput.placeholder = `Ref ${this.nextReferenceId}`;
+        this.applyReferenceOptions();
+    }
+    
+    /**
+     * Delete the reference selected in the reference list
+     */
+    deleteReference() {
+        const option = this.referenceSelect.selectedOptions[0];
+        if (!option || !option.value) return;
+        
+        this.pipeline.deleteReference(Number(option.value));
+        option.remove();
+        this.referenceSelect.value = '';
+        this.applyReferenceOptions();
+    }
+    
+    /**
+     * Show the selected reference in the selected view
+     */
+    applyReferenceOptions() {
+        const id = this.referenceSelect.value ? Number(this.referenceSelect.value) : null;
+        this.deleteReferenceButton.disabled = id === null;
+        this.setPipelineOptions({ reference: id, referenceView: this.referenceViewSelect.value });
+    }
+    
+    /**
+     * Initialize match mode: a source zone is stored, so it can come from another source, and
+     * the target zone is compared with it on every frame
+     */
+    initMatch() {
+        this.setMatchSourceButton.addEventListener('click', () => this.storeMatchSource());
+        this.setMatchTargetButton.addEventListener('click', () => this.setMatchTarget({ zone: this.getMatchZone() }));
+        this.clearMatchButton.addEventListener('click', () => {
+            this.pipeline.clearMatchSource();
+            this.matchSourceName = null;
+            this.setMatchTarget(null);
+        });
+        this.updateMatchInfo();
+    }
+    
+    /**
+     * @returns {object|null} The zone the match buttons act on: the active zone, else the first
+     *   zone, or null for the whole frame when there are no zones
+     */
+    getMatchZone() {
+        return this.activeZone || this.zones[0] || null;
+    }
+    
+    /**
+     * Store the zone the match buttons act on, as the last frame shows it, as the match source
+     */
+    storeMatchSource() {
+        const zone = this.getMatchZone();
+        const id = zone ? zone.id : null;
+        // A zone drawn since the last analysis has no pixels to store yet
+        if (!this.lastRegions || !this.lastRegions.some((region) => region.id === id)) return;
+        
+        this.matchSourceName = `${zone ? zone.label : 'Frame'} · ${this.describeSource()}`;
+        this.pipeline.storeMatchSource(id, this.matchSourceName);
+        this.updateMatchInfo();
+        this.needsAnalysis = true;
+    }
+    
+    /**
+     * Choose the zone compared with the match source
+     * @param {{ zone: object|null }|null} target - A zone (null for the whole frame), or null for none
+     */
+    setMatchTarget(target) {
+        this.matchTarget = target;
+        this.updateMatchInfo();
+        this.needsAnalysis = true;
+    }
+    
+    /**
+     * Show what match mode compares
+     */
+    updateMatchInfo() {
+        this.matchSourceInfo.textContent = this.matchSourceName || 'None';
+        this.matchTargetInfo.textContent = !this.matchTarget ? 'None'
+            : this.matchTarget.zone ? this.matchTarget.zone.label
+            : 'Frame';
+        this.clearMatchButton.disabled = !this.matchSourceName && !this.matchTarget;
+        if (!this.matchSourceName || !this.matchTarget) {
+            this.matchReportTable.replaceChildren();
+        }
+    }
+    
+    /**
+     * Fill the match report from the analysis of the target zone
+     * @param {object[]} analyses - Analysis result (or worker summary) per region
+     */
+    updateMatchReport(analyses) {
+        const analysis = analyses.find(({ stats }) => stats.match);
+        if (!analysis) {
+            this.matchReportTable.replaceChildren();
+            return;
+        }
+        
+        const body = document.createElement('tbody');
+        for (const { label, format } of AnyScope.MATCH_ROWS) {
+            const row = body.insertRow();
+            const name = document.createElement('th');
+            name.textContent = label;
+            row.appendChild(name);
+            row.insertCell().textContent = format(analysis.stats.match);
+        }
+        this.matchReportTable.replaceChildren(body);
+    }
+    
+    /**
+     * Initialize saved settings, presets and shared links, then restore the last or shared state
+     */
+    initSettings() {
+        for (const id of AnyScope.PERSISTED_CONTROLS) {
+            this.settingControls[id] = document.getElementById(id);
+        }
+        
+        // The page's own values, for Reset
+        this.defaultSettings = this.getSettingsState();
+        
+        // Any control change is saved; zone edits save through setZones and onZoneGeometryChanged
+        document.addEventListener('change', () => this.scheduleSettingsSave());
+        window.addEventListener('pagehide', () => this.saveSettings());
+        
+        this.presetSelect.addEventListener('change', () => {
+            const name = this.presetSelect.value;
+            this.deletePresetButton.disabled = !name;
+            if (!name) return;
+            
+            this.presetNameInput.value = name;
+            this.applySettingsState(this.settings.getPreset(name));
+        });
+        this.savePresetButton.addEventListener('click', () => this.savePreset());
+        this.deletePresetButton.addEventListener('click', () => this.deletePreset());
+        this.exportPresetsButton.addEventListener('click', () => this.exportPresets());
+        this.importPresetsButton.addEventListener('click', () => this.presetFileInput.click());
+        this.presetFileInput.addEventListener('change', () => {
+            const file = this.presetFileInput.files[0];
+            this.presetFileInput.value = ''; // Allow importing the same file again
+            if (file) {
+                this.importPresets(file);
+            }
+        });
+        this.copyLinkButton.addEventListener('click', () => this.copyShareLink());
+        this.resetSettingsButton.addEventListener('click', () => this.applySettingsState(this.defaultSettings));
+        
+        this.renderPresetList();
+        
+        // A shared link wins over the saved state
+        window.addEventListener('hashchange', () => this.applySharedState());
+        if (!this.applySharedState()) {
+            const saved = this.settings.loadState();
+            if (saved) {
+                this.applySettingsState(saved);
+            }
+        }
+    }
+    
+    /**
+     * Collect everything that is saved: persisted controls, zones and scope markers
+     * @returns {object} State as described in settings.js
+     */
+    getSettingsState() {
+        const controls = {};
+        for (const [name, element] of Object.entries(this.settingControls)) {
+            if (element.type === 'checkbox') {
+                controls[name] = element.checked;
+            } else if (element.type === 'number') {
+                controls[name] = parseFloat(element.value);
+            } else {
+                controls[name] = element.value;
+            }
+        }
+        
+        const zones = this.zones.map(({ x, y, width, height, color, label }) => ({ x, y, width, height, color, label }));
+        const markers = {
+            levels: this.levelLines.map(({ level, label }) => ({ level, label })),
+            angles: this.angleMarkers.map(({ angle, label }) => ({ angle, label }))
+        };
+        return { version: SETTINGS_VERSION, controls, zones, markers };
+    }
+    
+    /**
+     * Restore a saved state. Controls are set and fire their change events, so everything
+     * that follows them updates as if the user had changed them; unknown or invalid values are skipped
+     * @param {object} state - State as described in settings.js
+     */
+    applySettingsState(state) {
+        for (const [name, value] of Object.entries(state.controls)) {
+            const element = this.settingControls[name];
+            if (element && setControlValue(element, value)) {
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }
+        
+        const zones = [];
+        for (const saved of state.zones.slice(0, AnyScope.MAX_ZONES)) {
+            if (!saved || typeof saved !== 'object') continue;
+            const geometry = [saved.x, saved.y, saved.width, saved.height];
+            if (!geometry.every(Number.isFinite) || saved.width <= 0 || saved.height <= 0) continue;
+            
+            // Keep the saved color unless it is not a zone color or already taken
+            const taken = (color) => zones.some((zone) => zone.color === color);
+            const color = AnyScope.ZONE_COLORS.includes(saved.color) && !taken(saved.color)
+                ? saved.color
+                : AnyScope.ZONE_COLORS.find((c) => !taken(c));
+            
+            zones.push({
+                id: this.nextZoneId++,
+                ...moveZone({ ...saved, width: Math.min(1, saved.width), height: Math.min(1, saved.height) }, 0, 0),
+                color,
+                label: String(saved.label || `Zone ${zones.length + 1}`).slice(0, 24)
+            });
+        }
+        
+        this.setZones(zones);
+        this.nextZoneNumber = zones.length + 1;
+        
+        // States saved before markers existed have none
+        const markers = state.markers && typeof state.markers === 'object' ? state.markers : {};
+        this.setScopeMarkers({
+            levels: Array.isArray(markers.levels) ? markers.levels : [],
+            angles: Array.isArray(markers.angles) ? markers.angles : []
+        });
+    }
+    
+    /**
+     * Save the settings shortly after the last of a burst of changes
+     */
+    scheduleSettingsSave() {
+        clearTimeout(this.settingsSaveTimer);
+        this.settingsSaveTimer = setTimeout(() => this.saveSettings(), AnyScope.SETTINGS_SAVE_DELAY);
+    }
+    
+    /**
+     * Save the settings now
+     */
+    saveSettings() {
+        clearTimeout(this.settingsSaveTimer);
+        this.settingsSaveTimer = null;
+        this.settings.saveState(this.getSettingsState());
+    }
+    
+    /**
+     * Apply the state in the URL hash, if any, and remove it from the URL
+     * @returns {boolean} Whether the URL held a state
+     */
+    applySharedState() {
+        const state = decodeStateHash(location.hash);
+        if (!state) return false;
+        
+        this.applySettingsState(state);
+        
+        // Later reloads start from the saved state, which now includes the shared one
+        history.replaceState(null, '', location.pathname + location.search);
+        this.saveSettings();
+        return true;
+    }
+    
+    /**
+     * Copy a link that opens this exact setup
+     */
+    async copyShareLink() {
+        const url = location.origin + location.pathname + location.search + encodeStateHash(this.getSettingsState());
+        try {
+            await navigator.clipboard.writeText(url);
+            this.copyLinkButton.textContent = '✓ Copied';
+            setTimeout(() => { this.copyLinkButton.textContent = '🔗 Copy Link'; }, 1500);
+        } catch (error) {
+            // Clipboard access can be denied; let the user copy it by hand
+            prompt('Copy this link:', url);
+        }
+    }
+    
+    /**
+     * Fill the preset list, selecting a preset if given
+     * @param {string} [selected=''] - Name of the preset to select
+     */
+    renderPresetList(selected = '') {
+        const names = this.settings.listPresets();
+        
+        // Keep the "Choose preset" entry
+        this.presetSelect.length = 1;
+        for (const name of names) {
+            this.presetSelect.add(new Option(name, name));
+        }
+        this.presetSelect.value = names.includes(selected) ? selected : '';
+        this.deletePresetButton.disabled = !this.presetSelect.value;
+        this.exportPresetsButton.disabled = names.length === 0;
+    }
+    
+    /**
+     * Save the current settings as a preset named in the preset name field
+     */
+    savePreset() {
+        const name = this.presetNameInput.value.trim();
+        if (!name) {
+            alert('Enter a name for the preset.');
+            return;
+        }
+        
+        this.settings.savePreset(name, this.getSettingsState());
+        this.renderPresetList(name);
+    }
+    
+    /**
+     * Delete the preset selected in the preset list
+     */
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name) return;
+        
+        this.settings.deletePreset(name);
+        this.presetNameInput.value = '';
+        this.renderPresetList();
+    }
+    
+    /**
+     * Download every preset as a JSON file
+     */
+    exportPresets() {
+        const blob = new Blob([this.settings.exportPresets()], { type: 'application/json' });
+        downloadBlob(blob, 'anyscope-presets.json');
+    }
+    
+    /**
+     * Add the presets of a JSON file written by exportPresets
+     * @param {File} file
+     */
+    async importPresets(file) {
+        try {
+            const count = this.settings.importPresets(await file.text());
+            this.renderPresetList();
+            alert(`Imported ${count} preset${count === 1 ? '' : 's'}.`);
+        } catch (error) {
+            alert(`Cannot import "${file.name}": ${error.message}`);
+        }
+    }
+    
+    /**
+     * Initialize the measurements panel toggle and smoothing
+     */
+    initMeasurements() {
+        document.getElementById('showMeasurements').addEventListener('change', (e) => {
+            this.measurementsContainer.classList.toggle('hidden', !e.target.checked);
+            this.measurementHistory.clear();
+        });
+        
+        const applySmoothing = () => {
+            this.measurementHistory.setLength(Number(this.measurementSmoothingSelect.value));
+        };
+        this.measurementSmoothingSelect.addEventListener('change', applySmoothing);
+        applySmoothing();
+        
+        this.clearMeasurements();
+    }
+    
+    /**
+     * Show the measurements of an analyzed frame, averaged over the chosen number of frames
+     * @param {object[]} analyses - Analysis results (or worker summaries), one per region
+     * @param {object[]} regions - Regions the analyses were made from
+     */
+    updateMeasurements(analyses, regions) {
+        if (this.measurementsContainer.classList.contains('hidden')) return;
+        
+        const colorSpace = getColorSpace(this.colorStandardSelect.value, this.signalRangeSelect.value);
+        const measurements = this.measurementHistory.push(analyses.map(({ stats }) => measure(stats)))
+            .map((measurement) => deriveMeasurements(measurement, colorSpace));
+        
+        const columns = regions.map(({ label, color }) => ({ label, color }));
+        const key = JSON.stringify(columns);
+        if (key !== this.measurementColumnsKey) {
+            this.renderMeasurementTable(columns);
+            this.measurementColumnsKey = key;
+        }
+        
+        AnyScope.MEASUREMENT_ROWS.forEach(({ format }, row) => {
+            measurements.forEach((measurement, column) => {
+                this.measurementCells[row][column].textContent = format(measurement);
+            });
+        });
+    }
+    
+    /**
+     * Build the measurements table with a column per zone, values left empty
+     * @param {{ label: string, color: string|null }[]} columns
+     */
+    renderMeasurementTable(columns) {
+        const head = document.createElement('thead');
+        const headRow = head.insertRow();
+        headRow.appendChild(document.createElement('th'));
+        for (const { label, color } of columns) {
+            const cell = document.createElement('th');
+            if (color) {
+                const swatch = document.createElement('span');
+                swatch.className = 'band-swatch';
+                swatch.style.background = color;
+                cell.appendChild(swatch);
+            }
+            cell.append(label);
+            headRow.appendChild(cell);
+        }
+        
+        const body = document.createElement('tbody');
+        this.measurementCells = AnyScope.MEASUREMENT_ROWS.map(({ label }) => {
+            const row = body.insertRow();
+            const name = document.createElement('th');
+            name.textContent = label;
+            row.appendChild(name);
+            return columns.map(() => row.insertCell());
+        });
+        
+        this.measurementsTable.replaceChildren(head, body);
+    }
+    
+    /**
+     * Initialize the buttons that open a scope, or all of them, in a window of its own.
+     * Closing the window docks the scope back into the grid; window bounds are remembered.
+     */
+    initPopouts() {
+        this.popouts = new PopoutWindows({
+            loadBounds: (key) => this.settings.getWindowBounds(key),
+            saveBounds: (key, bounds) => this.settings.setWindowBounds(key, bounds),
+            onOpen: (win) => this.listenForScopeDrags(win),
+            onChange: () => {
+                this.updatePopoutButtons();
+                
+                // A frame scheduled on a window that closed would never come
+                const frame = this.scheduledFrame;
+                if (frame && frame.win.closed) {
+                    this.scheduleFrame(frame.callback, 0);
+                }
+            }
+        });
+        
+        this.popoutButtons = document.querySelectorAll('[data-popout]');
+        for (const button of this.popoutButtons) {
+            const key = button.dataset.popout;
+            const element = key === 'scopes' ? this.scopesSection : button.closest('.scope-container');
+            const title = key === 'scopes' ? 'Scopes' : element.querySelector('h3').firstChild.textContent.trim();
+            button.addEventListener('click', () => {
+                if (this.popouts.isOpen(key)) {
+                    this.popouts.dock(key);
+                } else if (!this.popouts.popOut(key, element, title)) {
+                    alert('The browser blocked the window. Allow pop-ups for this page to open scopes in their own windows.');
+                }
+            });
+        }
+        
+        // Hiding a popped-out scope docks it rather than leaving an empty window
+        for (const button of this.popoutButtons) {
+            const key = button.dataset.popout;
+            if (key === 'scopes') continue;
+            document.getElementById(toggleId(key)).addEventListener('change', (e) => {
+                if (!e.target.checked) this.popouts.dock(key);
+            });
+        }
+        this.updatePopoutButtons();
+    }
+    
+    /**
+     * Show which pop-out buttons dock their scope
+     */
+    updatePopoutButtons() {
+        for (const button of this.popoutButtons) {
+            const open = this.popouts.isOpen(button.dataset.popout);
+            button.classList.toggle('active', open);
+            if (button.dataset.popout === 'scopes') {
+                button.textContent = open ? '⧉ Dock Scopes' : '⧉ Pop Out Scopes';
+            } else {
+                button.title = open ? 'Dock into the page' : 'Open in its own window';
+            }
+        }
+    }
+    
+    /**
+     * Initialize the timeline panel toggle and span
+     */
+    initTimeline() {
+        document.getElementById('showTimeline').addEventListener('change', (e) => {
+            this.timelineContainer.classList.toggle('hidden', !e.target.checked);
+            this.renderTimeline();
+        });
+        this.timelineDurationSelect.addEventListener('change', () => this.renderTimeline());
+        this.clearTimeline();
+    }
+    
+    /**
+     * Record a newly analyzed frame on the timeline and check the last seconds for flicker.
+     * Frames are recorded while the panel is hidden, so it opens with the recent history.
+     * @param {object[]} analyses - Analysis results (or worker summaries), one per region
+     */
+    updateTimeline(analyses) {
+        this.timeline.push(timelineSample(performance.now(), analyses.map(({ stats }) => stats)));
+        this.flicker = detectFlicker(this.timeline.samples);
+        this.renderTimeline();
+    }
+    
+    /**
+     * Draw the timeline and update its flicker badge and readout
+     */
+    renderTimeline() {
+        if (this.timelineContainer.classList.contains('hidden')) return;
+        
+        const samples = this.timeline.samples;
+        const last = samples[samples.length - 1];
+        drawTimeline(this.timelineCtx, samples, {
+            duration: Number(this.timelineDurationSelect.value) * 1000,
+            now: last ? last.time : performance.now(),
+            colorSpace: getColorSpace(this.colorStandardSelect.value, this.signalRangeSelect.value),
+            flicker: this.flicker
+        });
+        
+        const flicker = this.flicker;
+        this.flickerBadge.classList.toggle('hidden', !last);
+        this.flickerBadge.classList.toggle('warn', Boolean(flicker));
+        this.flickerBadge.textContent = flicker ? `Flicker ${flicker.frequency.toFixed(1)} Hz` : 'Steady';
+        
+        if (!last) {
+            this.timelineReadout.textContent = 'Luma and RGB means of moving sources are plotted as they play';
+            return;
+        }
+        const levels = `Luma ${last.luma.toFixed(1)} · RGB ${[last.r, last.g, last.b].map((v) => v.toFixed(1)).join(' / ')}`;
+        const clipped = `Clipped ${last.clipLow.toFixed(1)}% / ${last.clipHigh.toFixed(1)}%`;
+        const swing = flicker
+            ? ` · Luma swings ±${flicker.amplitude.toFixed(1)} at ${flicker.frequency.toFixed(2)} Hz (${Math.round(flicker.share * 100)}% of its variation)`
+            : '';
+        this.timelineReadout.textContent = `${levels} · ${clipped}${swing}`;
+    }
+    
+    /**
+     * Empty the timeline
+     */
+    clearTimeline() {
+        this.timeline.clear();
+        this.flicker = null;
+        this.renderTimeline();
+    }
+    
+    /**
+     * Empty the measurements until the next analyzed frame
+     */
+    clearMeasurements() {
+        this.measurementHistory.clear();
+        this.renderMeasurementTable([{ label: '—', color: null }]);
+        this.measurementColumnsKey = null;
+    }
+    
+    /**
+     * Initialize snapshot, data and recording exports
+     */
+    initExports() {
+        this.exportSnapshotButton.addEventListener('click', () => this.exportSnapshot());
+        this.exportHistogramButton.addEventListener('click', () => this.exportData('histogram'));
+        this.exportWaveformButton.addEventListener('click', () => this.exportData('waveform'));
+        this.exportJsonButton.addEventListener('click', () => this.exportData('json'));
+        this.recordButton.addEventListener('click', () => {
+            if (this.recorder) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        
+        if (!ScopeRecorder.isSupported()) {
+            this.recordButton.title = 'This browser cannot record canvases to WebM';
+        }
+        this.setExportsEnabled(false);
+    }
+    
+    /**
+     * Enable the export buttons once there is an analyzed frame, or disable them
+     * @param {boolean} enabled
+     */
+    setExportsEnabled(enabled) {
+        const buttons = [this.exportSnapshotButton, this.exportHistogramButton, this.exportWaveformButton, this.exportJsonButton];
+        for (const button of buttons) {
+            button.disabled = !enabled;
+        }
+        this.recordButton.disabled = !enabled || !ScopeRecorder.isSupported();
+    }
+    
+    /**
+     * Describe the active source for export captions and reports
+     * @returns {string}
+     */
+    describeSource() {
+        if (this.source instanceof ScreenSource) return 'Screen capture';
+        if (this.source instanceof CameraSource) {
+            return this.cameraSelect.value ? this.cameraSelect.selectedOptions[0].textContent : 'Camera';
+        }
+        return this.source ? this.source.file.name : 'None';
+    }
+    
+    /**
+     * Build the caption printed on snapshots and recordings
+     * @param {Date} time
+     * @returns {string[]} Lines of text
+     */
+    getExportCaption(time) {
+        const settings = [
+            this.colorStandardSelect.selectedOptions[0].textContent,
+            this.signalRangeSelect.selectedOptions[0].textContent,
+            `Waveform: ${this.waveformModeSelect.selectedOptions[0].textContent}`
+        ];
+        if (this.isHeld) {
+            settings.push('Held');
+        }
+        
+        const regions = this.lastRegions || [];
+        const zones = this.zones.length === 0
+            ? regions.map(({ sw, sh }) => `Full frame ${sw}×${sh}`)
+            : regions.map(({ label, sx, sy, sw, sh }) => `${label} at ${sx},${sy} ${sw}×${sh}`);
+        
+        return [
+            `AnyScope — ${time.toLocaleString()}`,
+            `Source: ${this.describeSource()} · ${settings.join(' · ')}`,
+            `${this.zones.length === 0 ? 'Region' : 'Zones'}: ${zones.join(' · ') || 'none'}`
+        ];
+    }
+    
+    /**
+     * @returns {string[]} Ids of the scopes shown on the page, in page order
+     */
+    getVisibleScopes() {
+        return Object.keys(this.scopeContainers).filter((id) => !this.scopeContainers[id].classList.contains('hidden'));
+    }
+    
+    /**
+     * Draw the source with its preview overlays (zones, zebras, false color) for an export
+     * @returns {{ image: HTMLCanvasElement, width: number, height: number }}
+     */
+    getPreviewImage() {
+        const scale = Math.min(1, AnyScope.MAX_PREVIEW_EXPORT_WIDTH / this.source.width);
+        const width = Math.max(1, Math.round(this.source.width * scale));
+        const height = Math.max(1, Math.round(this.source.height * scale));
+        
+        const canvas = this.previewCanvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.source.element, 0, 0, width, height);
+        ctx.drawImage(this.selectionCanvas, 0, 0, width, height);
+        return { image: canvas, width, height };
+    }
+    
+    /**
+     * Compose scopes (and optionally the preview) under an export caption
+     * @param {HTMLCanvasElement} canvas - Target
+     * @param {Date} time - Time printed in the caption
+     * @param {string[]} scopes - Ids of the scopes to include
+     * @param {boolean} withPreview - Include the preview
+     */
+    async composeExport(canvas, time, scopes, withPreview) {
+        const images = await this.pipeline.snapshot();
+        try {
+            const panels = scopes.map((id) => ({
+                title: this.scopeContainers[id].querySelector('h3').textContent.trim(),
+                image: images[id]
+            }));
+            composeScopes(canvas, panels, {
+                caption: this.getExportCaption(time),
+                preview: withPreview && this.source ? this.getPreviewImage() : null
+            });
+        } finally {
+            // Worker snapshots are ImageBitmaps
+            for (const image of Object.values(images)) {
+                if (image.close) image.close();
+            }
+        }
+    }
+    
+    /**
+     * Download a PNG of the visible scopes with a caption of time, source, settings and zones
+     */
+    async exportSnapshot() {
+        const time = new Date();
+        const canvas = document.createElement('canvas');
+        try {
+            await this.composeExport(canvas, time, this.getVisibleScopes(), this.exportPreviewCheckbox.checked);
+        } catch (error) {
+            console.error('Error exporting snapshot:', error);
+            alert('Error exporting snapshot: ' + error.message);
+            return;
+        }
+        canvas.toBlob((blob) => downloadBlob(blob, exportFilename(time, 'scopes', 'png')), 'image/png');
+    }
+    
+    /**
+     * Download the numbers behind the scopes of the last analyzed frame
+     * @param {'histogram'|'waveform'|'json'} kind - Histogram bins as CSV, per-column waveform
+     *   statistics as CSV, or everything (including summary stats) as JSON
+     */
+    async exportData(kind) {
+        const time = new Date();
+        try {
+            const data = await this.pipeline.exportData();
+            // Regions of the frame the data comes from; a frame analyzed meanwhile replaces them
+            const regions = this.lastRegions;
+            if (!data || !regions || regions.length !== data.length) return;
+            
+            const report = {
+                time: time.toISOString(),
+                source: this.describeSource(),
+                colorStandard: this.colorStandardSelect.value,
+                signalRange: this.signalRangeSelect.value,
+                waveformMode: this.waveformModeSelect.value,
+                zones: data.map((zone, i) => {
+                    const { sx, sy, sw, sh } = regions[i];
+                    const rect = { x: sx, y: sy, width: sw, height: sh };
+                    return { ...zone, label: zone.label || 'Full frame', rect };
+                })
+            };
+            
+            const formats = {
+                histogram: { write: histogramCsv, type: 'text/csv', suffix: 'histogram', extension: 'csv' },
+                waveform: { write: waveformCsv, type: 'text/csv', suffix: 'waveform', extension: 'csv' },
+                json: { write: reportJson, type: 'application/json', suffix: 'stats', extension: 'json' }
+            };
+            const { write, type, suffix, extension } = formats[kind];
+            downloadBlob(new Blob([write(report)], { type }), exportFilename(time, suffix, extension));
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert('Error exporting data: ' + error.message);
+        }
+    }
+    
+    /**
+     * Start recording the scopes shown now (and the preview if ticked) to WebM
+     */
+    async startRecording() {
+        if (this.recording) return; // Already starting
+        
+        const recording = {
+            start: new Date(),
+            scopes: this.getVisibleScopes(), // Fixed so the video keeps its size
+            preview: this.exportPreviewCheckbox.checked,
+            timer: null,
+            busy: false
+        };
+        this.recording = recording;
+        
+        try {
+            // The first frame sets the canvas size before the stream starts
+            await this.composeExport(this.recordingCanvas, recording.start, recording.scopes, recording.preview);
+            this.recorder = new ScopeRecorder(this.recordingCanvas, AnyScope.RECORDING_FRAME_RATE);
+            this.recorder.start();
+        } catch (error) {
+            this.recorder = null;
+            this.recording = null;
+            console.error('Error starting recording:', error);
+            alert('Error starting recording: ' + error.message);
+            return;
+        }
+        
+        recording.timer = setInterval(() => this.drawRecordingFrame(), 1000 / AnyScope.RECORDING_FRAME_RATE);
+        this.recordButton.textContent = '⏹ Stop Recording';
+        this.recordButton.classList.add('active');
+    }
+    
+    /**
+     * Draw the next frame of the recording (skipped while the previous one is still being drawn)
+     */
+    async drawRecordingFrame() {
+        const recording = this.recording;
+        if (!recording || recording.busy) return;
+        
+        recording.busy = true;
+        try {
+            await this.composeExport(this.recordingCanvas, new Date(), recording.scopes, recording.preview);
+        } catch (error) {
+            console.warn('Dropped recording frame:', error);
+        } finally {
+            recording.busy = false;
+        }
+    }
+    
+    /**
+     * Stop recording and download the video
+     */
+    async stopRecording() {
+        const { recorder, recording } = this;
+        this.recorder = null;
+        this.recording = null;
+        clearInterval(recording.timer);
+        this.recordButton.textContent = '⏺ Record';
+        this.recordButton.classList.remove('active');
+        
+        const blob = await recorder.stop();
+        downloadBlob(blob, exportFilename(recording.start, 'scopes', 'webm'));
+    }
+    
+    /**
+     * Get the code values of black and white for the selected signal range
+     * @returns {number[]} [black, white]
+     */
+    getSignalLevels() {
+        const { black, white } = SIGNAL_RANGES[this.signalRangeSelect.value];
+        return [black, white];
+    }
+    
+    /**
+     * Show the percentage of out-of-range pixels on each scope panel
+     * @param {object|null} outOfRange - Percentages from the analysis stats, or null to hide the badges
+     */
+    updateLegalBadges(outOfRange) {
+        for (const { element, key } of Object.values(this.legalBadges)) {
+            if (!outOfRange) {
+                element.classList.add('hidden');
+                continue;
+            }
+            
+            const percent = outOfRange[key];
+            element.textContent = `${percent < 0.1 && percent > 0 ? '<0.1' : percent.toFixed(1)}% out of range`;
+            element.classList.remove('hidden');
+            element.classList.toggle('warn', percent > 0);
+        }
+    }
+    
+    /**
+     * Start the source chosen in the source picker
+     */
+    async startCapture() {
+        const type = this.sourceTypeSelect.value;
+        if (type === 'file') {
+            this.fileInput.click();
+            return;
+        }
+        
+        const source = type === 'camera'
+            ? new CameraSource(this.video, this.cameraSelect.value || null)
+            : new ScreenSource(this.video);
+        await this.openSource(source);
+        
+        // Camera names become available once permission was granted
+        if (type === 'camera' && this.source === source) {
+            this.refreshCameraList();
+        }
+    }
+    
+    /**
+     * Open a dropped or picked video or image file
+     * @param {File} file
+     */
+    openFile(file) {
+        let source;
+        try {
+            source = createFileSource(file, this.video, this.image);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.openSource(source);
+    }
+    
+    /**
+     * Start a source and begin analyzing it, replacing the current one
+     * @param {object} source - Source from sources.js
+     */
+    async openSource(source) {
+        if (this.isCapturing) {
+            this.stopCapture();
+        }
+        
+        try {
+            await source.start();
+        } catch (error) {
+            source.stop();
+            console.error('Error starting source:', error);
+            if (error.name === 'NotAllowedError') {
+                const what = source instanceof CameraSource ? 'Camera access' : 'Screen capture';
+                alert(`${what} permission was denied. Please allow it to use this source.`);
+            } else {
+                alert('Error starting source: ' + error.message);
+            }
+            return;
+        }
+        
+        this.source = source;
+        source.onEnded = () => this.stopCapture();
+        
+        // Show the element the source plays in
+        this.video.classList.toggle('hidden', source.element !== this.video);
+        this.image.classList.toggle('hidden', source.element !== this.image);
+        this.transport.classList.toggle('hidden', !(source instanceof VideoFileSource));
+        
+        // Update UI
+        this.placeholder.classList.add('hidden');
+        this.startButton.disabled = true;
+        this.stopButton.disabled = false;
+        this.isCapturing = true;
+        this.needsAnalysis = true;
+        
+        // Update selection canvas size
+        this.updateSelectionCanvasSize();
+        
+        // Start the analysis loop
+        this.startAnalysisLoop();
+    }
+    
+    /**
+     * Stop the active source
+     */
+    stopCapture() {
+        // Stop analysis loop
+        this.cancelScheduledFrame();
+        
+        // Stop the source
+        if (this.source) {
+            this.source.onEnded = null;
+            this.source.stop();
+            this.source = null;
+        }
+        
+        // The next source starts from the video element
+        this.video.classList.remove('hidden');
+        this.image.classList.add('hidden');
+        this.transport.classList.add('hidden');
+        
+        // Update UI
+        this.placeholder.classList.remove('hidden');
+        this.startButton.disabled = false;
+        this.stopButton.disabled = true;
+        this.isCapturing = false;
+        
+        // Release the hold; stored references stay for the next source
+        this.setHeld(false);
+        this.holdButton.disabled = true;
+        this.storeReferenceButton.disabled = true;
+        this.setMatchSourceButton.disabled = true;
+        this.setMatchTargetButton.disabled = true;
+        this.lastRegions = null;
+        
+        // A recording ends with its source
+        if (this.recorder) {
+            this.stopRecording();
+        }
+        this.setExportsEnabled(false);
+        
+        // Reset overlays; zones stay for the next source
+        this.overlayFrames = [];
+        this.updateLegalBadges(null);
+        this.clearMeasurements();
+        this.clearTimeline();
+        this.updateHistogramReadout();
+        this.updateBrushInfo(null);
+        this.setActiveZone(null);
+        
+        // Pinned probes stay for the next source, like zones
+        this.hoverProbe = null;
+        this.probeSamples = [];
+        this.probePixels.clear();
+        this.renderProbeList();
+        this.selectionCtx.clearRect(0, 0, this.selectionCanvas.width, this.selectionCanvas.height);
+        
+        // Clear scopes
+        this.pipeline.clear();
+    }
+    
+    /**
+     * Get the regions to analyze: every zone, or the full frame when there are none
+     * @returns {object[]} Regions as described in pipeline.js
+     */
+    getAnalysisRegions() {
+        if (this.zones.length === 0) {
+            return [{ ...this.getAnalysisRegion(null), match: this.matchTarget !== null && this.matchTarget.zone === null }];
+        }
+        
+        // A single zone keeps the usual trace colors; several are told apart by their zone colors
+        const tint = this.zones.length > 1;
+        return this.zones.map((zone) => ({
+            ...this.getAnalysisRegion(zone),
+            id: zone.id,
+            color: tint ? zone.color : null,
+            label: zone.label,
+            match: this.matchTarget !== null && this.matchTarget.zone === zone
+        }));
+    }
+    
+    /**
+     * Get the source rectangle to analyze and the size it is scaled down to
+     * @param {object|null} zone - Zone to analyze, or null for the full frame
+     * @returns {{ sx: number, sy: number, sw: number, sh: number, width: number, height: number,
+     *   id: null, color: null, label: string, match: boolean }}
+     */
+    getAnalysisRegion(zone) {
+        // Get source dimensions
+        const srcWidth = this.source.width;
+        const srcHeight = this.source.height;
+        
+        // Calculate zone to analyze
+        let zoneX = 0;
+        let zoneY = 0;
+        let zoneW = srcWidth;
+        let zoneH = srcHeight;
+        
+        if (zone) {
+            // Whole source pixels, as shown in the zone inspector
+            ({ x: zoneX, y: zoneY, width: zoneW, height: zoneH } = zoneToSourceRect(zone, srcWidth, srcHeight));
+            
+            // Ensure minimum size
+            zoneW = Math.max(zoneW, AnyScope.MIN_ZONE_PIXELS);
+            zoneH = Math.max(zoneH, AnyScope.MIN_ZONE_PIXELS);
+        }
+        
+        // Scale down for performance (analyze at lower resolution)
+        const scale = Math.min(1, AnyScope.MAX_ANALYSIS_WIDTH / zoneW);
+        
+        return {
+            sx: zoneX,
+            sy: zoneY,
+            sw: zoneW,
+            sh: zoneH,
+            width: Math.max(1, Math.floor(zoneW * scale)),
+            height: Math.max(1, Math.floor(zoneH * scale)),
+            id: null,
+            color: null,
+            label: '',
+            match: false
+        };
+    }
+    
+    /**
+     * Update everything that follows the analysis of a frame
+     * @param {object[]} analyses - Analysis result (or worker summary) per region
+     * @param {object[]} regions - Regions the analyses were made from (see getAnalysisRegions)
+     */
+    onFrameAnalyzed(analyses, regions) {
+        this.lastAnalyses = analyses;
+        this.lastRegions = regions;
+        this.holdButton.disabled = false;
+        this.storeReferenceButton.disabled = false;
+        this.setMatchSourceButton.disabled = false;
+        this.setMatchTargetButton.disabled = false;
+        this.setExportsEnabled(true);
+        
+        const { width, height } = this.source;
+        this.overlayFrames = analyses.map((analysis, i) => {
+            const region = regions[i];
+            return {
+                // Normalized area of the source the analysis covers
+                zone: {
+                    x: region.sx / width,
+                    y: region.sy / height,
+                    width: region.sw / width,
+                    height: region.sh / height
+                },
+                width: analysis.width,
+                height: analysis.height,
+                legalMask: analysis.legalMask,
+                lumaMap: analysis.lumaMap,
+                brushMask: analysis.brushMask
+            };
+        });
+        this.updateLegalBadges(combineOutOfRange(analyses));
+        this.updateMeasurements(analyses, regions);
+        this.updateMatchReport(analyses);
+        this.updateHistogramReadout();
+        this.updateBrushInfo(analyses);
+        this.drawSelectionOverlay();
+    }
+    
+    /**
+     * Call back on the animation frame after a delay. A hidden page gets no animation frames
+     * (and slow timers), so while a pop-out is shown instead the pop-out's are used.
+     * @param {function} callback
+     * @param {number} delay - In ms
+     */
+    scheduleFrame(callback, delay) {
+        const win = (document.hidden && this.popouts.getVisibleWindow()) || window;
+        const frame = { win, callback, timer: null, request: null };
+        this.scheduledFrame = frame;
+        frame.timer = win.setTimeout(() => {
+            frame.request = win.requestAnimationFrame(() => {
+                if (this.scheduledFrame === frame) this.scheduledFrame = null;
+                callback();
+            });
+        }, delay);
+    }
+    
+    /**
+     * Cancel the scheduled analysis step, on the window that scheduled it
+     */
+    cancelScheduledFrame() {
+        const frame = this.scheduledFrame;
+        if (!frame) return;
+        this.scheduledFrame = null;
+        if (!frame.win.closed) {
+            frame.win.clearTimeout(frame.timer);
+            if (frame.request !== null) frame.win.cancelAnimationFrame(frame.request);
+        }
+    }
+    
+    /**
+     * Start the continuous analysis loop
+     */
+    startAnalysisLoop() {
+        // The loop ends when its source is stopped or replaced
+        const source = this.source;
+        
+        const analyzeFrame = async () => {
+            if (this.source !== source) return;
+            
+            // Capture current frame; waiting for the pipeline keeps at most one frame in flight.
+            // Still sources and held frames are only analyzed again when the zone or options change.
+            const held = this.isHeld;
+            const due = held
+                ? this.needsAnalysis
+                : source.isReady() && (!source.isStill || this.needsAnalysis);
+            
+            if (due) {
+                this.needsAnalysis = false;
+                const regions = held ? this.lastRegions : this.getAnalysisRegions();
+                try {
+                    this.updateProbes(regions, held);
+                    const analyses = held
+                        ? await this.pipeline.refresh()
+                        : await this.pipeline.process(source.element, regions);
+                    if (analyses && this.source === source) {
+                        this.onFrameAnalyzed(analyses, regions);
+                        
+                        // Only new frames of moving sources belong on the timeline
+                        if (!held && !source.isStill) {
+                            this.updateTimeline(analyses);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error analyzing frame:', error);
+                }
+            } else if (this.overlayFrames.length > 0 && this.zebraCheckbox.checked) {
+                // Keep the zebras moving over a still frame
+                this.drawSelectionOverlay();
+            }
+            
+            if (this.source !== source) return;
+            
+            // Schedule next frame (throttled for better performance)
+            this.scheduleFrame(analyzeFrame, AnyScope.ANALYSIS_INTERVAL);
         };
         
         analyzeFrame();
@@ -394,19 +3130,144 @@ class AnyScope {
 
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    // Check for Screen Capture API support
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
-        document.body.innerHTML = `
-            <div style="display: flex; align-items: center; justify-content: center; height: 100vh; background: #1a1a2e; color: #e0e0e0; text-align: center; padding: 20px;">
-                <div>
-                    <h1 style="color: #ff6b6b;">Browser Not Supported</h1>
-                    <p style="margin-top: 20px;">Your browser does not support the Screen Capture API.</p>
-                    <p style="margin-top: 10px;">Please use a modern browser like Chrome, Firefox, or Edge.</p>
-                </div>
-            </div>
-        `;
-        return;
-    }
-    
-    window.anyScope = new AnyScope();
+    // ?worker=off forces the main-thread pipeline
+    const params = new URLSearchParams(window.location.search);
+    window.anyScope = new AnyScope({ useWorker: params.get('worker') !== 'off' });
 });
+
+/**
+ * Combine the out-of-range percentages of several regions, weighted by their pixel counts
+ * @param {object[]} analyses - Analysis results (or worker summaries)
+ * @returns {object|null} Percentages like stats.outOfRange, or null when limits are not checked
+ */
+function combineOutOfRange(analyses) {
+    if (analyses.length === 1 || !analyses[0].stats.outOfRange) {
+        return analyses[0].stats.outOfRange;
+    }
+    
+    const combined = { luma: 0, chroma: 0, rgb: 0, any: 0 };
+    let pixelCount = 0;
+    for (const { stats } of analyses) {
+        pixelCount += stats.pixelCount;
+        for (const key of Object.keys(combined)) {
+            combined[key] += stats.outOfRange[key] * stats.pixelCount;
+        }
+    }
+    for (const key of Object.keys(combined)) {
+        combined[key] = pixelCount > 0 ? combined[key] / pixelCount : 0;
+    }
+    return combined;
+}
+
+/**
+ * Describe a probed pixel: position, RGB, hex, Y'CbCr code values, luma and HSL
+ * @param {{ pixel: { x: number, y: number }, r: number, g: number, b: number }} sample
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {string}
+ */
+function describeProbe({ pixel, r, g, b }, colorSpace) {
+    const { y, cb, cr } = rgbToYCbCr(r, g, b, colorSpace);
+    const { black, white, chromaSpan } = colorSpace;
+    const ycbcr = [black + y * (white - black), 128 + cb * chromaSpan, 128 + cr * chromaSpan].map(Math.round);
+    const hsl = rgbToHsl(r, g, b);
+    
+    return [
+        `${pixel.x}, ${pixel.y}`,
+        `RGB ${r} ${g} ${b}`,
+        rgbToHex(r, g, b).toUpperCase(),
+        `YCbCr ${ycbcr.join(' ')}`,
+        `Luma ${(y * 100).toFixed(1)}%`,
+        `HSL ${Math.round(hsl.h)}° ${Math.round(hsl.s)}% ${Math.round(hsl.l)}%`
+    ].join(' · ');
+}
+
+/**
+ * Format R, G and B percentages
+ * @returns {string}
+ */
+function formatPercents(r, g, b) {
+    return `${[r, g, b].map((v) => v.toFixed(1)).join(' / ')}%`;
+}
+
+/**
+ * Format an estimated color temperature with its offset from D65
+ * @param {number|null} cct - Kelvin
+ * @returns {string}
+ */
+function formatTemperature(cct) {
+    if (cct === null) return '—';
+    
+    // The estimate is rough, so keep to 50 K steps
+    const kelvin = Math.round(cct / 50) * 50;
+    const offset = kelvin - Math.round(D65_CCT / 50) * 50;
+    const sign = offset > 0 ? '+' : offset < 0 ? '−' : '±';
+    return `${kelvin} K (${sign}${Math.abs(offset)} K vs D65)`;
+}
+
+/**
+ * Format a difference with its sign
+ * @param {number} value
+ * @param {number} digits - Decimals shown
+ * @returns {string} E.g. '+1.5', '−0.3' or '±0.0'
+ */
+function formatSigned(value, digits) {
+    const magnitude = Math.abs(value).toFixed(digits);
+    if (Number(magnitude) === 0) return `±${magnitude}`;
+    return `${value > 0 ? '+' : '−'}${magnitude}`;
+}
+
+/**
+ * Format an estimated tint
+ * @param {number} tint - Percent, positive is green
+ * @returns {string}
+ */
+function formatTint(tint) {
+    if (Math.abs(tint) < 0.05) return 'neutral';
+    return `${Math.abs(tint).toFixed(1)}% ${tint > 0 ? 'green' : 'magenta'}`;
+}
+
+/**
+ * @param {string} id - Scope or panel id, e.g. 'waveform'
+ * @returns {string} Id of the checkbox that shows it, e.g. 'showWaveform'
+ */
+function toggleId(id) {
+    return `show${id[0].toUpperCase()}${id.slice(1)}`;
+}
+
+/**
+ * Set a persisted control from a saved value
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @param {*} value - Saved value
+ * @returns {boolean} Whether the value was valid for the control and set
+ */
+function setControlValue(element, value) {
+    if (element.type === 'checkbox') {
+        if (typeof value !== 'boolean') return false;
+        element.checked = value;
+        return true;
+    }
+    
+    if (element.type === 'number') {
+        if (!Number.isFinite(value)) return false;
+        element.value = value;
+        return true;
+    }
+    
+    // Selects only take values they offer (and that are enabled in this browser)
+    const option = [...element.options].find((o) => o.value === value);
+    if (!option || option.disabled) return false;
+    element.value = value;
+    return true;
+}
+
+/**
+ * Format seconds as m:ss.s
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+}
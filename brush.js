@@ -0,0 +1,82 @@
+/**
+ * AnyScope - Scope Brushing
+ * Selections drawn on a scope, used to highlight the source pixels that land inside them.
+ * A brush is { scope: 'waveform'|'parade'|'vectorscope', x0, y0, x1, y1 }: the start and end
+ * of the drag as fractions (0-1) of the scope canvas. DOM-free, like analysis.js.
+ */
+
+// Narrowest wedge, in radians, so a drag straight out from the center still selects a hue
+const MIN_WEDGE_ANGLE = 6 * (Math.PI / 180);
+
+// Points this close to the center (as a fraction of the outer circle) take the other point's hue
+const CENTER_DISTANCE = 0.05;
+
+/**
+ * Get the rectangle of a waveform or parade brush
+ * @param {object} brush
+ * @returns {{ left: number, right: number, low: number, high: number }} Horizontal extent as
+ *   fractions of the canvas width, and the code values (0-255) of its bottom and top
+ */
+export function brushBand({ x0, y0, x1, y1 }) {
+    return {
+        left: Math.min(x0, x1),
+        right: Math.max(x0, x1),
+        low: (1 - Math.max(y0, y1)) * 255,
+        high: (1 - Math.min(y0, y1)) * 255
+    };
+}
+
+/**
+ * Get the hue/saturation sector of a vectorscope brush: the angle swept from the start to
+ * the end point around the center, between their distances from it
+ * @param {object} brush
+ * @param {number} radius - Outer circle radius as a fraction of the canvas size
+ * @param {number} [zoom=1] - Vectorscope magnification the brush was drawn at
+ * @returns {{ start: number, sweep: number, inner: number, outer: number }} Start angle and
+ *   signed sweep in radians, counterclockwise from +Cb as drawn, and the saturation range as
+ *   fractions of the outer circle at 1×
+ */
+export function brushWedge({ x0, y0, x1, y1 }, radius, zoom = 1) {
+    const polar = (x, y) => ({
+        angle: Math.atan2(0.5 - y, x - 0.5),
+        distance: Math.hypot(x - 0.5, y - 0.5) / (radius * zoom)
+    });
+    const from = polar(x0, y0);
+    const to = polar(x1, y1);
+    if (from.distance < CENTER_DISTANCE) from.angle = to.angle;
+    if (to.distance < CENTER_DISTANCE) to.angle = from.angle;
+    
+    // The shorter way around, widened about its middle when too narrow to hit anything
+    let sweep = to.angle - from.angle;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep <= -Math.PI) sweep += 2 * Math.PI;
+    let start = from.angle;
+    if (Math.abs(sweep) < MIN_WEDGE_ANGLE) {
+        start += sweep / 2 - MIN_WEDGE_ANGLE / 2;
+        sweep = MIN_WEDGE_ANGLE;
+    }
+    
+    return {
+        start,
+        sweep,
+        inner: Math.min(from.distance, to.distance),
+        outer: Math.max(from.distance, to.distance)
+    };
+}
+
+/**
+ * Check whether a chroma vector falls in a wedge
+ * @param {object} wedge - Result of brushWedge
+ * @param {number} cb - Cb as a fraction of the outer circle
+ * @param {number} cr - Cr as a fraction of the outer circle
+ * @returns {boolean}
+ */
+export function isInWedge({ start, sweep, inner, outer }, cb, cr) {
+    const distance = Math.sqrt(cb * cb + cr * cr);
+    if (distance < inner || distance > outer) return false;
+    
+    // Angle from the start, in the direction of the sweep
+    let offset = (Math.atan2(cr, cb) - start) * Math.sign(sweep);
+    offset = ((offset % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    return offset <= Math.abs(sweep);
+}
@@ -0,0 +1,299 @@
+/**
+ * AnyScope - Chromaticity
+ * CIE 1931 xy chromaticity of pixels: the spectral locus, display gamuts and the density of
+ * sampled pixels on the diagram; and CIELAB with CIEDE2000 color differences. DOM-free, like
+ * analysis.js.
+ */
+
+// CIE 1931 2° spectral locus, 380-700 nm in 5 nm steps: [wavelength, x, y]
+export const SPECTRAL_LOCUS = [
+    [380, 0.1741, 0.0050], [385, 0.1740, 0.0050], [390, 0.1738, 0.0049], [395, 0.1736, 0.0049],
+    [400, 0.1733, 0.0048], [405, 0.1730, 0.0048], [410, 0.1726, 0.0048], [415, 0.1721, 0.0048],
+    [420, 0.1714, 0.0051], [425, 0.1703, 0.0058], [430, 0.1689, 0.0069], [435, 0.1669, 0.0086],
+    [440, 0.1644, 0.0109], [445, 0.1611, 0.0138], [450, 0.1566, 0.0177], [455, 0.1510, 0.0227],
+    [460, 0.1440, 0.0297], [465, 0.1355, 0.0399], [470, 0.1241, 0.0578], [475, 0.1096, 0.0868],
+    [480, 0.0913, 0.1327], [485, 0.0687, 0.2007], [490, 0.0454, 0.2950], [495, 0.0235, 0.4127],
+    [500, 0.0082, 0.5384], [505, 0.0039, 0.6548], [510, 0.0139, 0.7502], [515, 0.0389, 0.8120],
+    [520, 0.0743, 0.8338], [525, 0.1142, 0.8262], [530, 0.1547, 0.8059], [535, 0.1929, 0.7816],
+    [540, 0.2296, 0.7543], [545, 0.2658, 0.7243], [550, 0.3016, 0.6923], [555, 0.3373, 0.6589],
+    [560, 0.3731, 0.6245], [565, 0.4087, 0.5896], [570, 0.4441, 0.5547], [575, 0.4788, 0.5202],
+    [580, 0.5125, 0.4866], [585, 0.5448, 0.4544], [590, 0.5752, 0.4242], [595, 0.6029, 0.3965],
+    [600, 0.6270, 0.3725], [605, 0.6482, 0.3514], [610, 0.6658, 0.3340], [615, 0.6801, 0.3197],
+    [620, 0.6915, 0.3083], [625, 0.7006, 0.2993], [630, 0.7079, 0.2920], [635, 0.7140, 0.2859],
+    [640, 0.7190, 0.2809], [645, 0.7230, 0.2770], [650, 0.7260, 0.2740], [655, 0.7283, 0.2717],
+    [660, 0.7300, 0.2700], [665, 0.7311, 0.2689], [670, 0.7320, 0.2680], [675, 0.7327, 0.2673],
+    [680, 0.7334, 0.2666], [685, 0.7340, 0.2660], [690, 0.7344, 0.2656], [695, 0.7346, 0.2654],
+    [700, 0.7347, 0.2653]
+];
+
+// D65 white point, shared by all the gamuts below
+export const D65_WHITE = [0.3127, 0.3290];
+
+// Display gamuts that can be outlined on the diagram: xy of the red, green and blue primaries
+export const GAMUTS = {
+    rec709: { name: 'sRGB / Rec. 709', red: [0.640, 0.330], green: [0.300, 0.600], blue: [0.150, 0.060], color: '#7df9ff' },
+    p3: { name: 'DCI-P3', red: [0.680, 0.320], green: [0.265, 0.690], blue: [0.150, 0.060], color: '#ffb020' },
+    rec2020: { name: 'Rec. 2020', red: [0.708, 0.292], green: [0.170, 0.797], blue: [0.131, 0.046], color: '#ff6b6b' }
+};
+
+// Primaries pixels are taken to be in for each color standard; Rec. 601 uses the 525-line
+// (SMPTE C) primaries
+const SOURCE_PRIMARIES = {
+    rec601: { red: [0.630, 0.340], green: [0.310, 0.595], blue: [0.155, 0.070] },
+    rec709: GAMUTS.rec709,
+    rec2020: GAMUTS.rec2020
+};
+
+// Diagram window, the same on both axes so the diagram keeps its shape on a square canvas
+const DIAGRAM_MIN = -0.05;
+const DIAGRAM_MAX = 0.9;
+
+// Darker pixels (linear luminance, 0-1) have no meaningful chromaticity: noise scatters them
+const MIN_LUMINANCE = 0.002;
+
+// 25^7, in the chroma weighting of CIEDE2000
+const POW25_7 = 25 ** 7;
+
+/**
+ * Map a chromaticity to a position on a square diagram
+ * @param {number} x - CIE x
+ * @param {number} y - CIE y
+ * @param {number} size - Canvas size in pixels
+ * @returns {{ px: number, py: number }} Canvas position (y down)
+ */
+export function chromaticityToCanvas(x, y, size) {
+    const scale = size / (DIAGRAM_MAX - DIAGRAM_MIN);
+    return { px: (x - DIAGRAM_MIN) * scale, py: size - (y - DIAGRAM_MIN) * scale };
+}
+
+/**
+ * Map a position on a square diagram back to a chromaticity
+ * @param {number} px - Canvas x
+ * @param {number} py - Canvas y (down)
+ * @param {number} size - Canvas size in pixels
+ * @returns {{ x: number, y: number }}
+ */
+export function canvasToChromaticity(px, py, size) {
+    const scale = size / (DIAGRAM_MAX - DIAGRAM_MIN);
+    return { x: px / scale + DIAGRAM_MIN, y: (size - py) / scale + DIAGRAM_MIN };
+}
+
+/**
+ * Invert a 3×3 matrix
+ * @param {number[]} m - Row-major
+ * @returns {number[]} Row-major inverse
+ */
+function invert3([a, b, c, d, e, f, g, h, i]) {
+    const cofactors = [e * i - f * h, f * g - d * i, d * h - e * g];
+    const determinant = a * cofactors[0] + b * cofactors[1] + c * cofactors[2];
+    return [
+        cofactors[0], c * h - b * i, b * f - c * e,
+        cofactors[1], a * i - c * g, c * d - a * f,
+        cofactors[2], b * g - a * h, a * e - b * d
+    ].map((value) => value / determinant);
+}
+
+/**
+ * Build the matrix from linear RGB to XYZ for a set of primaries and a white point
+ * @param {{ red: number[], green: number[], blue: number[] }} primaries - xy of each primary
+ * @param {number[]} [white=D65_WHITE] - xy of the white point
+ * @returns {number[]} Row-major 3×3 matrix
+ */
+export function rgbToXyzMatrix({ red, green, blue }, white = D65_WHITE) {
+    // XYZ of each primary at Y = 1 as columns, scaled so RGB 1, 1, 1 gives the white point at Y = 1
+    const primaries = [red, green, blue];
+    const xyz = [
+        ...primaries.map(([x, y]) => x / y),
+        ...primaries.map(() => 1),
+        ...primaries.map(([x, y]) => (1 - x - y) / y)
+    ];
+    const [wx, wy] = white;
+    const target = [wx / wy, 1, (1 - wx - wy) / wy];
+    const inverse = invert3(xyz);
+    const scales = [0, 1, 2].map((row) => {
+        return inverse[row * 3] * target[0] + inverse[row * 3 + 1] * target[1] + inverse[row * 3 + 2] * target[2];
+    });
+    
+    return xyz.map((value, i) => value * scales[i % 3]);
+}
+
+/**
+ * Linear light of a code value in a color space's range, decoded with the sRGB curve (how the
+ * content is shown on the web and on most displays)
+ * @param {number} code - 8-bit code value, fractions allowed
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {number} 0 to 1
+ */
+function toLinear(code, { black, white }) {
+    const v = Math.min(Math.max((code - black) / (white - black), 0), 1);
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Linear light of every 8-bit code value (see toLinear)
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {Float32Array} 256 values from 0 to 1
+ */
+function linearTable(colorSpace) {
+    const table = new Float32Array(256);
+    for (let code = 0; code < 256; code++) {
+        table[code] = toLinear(code, colorSpace);
+    }
+    return table;
+}
+
+/**
+ * Get the CIE XYZ of an 8-bit R'G'B' color
+ * @param {number} r - Red code value (0-255, fractions allowed)
+ * @param {number} g - Green code value
+ * @param {number} b - Blue code value
+ * @param {object} colorSpace - Result of getColorSpace: picks the primaries and the code range
+ * @returns {number[]} [X, Y, Z], Y from 0 (black) to 1 (white)
+ */
+export function rgbToXyz(r, g, b, colorSpace) {
+    const m = rgbToXyzMatrix(SOURCE_PRIMARIES[colorSpace.standard]);
+    const [lr, lg, lb] = [r, g, b].map((value) => toLinear(value, colorSpace));
+    
+    return [
+        m[0] * lr + m[1] * lg + m[2] * lb,
+        m[3] * lr + m[4] * lg + m[5] * lb,
+        m[6] * lr + m[7] * lg + m[8] * lb
+    ];
+}
+
+/**
+ * Get the xy chromaticity of an 8-bit R'G'B' color
+ * @param {number} r - Red code value (0-255)
+ * @param {number} g - Green code value (0-255)
+ * @param {number} b - Blue code value (0-255)
+ * @param {object} colorSpace - Result of getColorSpace: picks the primaries and the code range
+ * @returns {{ x: number, y: number }|null} Null for colors too dark to have a chromaticity
+ */
+export function rgbToChromaticity(r, g, b, colorSpace) {
+    const [X, Y, Z] = rgbToXyz(r, g, b, colorSpace);
+    const sum = X + Y + Z;
+    if (Y < MIN_LUMINANCE || sum <= 0) return null;
+    return { x: X / sum, y: Y / sum };
+}
+
+/**
+ * Get the CIELAB of an 8-bit R'G'B' color, relative to D65
+ * @param {number} r - Red code value (0-255, fractions allowed)
+ * @param {number} g - Green code value
+ * @param {number} b - Blue code value
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {number[]} [L*, a*, b*]
+ */
+export function rgbToLab(r, g, b, colorSpace) {
+    const [wx, wy] = D65_WHITE;
+    const white = [wx / wy, 1, (1 - wx - wy) / wy];
+    const [fx, fy, fz] = rgbToXyz(r, g, b, colorSpace).map((value, i) => {
+        const t = value / white[i];
+        return t > (6 / 29) ** 3 ? Math.cbrt(t) : t / (3 * (6 / 29) ** 2) + 4 / 29;
+    });
+    
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Get the CIEDE2000 color difference of two CIELAB colors
+ * @param {number[]} lab1 - [L*, a*, b*]
+ * @param {number[]} lab2 - [L*, a*, b*]
+ * @returns {number} ΔE00 (about 1 is just noticeable side by side)
+ */
+export function deltaE2000([l1, a1, b1], [l2, a2, b2]) {
+    const degrees = (radians) => (radians * 180) / Math.PI;
+    const radians = (deg) => (deg * Math.PI) / 180;
+    
+    // Stretch a* so near-neutral colors are compared on the same footing as saturated ones
+    const meanC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const g = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + POW25_7)));
+    const ap1 = a1 * (1 + g);
+    const ap2 = a2 * (1 + g);
+    const c1 = Math.hypot(ap1, b1);
+    const c2 = Math.hypot(ap2, b2);
+    const h1 = c1 === 0 ? 0 : (degrees(Math.atan2(b1, ap1)) + 360) % 360;
+    const h2 = c2 === 0 ? 0 : (degrees(Math.atan2(b2, ap2)) + 360) % 360;
+    
+    // Differences, the hue one taken the short way around
+    const dL = l2 - l1;
+    const dC = c2 - c1;
+    let dh = 0;
+    if (c1 * c2 !== 0) {
+        dh = h2 - h1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(c1 * c2) * Math.sin(radians(dh / 2));
+    
+    // Means, the hue one also the short way around
+    const meanL = (l1 + l2) / 2;
+    const meanCp = (c1 + c2) / 2;
+    let meanH = h1 + h2;
+    if (c1 * c2 !== 0) {
+        meanH = Math.abs(h1 - h2) > 180
+            ? (h1 + h2 + (h1 + h2 < 360 ? 360 : -360)) / 2
+            : (h1 + h2) / 2;
+    }
+    
+    // Weighting of each difference, and the rotation term for blues
+    const t = 1
+        - 0.17 * Math.cos(radians(meanH - 30))
+        + 0.24 * Math.cos(radians(2 * meanH))
+        + 0.32 * Math.cos(radians(3 * meanH + 6))
+        - 0.20 * Math.cos(radians(4 * meanH - 63));
+    const sL = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+    const sC = 1 + 0.045 * meanCp;
+    const sH = 1 + 0.015 * meanCp * t;
+    const rotation = -2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + POW25_7))
+        * Math.sin(radians(60 * Math.exp(-(((meanH - 275) / 25) ** 2))));
+    
+    return Math.sqrt(
+        (dL / sL) ** 2 + (dC / sC) ** 2 + (dH / sH) ** 2 + rotation * (dC / sC) * (dH / sH)
+    );
+}
+
+/**
+ * Count the pixels of a frame at each point of a square chromaticity diagram
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} frame - RGBA pixels
+ * @param {object} colorSpace - Result of getColorSpace
+ * @param {number} size - Grid size (the canvas size)
+ * @param {object} state - Kept between frames to reuse the grid and tables
+ * @returns {{ size: number, density: Uint32Array }} Hit counts, size × size, y down
+ */
+export function accumulateChromaticity({ data, width, height }, colorSpace, size, state) {
+    if (!state.density || state.density.length !== size * size) {
+        state.density = new Uint32Array(size * size);
+    }
+    if (state.colorSpace !== colorSpace) {
+        state.colorSpace = colorSpace;
+        state.lut = linearTable(colorSpace);
+        state.matrix = rgbToXyzMatrix(SOURCE_PRIMARIES[colorSpace.standard]);
+    }
+    
+    const { density, lut, matrix: m } = state;
+    density.fill(0);
+    const scale = size / (DIAGRAM_MAX - DIAGRAM_MIN);
+    const pixelCount = width * height;
+    
+    for (let i = 0; i < pixelCount; i++) {
+        const offset = i * 4;
+        const r = lut[data[offset]];
+        const g = lut[data[offset + 1]];
+        const b = lut[data[offset + 2]];
+        
+        const X = m[0] * r + m[1] * g + m[2] * b;
+        const Y = m[3] * r + m[4] * g + m[5] * b;
+        const Z = m[6] * r + m[7] * g + m[8] * b;
+        const sum = X + Y + Z;
+        if (Y < MIN_LUMINANCE || sum <= 0) continue;
+        
+        const column = Math.floor((X / sum - DIAGRAM_MIN) * scale);
+        const row = size - 1 - Math.floor((Y / sum - DIAGRAM_MIN) * scale);
+        if (column >= 0 && column < size && row >= 0 && row < size) {
+            density[row * size + column]++;
+        }
+    }
+    
+    return { size, density };
+}
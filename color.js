@@ -0,0 +1,196 @@
+/**
+ * AnyScope - Color Math
+ * Color standards, signal ranges, RGB ↔ Y'CbCr conversions and white balance estimation
+ * shared by analysis and rendering.
+ * DOM-free, like analysis.js.
+ */
+
+// Luma coefficients for each supported standard (Kg = 1 - Kr - Kb)
+export const COLOR_STANDARDS = {
+    rec601: { name: 'Rec. 601', kr: 0.299, kb: 0.114 },
+    rec709: { name: 'Rec. 709', kr: 0.2126, kb: 0.0722 },
+    rec2020: { name: 'Rec. 2020', kr: 0.2627, kb: 0.0593 }
+};
+
+// 8-bit code values for reference black and nominal peak white, and the
+// code value span of Cb/Cr from -0.5 to 0.5 (centered on 128)
+export const SIGNAL_RANGES = {
+    full: { name: 'Full (0–255)', black: 0, white: 255, chromaSpan: 255 },
+    limited: { name: 'Limited (16–235)', black: 16, white: 235, chromaSpan: 224 }
+};
+
+export const DEFAULT_COLOR_STANDARD = 'rec709';
+export const DEFAULT_SIGNAL_RANGE = 'full';
+
+// Primary and secondary colors used for vectorscope targets, in the usual R, Mg, B, Cy, G, Yl order
+const TARGET_COLORS = [
+    { name: 'R', rgb: [1, 0, 0], color: '#ff4444' },
+    { name: 'Mg', rgb: [1, 0, 1], color: '#ff44ff' },
+    { name: 'B', rgb: [0, 0, 1], color: '#4444ff' },
+    { name: 'Cy', rgb: [0, 1, 1], color: '#44ffff' },
+    { name: 'G', rgb: [0, 1, 0], color: '#44ff44' },
+    { name: 'Yl', rgb: [1, 1, 0], color: '#ffff44' }
+];
+
+/**
+ * Resolve a color standard and signal range into conversion coefficients
+ * @param {string} [standard=DEFAULT_COLOR_STANDARD] - Key of COLOR_STANDARDS
+ * @param {string} [range=DEFAULT_SIGNAL_RANGE] - Key of SIGNAL_RANGES
+ * @returns {{ standard: string, range: string, kr: number, kg: number, kb: number,
+ *   black: number, white: number, chromaSpan: number }}
+ */
+export function getColorSpace(standard = DEFAULT_COLOR_STANDARD, range = DEFAULT_SIGNAL_RANGE) {
+    const coefficients = COLOR_STANDARDS[standard];
+    const levels = SIGNAL_RANGES[range];
+    if (!coefficients) {
+        throw new RangeError(`Unknown color standard "${standard}"`);
+    }
+    if (!levels) {
+        throw new RangeError(`Unknown signal range "${range}"`);
+    }
+    
+    return {
+        standard,
+        range,
+        kr: coefficients.kr,
+        kg: 1 - coefficients.kr - coefficients.kb,
+        kb: coefficients.kb,
+        black: levels.black,
+        white: levels.white,
+        chromaSpan: levels.chromaSpan
+    };
+}
+
+/**
+ * Convert 8-bit R'G'B' code values to normalized Y'CbCr
+ * @param {number} r - Red code value (0-255)
+ * @param {number} g - Green code value (0-255)
+ * @param {number} b - Blue code value (0-255)
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {{ y: number, cb: number, cr: number }} Y' in 0-1 (reference black to white),
+ *   Cb and Cr in -0.5 to 0.5; values outside those ranges are out of the legal signal range
+ */
+export function rgbToYCbCr(r, g, b, colorSpace) {
+    const { kr, kg, kb, black, white } = colorSpace;
+    const scale = white - black;
+    const luma = kr * r + kg * g + kb * b;
+    
+    return {
+        y: (luma - black) / scale,
+        cb: (b - luma) / (scale * 2 * (1 - kb)),
+        cr: (r - luma) / (scale * 2 * (1 - kr))
+    };
+}
+
+/**
+ * Get vectorscope target positions for color bars in a color space
+ * @param {object} colorSpace - Result of getColorSpace
+ * @param {number} [level=0.75] - Bar amplitude (0.75 for 75% bars, 1 for 100% bars)
+ * @returns {{ name: string, color: string, cb: number, cr: number }[]} Normalized Cb/Cr of each target
+ */
+export function getVectorscopeTargets(colorSpace, level = 0.75) {
+    const { black, white } = colorSpace;
+    
+    return TARGET_COLORS.map(({ name, rgb, color }) => {
+        const [r, g, b] = rgb.map((v) => black + v * level * (white - black));
+        const { cb, cr } = rgbToYCbCr(r, g, b, colorSpace);
+        return { name, color, cb, cr };
+    });
+}
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} hex
+ * @returns {number[]} [r, g, b]
+ */
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Format a color as #rrggbb
+ * @param {number} r - Red code value (0-255)
+ * @param {number} g - Green code value (0-255)
+ * @param {number} b - Blue code value (0-255)
+ * @returns {string}
+ */
+export function rgbToHex(r, g, b) {
+    return `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Convert 8-bit R'G'B' code values to HSL
+ * @param {number} r - Red code value (0-255)
+ * @param {number} g - Green code value (0-255)
+ * @param {number} b - Blue code value (0-255)
+ * @returns {{ h: number, s: number, l: number }} Hue in degrees (0 for greys), saturation
+ *   and lightness in percent
+ */
+export function rgbToHsl(r, g, b) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return { h: 0, s: 0, l: l * 100 };
+    
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === red) {
+        h = ((green - blue) / d) % 6;
+    } else if (max === green) {
+        h = (blue - red) / d + 2;
+    } else {
+        h = (red - green) / d + 4;
+    }
+    return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+// Linear Rec. 709 / sRGB RGB to CIE XYZ (D65 white)
+const RGB_TO_XYZ = [
+    [0.4124, 0.3576, 0.1805],
+    [0.2126, 0.7152, 0.0722],
+    [0.0193, 0.1192, 0.9505]
+];
+
+// Correlated color temperature of D65, in kelvin
+export const D65_CCT = 6504;
+
+/**
+ * Undo the sRGB transfer function
+ * @param {number} value - Signal from 0 to 1
+ * @returns {number} Linear light
+ */
+function srgbToLinear(value) {
+    const v = Math.min(Math.max(value, 0), 1);
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Estimate the white balance of a picture from its mean RGB, assuming the scene averages
+ * to grey (the "grey world" assumption), so only a rough guide on colorful pictures
+ * @param {number} r - Mean red code value
+ * @param {number} g - Mean green code value
+ * @param {number} b - Mean blue code value
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {{ cct: number|null, tint: number }} Correlated color temperature in kelvin
+ *   (McCamy's approximation, null for black), and the green (+) / magenta (-) balance in
+ *   percent of the mean level
+ */
+export function estimateWhiteBalance(r, g, b, colorSpace) {
+    const { black, white } = colorSpace;
+    const linear = [r, g, b].map((v) => srgbToLinear((v - black) / (white - black)));
+    const [x, y, z] = RGB_TO_XYZ.map((row) => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+    const sum = x + y + z;
+    
+    const level = (r + g + b) / 3 - black;
+    const tint = level > 0 ? ((g - (r + b) / 2) / level) * 100 : 0;
+    if (sum <= 0) return { cct: null, tint };
+    
+    const n = (x / sum - 0.3320) / (0.1858 - y / sum);
+    const cct = 449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33;
+    
+    // The approximation only holds near the Planckian locus
+    return { cct: Math.min(Math.max(cct, 1000), 25000), tint };
+}
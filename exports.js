@@ -0,0 +1,238 @@
+/**
+ * AnyScope - Exports
+ * Scope snapshots, analysis data files and scope recordings for QC reports.
+ * A report is { time, source, colorStandard, signalRange, waveformMode, zones }, each zone being
+ * { label, rect, width, height, stats, histogram, waveform } (see VideoScopes#getExportData),
+ * with rect the analyzed rectangle in source pixels.
+ */
+
+// Composite layout, in pixels
+const PADDING = 16;
+const LINE_HEIGHT = 18;
+const TITLE_HEIGHT = 22;
+const MAX_COLUMNS = 2;
+
+/**
+ * Draw the scope images in a grid under a caption, optionally below the preview
+ * @param {HTMLCanvasElement} canvas - Target, resized to fit (unchanged while the layout is the same)
+ * @param {{ title: string, image: CanvasImageSource }[]} panels - Scope images with their
+ *   titles, in display order; images need width and height (canvases and ImageBitmaps do)
+ * @param {object} options
+ * @param {string[]} options.caption - Text lines at the top (time, source, zones)
+ * @param {{ image: CanvasImageSource, width: number, height: number }|null} [options.preview=null]
+ *   Preview to draw above the scopes, scaled to the full width
+ */
+export function composeScopes(canvas, panels, { caption, preview = null }) {
+    const columns = Math.max(1, Math.min(MAX_COLUMNS, panels.length));
+    const cellWidth = Math.max(...panels.map(({ image }) => image.width), 300);
+    const contentWidth = columns * cellWidth + (columns - 1) * PADDING;
+    
+    const rows = [];
+    for (let i = 0; i < panels.length; i += columns) {
+        const row = panels.slice(i, i + columns);
+        rows.push({ panels: row, height: TITLE_HEIGHT + Math.max(...row.map(({ image }) => image.height)) });
+    }
+    
+    const captionHeight = caption.length * LINE_HEIGHT;
+    const previewHeight = preview ? Math.round(contentWidth * (preview.height / preview.width)) : 0;
+    const width = contentWidth + PADDING * 2;
+    const height = PADDING + captionHeight + PADDING +
+        (preview ? previewHeight + PADDING : 0) +
+        rows.reduce((sum, row) => sum + row.height + PADDING, 0);
+    
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#11111f';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Caption: first line as a heading
+    ctx.textBaseline = 'top';
+    caption.forEach((line, i) => {
+        ctx.font = i === 0 ? 'bold 14px sans-serif' : '12px sans-serif';
+        ctx.fillStyle = i === 0 ? '#00d4ff' : '#c0c0c0';
+        ctx.fillText(line, PADDING, PADDING + i * LINE_HEIGHT);
+    });
+    
+    let y = PADDING + captionHeight + PADDING;
+    if (preview) {
+        ctx.drawImage(preview.image, PADDING, y, contentWidth, previewHeight);
+        y += previewHeight + PADDING;
+    }
+    
+    for (const row of rows) {
+        row.panels.forEach(({ title, image }, i) => {
+            const x = PADDING + i * (cellWidth + PADDING);
+            ctx.font = 'bold 13px sans-serif';
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillText(title, x, y + 2);
+            
+            // Narrower scopes (the vectorscope) are centered in their cell
+            ctx.drawImage(image, x + (cellWidth - image.width) / 2, y + TITLE_HEIGHT);
+        });
+        y += row.height + PADDING;
+    }
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Round a number for data files
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Histogram bins of every zone as CSV, one row per zone and level
+ * @param {object} report - See top of file
+ * @returns {string}
+ */
+export function histogramCsv(report) {
+    const lines = ['zone,level,r,g,b,luma'];
+    for (const zone of report.zones) {
+        const { r, g, b, luma } = zone.histogram;
+        for (let level = 0; level < 256; level++) {
+            lines.push([csvField(zone.label), level, r[level], g[level], b[level], luma[level]].join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Per-column waveform statistics of every zone as CSV, in 8-bit code values.
+ * source_x is the first source pixel column each waveform column covers.
+ * @param {object} report - See top of file
+ * @returns {string}
+ */
+export function waveformCsv(report) {
+    const lines = ['zone,column,source_x,luma_min,luma_max,luma_mean,r_mean,g_mean,b_mean'];
+    for (const zone of report.zones) {
+        const { columns, lumaMin, lumaMax, lumaMean, r, g, b } = zone.waveform;
+        for (let column = 0; column < columns; column++) {
+            const sourceX = zone.rect.x + Math.floor((column / columns) * zone.rect.width);
+            lines.push([
+                csvField(zone.label), column, sourceX, lumaMin[column], lumaMax[column],
+                round(lumaMean[column]), round(r[column]), round(g[column]), round(b[column])
+            ].join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The whole report as JSON
+ * @param {object} report - See top of file
+ * @returns {string}
+ */
+export function reportJson(report) {
+    return JSON.stringify(report, (key, value) => {
+        return typeof value === 'number' && !Number.isInteger(value) ? round(value) : value;
+    }, 2);
+}
+
+/**
+ * Build a file name like anyscope-2026-01-31_14-05-09-histogram.csv
+ * @param {Date} time
+ * @param {string} suffix
+ * @param {string} extension
+ * @returns {string}
+ */
+export function exportFilename(time, suffix, extension) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+    const clock = `${pad(time.getHours())}-${pad(time.getMinutes())}-${pad(time.getSeconds())}`;
+    return `anyscope-${date}_${clock}-${suffix}.${extension}`;
+}
+
+/**
+ * Save a blob as a download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Records a canvas to WebM with MediaRecorder
+ */
+export class ScopeRecorder {
+    // Preferred formats, best first
+    static MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    
+    /**
+     * @returns {boolean} Whether canvas recording to WebM is available
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            'captureStream' in HTMLCanvasElement.prototype &&
+            ScopeRecorder.MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+    }
+    
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to record; keep its size fixed while recording
+     * @param {number} frameRate - Maximum frames per second
+     */
+    constructor(canvas, frameRate) {
+        this.canvas = canvas;
+        this.frameRate = frameRate;
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+    }
+    
+    /**
+     * Start recording
+     */
+    start() {
+        const mimeType = ScopeRecorder.MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        this.chunks = [];
+        this.stream = this.canvas.captureStream(this.frameRate);
+        this.recorder = new MediaRecorder(this.stream, { mimeType });
+        this.recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        });
+        
+        // Collect data every second so a long recording is not held in one piece
+        this.recorder.start(1000);
+    }
+    
+    /**
+     * Stop recording
+     * @returns {Promise<Blob>} The recording
+     */
+    stop() {
+        return new Promise((resolve) => {
+            const recorder = this.recorder;
+            recorder.addEventListener('stop', () => {
+                this.stream.getTracks().forEach((track) => track.stop());
+                this.stream = null;
+                this.recorder = null;
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+}
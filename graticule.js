@@ -0,0 +1,201 @@
+/**
+ * AnyScope - Graticule Scales
+ * The units the level scales of the waveform, parade and histogram can be read in: where
+ * their lines go, in 8-bit code values, and how they are labeled. Levels are taken relative
+ * to the black and white of the active signal range. DOM-free, like analysis.js.
+ */
+
+// Units of the level scales; ticks are values in the unit, where lines are drawn
+export const GRATICULE_UNITS = {
+    percent: { name: 'Percent' },
+    ire: { name: 'IRE' },
+    code8: { name: '8-bit' },
+    code10: { name: '10-bit' },
+    nits: { name: 'Nits' }
+};
+
+// 10-bit code values for black and white in each signal range
+const TEN_BIT_LEVELS = {
+    full: { black: 0, white: 1023 },
+    limited: { black: 64, white: 940 }
+};
+
+// SMPTE ST 2084 (PQ) constants
+const PQ_M1 = 2610 / 16384;
+const PQ_M2 = (2523 / 4096) * 128;
+const PQ_C1 = 3424 / 4096;
+const PQ_C2 = (2413 / 4096) * 32;
+const PQ_C3 = (2392 / 4096) * 32;
+const PQ_PEAK = 10000;
+
+// ARIB STD-B67 (HLG) constants, and the nominal peak and system gamma of BT.2100
+const HLG_A = 0.17883277;
+const HLG_B = 1 - 4 * HLG_A;
+const HLG_C = 0.5 - HLG_A * Math.log(4 * HLG_A);
+const HLG_PEAK = 1000;
+const HLG_GAMMA = 1.2;
+
+// 18% grey in HDR, per BT.2408 (at 203 nits reference white)
+const HDR_GREY_NITS = 26;
+
+/**
+ * Signal of a linear scene value under the BT.709 camera curve
+ * @param {number} linear - 0 to 1
+ * @returns {number} 0 to 1
+ */
+function rec709Oetf(linear) {
+    return linear < 0.018 ? linear * 4.5 : 1.099 * linear ** 0.45 - 0.099;
+}
+
+/**
+ * Signal of a scene-linear value under the HLG curve
+ * @param {number} linear - 0 to 1
+ * @returns {number} 0 to 1
+ */
+function hlgOetf(linear) {
+    return linear <= 1 / 12 ? Math.sqrt(3 * linear) : HLG_A * Math.log(12 * linear - HLG_B) + HLG_C;
+}
+
+/**
+ * Scene-linear value of an HLG signal
+ * @param {number} signal - 0 to 1
+ * @returns {number} 0 to 1
+ */
+function hlgInverseOetf(signal) {
+    return signal <= 0.5 ? (signal * signal) / 3 : (Math.exp((signal - HLG_C) / HLG_A) + HLG_B) / 12;
+}
+
+// Transfer functions that turn a signal (0 to 1, black to white) into light on the display:
+// toNits and fromNits convert, ticks are the levels in nits the scales mark and grey is the
+// signal of 18% grey
+export const TRANSFER_FUNCTIONS = {
+    srgb: {
+        name: 'sRGB (80 nits)',
+        toNits: (signal) => 80 * (signal <= 0.04045 ? signal / 12.92 : ((signal + 0.055) / 1.055) ** 2.4),
+        fromNits: (nits) => {
+            const linear = nits / 80;
+            return linear <= 0.0031308 ? linear * 12.92 : 1.055 * linear ** (1 / 2.4) - 0.055;
+        },
+        ticks: [0, 5, 10, 20, 40, 80],
+        grey: 1.055 * 0.18 ** (1 / 2.4) - 0.055
+    },
+    rec709: {
+        name: 'Rec. 709 (BT.1886, 100 nits)',
+        toNits: (signal) => 100 * signal ** 2.4,
+        fromNits: (nits) => (nits / 100) ** (1 / 2.4),
+        ticks: [0, 5, 10, 25, 50, 100],
+        grey: rec709Oetf(0.18)
+    },
+    pq: {
+        name: 'PQ (ST 2084)',
+        toNits: (signal) => {
+            const p = signal ** (1 / PQ_M2);
+            return PQ_PEAK * (Math.max(p - PQ_C1, 0) / (PQ_C2 - PQ_C3 * p)) ** (1 / PQ_M1);
+        },
+        fromNits: (nits) => {
+            const y = (nits / PQ_PEAK) ** PQ_M1;
+            return ((PQ_C1 + PQ_C2 * y) / (1 + PQ_C3 * y)) ** PQ_M2;
+        },
+        ticks: [0, 1, 10, 100, 1000, 4000, 10000],
+        grey: null // Set below, from fromNits
+    },
+    hlg: {
+        name: 'HLG (1000 nits)',
+        toNits: (signal) => HLG_PEAK * hlgInverseOetf(signal) ** HLG_GAMMA,
+        fromNits: (nits) => hlgOetf((nits / HLG_PEAK) ** (1 / HLG_GAMMA)),
+        ticks: [0, 1, 10, 100, 1000],
+        grey: null
+    }
+};
+TRANSFER_FUNCTIONS.pq.grey = TRANSFER_FUNCTIONS.pq.fromNits(HDR_GREY_NITS);
+TRANSFER_FUNCTIONS.hlg.grey = TRANSFER_FUNCTIONS.hlg.fromNits(HDR_GREY_NITS);
+
+export const DEFAULT_GRATICULE_UNIT = 'percent';
+export const DEFAULT_HISTOGRAM_UNIT = 'code8'; // The histogram's scale has always been code values
+export const DEFAULT_TRANSFER_FUNCTION = 'rec709';
+
+/**
+ * Get the lines of a level scale
+ * @param {string} unit - Key of GRATICULE_UNITS
+ * @param {object} colorSpace - Result of getColorSpace
+ * @param {string} [transfer=DEFAULT_TRANSFER_FUNCTION] - Key of TRANSFER_FUNCTIONS, for nits
+ * @returns {{ code: number, label: string }[]} Lines at 8-bit code values (0-255), bottom up
+ */
+export function getScaleTicks(unit, colorSpace, transfer = DEFAULT_TRANSFER_FUNCTION) {
+    const { black, white, range } = colorSpace;
+    const fromSignal = (signal) => black + signal * (white - black);
+    
+    let ticks;
+    if (unit === 'percent') {
+        ticks = [0, 25, 50, 75, 100].map((level) => ({ code: fromSignal(level / 100), label: `${level}%` }));
+    } else if (unit === 'ire') {
+        ticks = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map((level) => {
+            return { code: fromSignal(level / 100), label: level === 100 ? '100 IRE' : String(level) };
+        });
+    } else if (unit === 'code8') {
+        const levels = [...new Set([0, black, 64, 128, 192, white, 255])].sort((a, b) => a - b);
+        ticks = levels.map((level) => ({ code: level, label: String(level) }));
+    } else if (unit === 'code10') {
+        const tenBit = TEN_BIT_LEVELS[range];
+        const levels = [...new Set([0, tenBit.black, 256, 512, 768, tenBit.white, 1023])].sort((a, b) => a - b);
+        ticks = levels.map((level) => ({
+            code: fromSignal((level - tenBit.black) / (tenBit.white - tenBit.black)),
+            label: String(level)
+        }));
+    } else if (unit === 'nits') {
+        const curve = TRANSFER_FUNCTIONS[transfer];
+        const peak = curve.ticks[curve.ticks.length - 1];
+        ticks = curve.ticks.map((nits) => ({
+            code: fromSignal(curve.fromNits(nits)),
+            label: nits === peak ? `${nits} nits` : String(nits)
+        }));
+    } else {
+        throw new RangeError(`Unknown graticule unit "${unit}"`);
+    }
+    
+    // Super-whites in the 10-bit range land just past 255
+    return ticks.map(({ code, label }) => ({ code: Math.min(Math.max(code, 0), 255), label }));
+}
+
+/**
+ * Get the 8-bit code value of 18% grey under a transfer function
+ * @param {object} colorSpace - Result of getColorSpace
+ * @param {string} transfer - Key of TRANSFER_FUNCTIONS
+ * @returns {number}
+ */
+export function greyLevel({ black, white }, transfer) {
+    return black + TRANSFER_FUNCTIONS[transfer].grey * (white - black);
+}
+
+/**
+ * Express an 8-bit code value in a unit, for readouts
+ * @param {number} code - 0-255, fractions allowed
+ * @param {string} unit - Key of GRATICULE_UNITS
+ * @param {object} colorSpace - Result of getColorSpace
+ * @param {string} [transfer=DEFAULT_TRANSFER_FUNCTION] - Key of TRANSFER_FUNCTIONS, for nits
+ * @returns {string} E.g. '52.3%', '52.3 IRE', '133.4', '512 (10-bit)' or '48.1 nits'
+ */
+export function formatLevel(code, unit, colorSpace, transfer = DEFAULT_TRANSFER_FUNCTION) {
+    const { black, white, range } = colorSpace;
+    const signal = (code - black) / (white - black);
+    
+    switch (unit) {
+        case 'percent':
+            return `${(signal * 100).toFixed(1)}%`;
+        case 'ire':
+            return `${(signal * 100).toFixed(1)} IRE`;
+        case 'code8':
+            return code.toFixed(1);
+        case 'code10': {
+            const tenBit = TEN_BIT_LEVELS[range];
+            const value = tenBit.black + signal * (tenBit.white - tenBit.black);
+            return `${Math.round(Math.min(Math.max(value, 0), 1023))} (10-bit)`;
+        }
+        case 'nits': {
+            const nits = TRANSFER_FUNCTIONS[transfer].toNits(Math.min(Math.max(signal, 0), 1));
+            return `${nits < 10 ? nits.toFixed(2) : nits.toFixed(nits < 100 ? 1 : 0)} nits`;
+        }
+        default:
+            throw new RangeError(`Unknown graticule unit "${unit}"`);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * AnyScope - Color Match
+ * Compares a target zone with a source zone and suggests how to correct the target to match
+ * it: a gain and lift per RGB channel, a hue and saturation offset, and the CIEDE2000
+ * difference between the zones. DOM-free.
+ * A side is { frame, histogram, stats }: the zone's pixels ({ data, width, height }, RGBA) and
+ * their analysis (see FrameAnalyzer#analyze).
+ */
+
+import { NEUTRAL_CHROMA } from './measurements.js';
+import { rgbToLab, deltaE2000 } from './chromaticity.js';
+
+// Shadow and highlight points of each channel, as shares of the zone's pixels: percentiles
+// rather than the extremes, so specular highlights and noise don't throw the fit
+const LOW_PERCENTILE = 0.02;
+const HIGH_PERCENTILE = 0.98;
+
+// Narrower spans between the two points (code values) can't be stretched reliably
+const MIN_CHANNEL_SPAN = 4;
+
+// The zones are compared cell by cell over a grid this many cells a side
+const MATCH_GRID = 16;
+
+/**
+ * Find the level below which a share of a histogram's values lie
+ * @param {Uint32Array} bins - 256 bins
+ * @param {number} share - 0 to 1
+ * @returns {number} Code value, interpolated within the bin
+ */
+function histogramPercentile(bins, share) {
+    let total = 0;
+    for (let i = 0; i < bins.length; i++) total += bins[i];
+    
+    const target = share * total;
+    let below = 0;
+    for (let level = 0; level < bins.length; level++) {
+        if (bins[level] > 0 && below + bins[level] >= target) {
+            return level + (target - below) / bins[level];
+        }
+        below += bins[level];
+    }
+    return bins.length - 1;
+}
+
+/**
+ * Fit the gain and lift taking a target channel's shadow and highlight points to the source's
+ * @param {Uint32Array} source - Histogram of the channel in the source zone
+ * @param {Uint32Array} target - The same in the target zone
+ * @returns {{ gain: number, lift: number }} Corrected = target × gain + lift, lift in code values
+ */
+function channelCorrection(source, target) {
+    const sourceLow = histogramPercentile(source, LOW_PERCENTILE);
+    const sourceHigh = histogramPercentile(source, HIGH_PERCENTILE);
+    const targetLow = histogramPercentile(target, LOW_PERCENTILE);
+    const targetHigh = histogramPercentile(target, HIGH_PERCENTILE);
+    
+    // A flat channel can only be offset
+    if (targetHigh - targetLow < MIN_CHANNEL_SPAN || sourceHigh - sourceLow < MIN_CHANNEL_SPAN) {
+        return { gain: 1, lift: (sourceLow + sourceHigh - targetLow - targetHigh) / 2 };
+    }
+    
+    const gain = (sourceHigh - sourceLow) / (targetHigh - targetLow);
+    return { gain, lift: sourceLow - targetLow * gain };
+}
+
+/**
+ * Average the colors of a frame over a grid of cells
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} frame - RGBA pixels
+ * @param {number} grid - Cells a side
+ * @returns {{ sums: Float64Array, counts: Uint32Array }} R, G, B sums and pixel count per cell
+ */
+function cellSums({ data, width, height }, grid) {
+    const sums = new Float64Array(grid * grid * 3);
+    const counts = new Uint32Array(grid * grid);
+    
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor((y * grid) / height) * grid;
+        for (let x = 0; x < width; x++) {
+            const cell = row + Math.floor((x * grid) / width);
+            const offset = (y * width + x) * 4;
+            sums[cell * 3] += data[offset];
+            sums[cell * 3 + 1] += data[offset + 1];
+            sums[cell * 3 + 2] += data[offset + 2];
+            counts[cell]++;
+        }
+    }
+    return { sums, counts };
+}
+
+/**
+ * Compare the zones area by area: each is divided into the same grid, and the mean colors of
+ * matching cells are compared. Zones framing the same subject compare like for like.
+ * @param {object} source - Frame of the source side
+ * @param {object} target - Frame of the target side
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {{ mean: number, max: number }} ΔE00 over the cells both zones cover
+ */
+function cellDifferences(source, target, colorSpace) {
+    const a = cellSums(source, MATCH_GRID);
+    const b = cellSums(target, MATCH_GRID);
+    const lab = ({ sums, counts }, cell) => {
+        const n = counts[cell];
+        return rgbToLab(sums[cell * 3] / n, sums[cell * 3 + 1] / n, sums[cell * 3 + 2] / n, colorSpace);
+    };
+    
+    let total = 0;
+    let max = 0;
+    let cells = 0;
+    for (let cell = 0; cell < MATCH_GRID * MATCH_GRID; cell++) {
+        // Zones narrower than the grid leave cells empty
+        if (a.counts[cell] === 0 || b.counts[cell] === 0) continue;
+        
+        const difference = deltaE2000(lab(a, cell), lab(b, cell));
+        total += difference;
+        max = Math.max(max, difference);
+        cells++;
+    }
+    return { mean: cells ? total / cells : 0, max };
+}
+
+/**
+ * Get the hue of a zone's mean chroma vector, as on the vectorscope
+ * @param {{ cb: number, cr: number }} chroma - Mean chroma (see FrameAnalyzer#analyze)
+ * @returns {number|null} Degrees counterclockwise from +Cb, or null when neutral
+ */
+function chromaHue({ cb, cr }) {
+    if (Math.hypot(cb, cr) < NEUTRAL_CHROMA) return null;
+    return (Math.atan2(cr, cb) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Compare a target zone with a source zone
+ * @param {object} source - Side to match (see top of file)
+ * @param {object} target - Side to correct
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {{ channels: object, hueOffset: number|null, saturationOffset: number,
+ *   saturationGain: number|null, deltaE: { mean: number, max: number } }} Channels holds
+ *   { gain, lift } for r, g and b (see channelCorrection); hueOffset is the rotation taking the
+ *   target's mean hue to the source's in degrees (-180 to 180), null if either is neutral;
+ *   saturationOffset is the difference of the mean saturations in percentage points and
+ *   saturationGain their ratio (null for a target without saturation)
+ */
+export function compareZones(source, target, colorSpace) {
+    const channels = {};
+    for (const key of ['r', 'g', 'b']) {
+        channels[key] = channelCorrection(source.histogram[key], target.histogram[key]);
+    }
+    
+    const sourceHue = chromaHue(source.stats.chroma);
+    const targetHue = chromaHue(target.stats.chroma);
+    const hueOffset = sourceHue === null || targetHue === null
+        ? null
+        : ((sourceHue - targetHue + 540) % 360) - 180;
+    
+    const sourceSaturation = source.stats.chroma.saturation;
+    const targetSaturation = target.stats.chroma.saturation;
+    
+    return {
+        channels,
+        hueOffset,
+        saturationOffset: sourceSaturation - targetSaturation,
+        saturationGain: targetSaturation > 0 ? sourceSaturation / targetSaturation : null,
+        deltaE: cellDifferences(source.frame, target.frame, colorSpace)
+    };
+}
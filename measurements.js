@@ -0,0 +1,116 @@
+/**
+ * AnyScope - Measurements
+ * Numeric readouts of an analysis: luma levels, RGB means, clipping, average chroma and an
+ * estimated white balance, optionally averaged over the last frames. DOM-free.
+ * A measurement is a flat record of numbers taken from one analysis' stats (see measure).
+ */
+
+import { estimateWhiteBalance } from './color.js';
+
+// Below this mean chroma (percent of the vectorscope circle) the picture counts as neutral
+// and has no meaningful average hue
+export const NEUTRAL_CHROMA = 1;
+
+/**
+ * Take the readout values from an analysis' stats
+ * @param {object} stats - Analysis stats (see FrameAnalyzer#analyze)
+ * @returns {object} Measurement
+ */
+export function measure(stats) {
+    const { luma, mean, clipped, chroma } = stats;
+    return {
+        lumaMin: luma.min,
+        lumaMax: luma.max,
+        lumaMean: luma.mean,
+        lumaMedian: luma.median,
+        meanR: mean.r,
+        meanG: mean.g,
+        meanB: mean.b,
+        clipLowR: clipped.low.r,
+        clipLowG: clipped.low.g,
+        clipLowB: clipped.low.b,
+        clipHighR: clipped.high.r,
+        clipHighG: clipped.high.g,
+        clipHighB: clipped.high.b,
+        chromaCb: chroma.cb,
+        chromaCr: chroma.cr,
+        saturation: chroma.saturation
+    };
+}
+
+/**
+ * Average measurements value by value
+ * @param {object[]} measurements - At least one
+ * @returns {object} Measurement
+ */
+export function averageMeasurements(measurements) {
+    const average = {};
+    for (const key of Object.keys(measurements[0])) {
+        average[key] = measurements.reduce((sum, m) => sum + m[key], 0) / measurements.length;
+    }
+    return average;
+}
+
+/**
+ * Add the values derived from a measurement. The hue comes from the mean Cb/Cr vector rather
+ * than from averaging angles, so it also averages correctly over frames.
+ * @param {object} measurement
+ * @param {object} colorSpace - Result of getColorSpace
+ * @returns {object} The measurement plus hue (degrees counterclockwise from +Cb as on the
+ *   vectorscope, null when neutral), cct (kelvin or null) and tint (percent, + is green)
+ */
+export function deriveMeasurements(measurement, colorSpace) {
+    const { chromaCb, chromaCr, meanR, meanG, meanB } = measurement;
+    const neutral = Math.hypot(chromaCb, chromaCr) < NEUTRAL_CHROMA;
+    const hue = neutral ? null : (Math.atan2(chromaCr, chromaCb) * 180 / Math.PI + 360) % 360;
+    
+    return { ...measurement, hue, ...estimateWhiteBalance(meanR, meanG, meanB, colorSpace) };
+}
+
+/**
+ * Keeps the measurements of the last frames to smooth the readouts
+ */
+export class MeasurementHistory {
+    /**
+     * @param {number} [length=1] - Frames to average over (1 for no smoothing)
+     */
+    constructor(length = 1) {
+        this.length = length;
+        this.frames = []; // Measurements per zone, oldest first
+    }
+    
+    /**
+     * Change how many frames are averaged
+     * @param {number} length
+     */
+    setLength(length) {
+        this.length = Math.max(1, Math.round(length));
+        this.frames = this.frames.slice(-this.length);
+    }
+    
+    /**
+     * Add a frame and get its measurements averaged with the previous frames
+     * @param {object[]} measurements - One per zone
+     * @returns {object[]} Averaged measurements, one per zone
+     */
+    push(measurements) {
+        // A different number of zones starts over
+        if (this.frames.length > 0 && this.frames[0].length !== measurements.length) {
+            this.frames = [];
+        }
+        
+        this.frames.push(measurements);
+        if (this.frames.length > this.length) {
+            this.frames.shift();
+        }
+        
+        return measurements.map((_, i) => averageMeasurements(this.frames.map((frame) => frame[i])));
+    }
+    
+    /**
+     * Forget all frames
+     */
+    clear() {
+        this.frames = [];
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * AnyScope - Preview Overlays
+ * Per-pixel overlays drawn on the selection canvas over the source preview
+ */
+
+import { hexToRgb } from './color.js';
+
+export class ZebraOverlay {
+    static STRIPE_PERIOD = 12; // Stripe repeat in display pixels
+    static STRIPE_SPEED = 0.02; // Stripe drift in display pixels per ms
+    
+    constructor() {
+        // Mask at analysis resolution, scaled up onto the preview
+        this.maskCanvas = document.createElement('canvas');
+        this.maskCtx = this.maskCanvas.getContext('2d');
+        this.maskImageData = null;
+        
+        // Stripes are composed here before being drawn over the preview
+        this.layerCanvas = document.createElement('canvas');
+        this.layerCtx = this.layerCanvas.getContext('2d');
+        
+        this.pattern = this.createStripePattern();
+    }
+    
+    /**
+     * Create a seamless tile of diagonal black and white stripes
+     */
+    createStripePattern() {
+        const period = ZebraOverlay.STRIPE_PERIOD;
+        const tile = document.createElement('canvas');
+        tile.width = period;
+        tile.height = period;
+        const ctx = tile.getContext('2d');
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, period, period);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = period * 0.35;
+        ctx.beginPath();
+        for (const offset of [-period, 0, period]) {
+            ctx.moveTo(offset, period);
+            ctx.lineTo(offset + period, 0);
+        }
+        ctx.stroke();
+        
+        return this.layerCtx.createPattern(tile, 'repeat');
+    }
+    
+    /**
+     * Draw animated zebra stripes over every flagged pixel
+     * @param {CanvasRenderingContext2D} ctx - Target context (the selection overlay)
+     * @param {{ x: number, y: number, width: number, height: number }} rect - Area of the
+     *   target, in canvas pixels, that the mask covers
+     * @param {Uint8Array} mask - Non-zero for flagged pixels, row-major
+     * @param {number} maskWidth - Mask width in pixels
+     * @param {number} maskHeight - Mask height in pixels
+     * @param {number} time - Timestamp in ms, drives the stripe animation
+     */
+    draw(ctx, rect, mask, maskWidth, maskHeight, time) {
+        if (maskWidth === 0 || maskHeight === 0) return;
+        
+        // Paint flagged pixels opaque into the mask canvas
+        if (this.maskCanvas.width !== maskWidth || this.maskCanvas.height !== maskHeight) {
+            this.maskCanvas.width = maskWidth;
+            this.maskCanvas.height = maskHeight;
+            this.maskImageData = null;
+        }
+        if (!this.maskImageData) {
+            this.maskImageData = this.maskCtx.createImageData(maskWidth, maskHeight);
+        }
+        const pixels = this.maskImageData.data;
+        for (let i = 0; i < maskWidth * maskHeight; i++) {
+            pixels[i * 4 + 3] = mask[i] ? 255 : 0;
+        }
+        this.maskCtx.putImageData(this.maskImageData, 0, 0);
+        
+        // Fill the zone with drifting stripes, then keep them only where the mask is set
+        const layer = this.layerCanvas;
+        const layerCtx = this.layerCtx;
+        if (layer.width !== ctx.canvas.width || layer.height !== ctx.canvas.height) {
+            layer.width = ctx.canvas.width;
+            layer.height = ctx.canvas.height;
+        }
+        layerCtx.clearRect(0, 0, layer.width, layer.height);
+        
+        const phase = (time * ZebraOverlay.STRIPE_SPEED) % ZebraOverlay.STRIPE_PERIOD;
+        this.pattern.setTransform(new DOMMatrix([1, 0, 0, 1, phase, 0]));
+        layerCtx.fillStyle = this.pattern;
+        layerCtx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        
+        layerCtx.globalCompositeOperation = 'destination-in';
+        layerCtx.imageSmoothingEnabled = false;
+        layerCtx.drawImage(this.maskCanvas, rect.x, rect.y, rect.width, rect.height);
+        layerCtx.globalCompositeOperation = 'source-over';
+        
+        ctx.drawImage(layer, 0, 0);
+    }
+}
+
+export class BrushOverlay {
+    static DIM_COLOR = [0, 0, 0, 170]; // Over pixels outside the brush
+    static HIGHLIGHT_COLOR = [255, 216, 74, 90]; // Over pixels inside it
+    
+    constructor() {
+        // Highlight at analysis resolution, scaled up onto the preview
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.imageData = null;
+    }
+    
+    /**
+     * Dim the pixels outside a scope brush and tint the ones inside it
+     * @param {CanvasRenderingContext2D} ctx - Target context (the selection overlay)
+     * @param {{ x: number, y: number, width: number, height: number }} rect - Area of the
+     *   target, in canvas pixels, that the mask covers
+     * @param {Uint8Array} mask - Non-zero for brushed pixels, row-major
+     * @param {number} maskWidth - Mask width in pixels
+     * @param {number} maskHeight - Mask height in pixels
+     */
+    draw(ctx, rect, mask, maskWidth, maskHeight) {
+        if (maskWidth === 0 || maskHeight === 0) return;
+        
+        if (this.canvas.width !== maskWidth || this.canvas.height !== maskHeight) {
+            this.canvas.width = maskWidth;
+            this.canvas.height = maskHeight;
+            this.imageData = null;
+        }
+        if (!this.imageData) {
+            this.imageData = this.ctx.createImageData(maskWidth, maskHeight);
+        }
+        
+        const pixels = this.imageData.data;
+        const dim = BrushOverlay.DIM_COLOR;
+        const highlight = BrushOverlay.HIGHLIGHT_COLOR;
+        for (let i = 0; i < maskWidth * maskHeight; i++) {
+            pixels.set(mask[i] ? highlight : dim, i * 4);
+        }
+        this.ctx.putImageData(this.imageData, 0, 0);
+        
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.canvas, rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
+    }
+}
+
+// Exposure bands in percent of the black-to-white range; pixels outside every band stay grey
+export const DEFAULT_EXPOSURE_BANDS = [
+    { id: 'crushed', label: 'Crushed blacks', min: 0, max: 2, color: '#6a1fd1' },
+    { id: 'grey', label: '18% grey', min: 38, max: 44, color: '#2fbf4a' },
+    { id: 'skin', label: 'Skin', min: 55, max: 70, color: '#ff8fb8' },
+    { id: 'nearClip', label: 'Near clip', min: 90, max: 98, color: '#ffe020' },
+    { id: 'clipped', label: 'Clipped', min: 99, max: 100, color: '#ff2020' }
+];
+
+export class FalseColorOverlay {
+    constructor() {
+        // False color image at analysis resolution, scaled up onto the preview
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.imageData = null;
+        
+        // RGBA color for every luma code value
+        this.lut = new Uint8ClampedArray(256 * 4);
+        this.bands = DEFAULT_EXPOSURE_BANDS.map((band) => ({ ...band }));
+        this.setBands(this.bands, 0, 255);
+    }
+    
+    /**
+     * Rebuild the luma-to-color lookup
+     * @param {{ min: number, max: number, color: string }[]} bands - Exposure bands in percent;
+     *   later bands win where ranges overlap
+     * @param {number} black - Code value of 0%
+     * @param {number} white - Code value of 100%
+     */
+    setBands(bands, black, white) {
+        this.bands = bands;
+        
+        for (let code = 0; code < 256; code++) {
+            const percent = ((code - black) / (white - black)) * 100;
+            
+            // Dimmed greyscale keeps the picture readable between bands
+            const grey = Math.round(code * 0.6);
+            let color = [grey, grey, grey];
+            for (const band of bands) {
+                // Bands at the ends of the scale also take super-blacks and super-whites
+                const aboveMin = percent >= band.min || (band.min <= 0 && percent < 0);
+                const belowMax = percent <= band.max || (band.max >= 100 && percent > 100);
+                if (aboveMin && belowMax) {
+                    color = hexToRgb(band.color);
+                }
+            }
+            
+            this.lut[code * 4] = color[0];
+            this.lut[code * 4 + 1] = color[1];
+            this.lut[code * 4 + 2] = color[2];
+            this.lut[code * 4 + 3] = 255;
+        }
+    }
+    
+    /**
+     * Draw the false color image of the analyzed region
+     * @param {CanvasRenderingContext2D} ctx - Target context (the selection overlay)
+     * @param {{ x: number, y: number, width: number, height: number }} rect - Area of the
+     *   target, in canvas pixels, that the luma map covers
+     * @param {Uint8Array} lumaMap - Luma code value per pixel, row-major
+     * @param {number} mapWidth - Map width in pixels
+     * @param {number} mapHeight - Map height in pixels
+     */
+    draw(ctx, rect, lumaMap, mapWidth, mapHeight) {
+        if (mapWidth === 0 || mapHeight === 0) return;
+        
+        if (this.canvas.width !== mapWidth || this.canvas.height !== mapHeight) {
+            this.canvas.width = mapWidth;
+            this.canvas.height = mapHeight;
+            this.imageData = null;
+        }
+        if (!this.imageData) {
+            this.imageData = this.ctx.createImageData(mapWidth, mapHeight);
+        }
+        
+        const pixels = this.imageData.data;
+        const lut = this.lut;
+        for (let i = 0; i < mapWidth * mapHeight; i++) {
+            const entry = lumaMap[i] * 4;
+            const pixelIndex = i * 4;
+            pixels[pixelIndex] = lut[entry];
+            pixels[pixelIndex + 1] = lut[entry + 1];
+            pixels[pixelIndex + 2] = lut[entry + 2];
+            pixels[pixelIndex + 3] = 255;
+        }
+        this.ctx.putImageData(this.imageData, 0, 0);
+        
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.canvas, rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a legend of the exposure bands in the bottom-right corner
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     */
+    drawLegend(ctx) {
+        const lineHeight = 16;
+        const padding = 6;
+        const width = 170;
+        const height = this.bands.length * lineHeight + padding * 2;
+        const x = ctx.canvas.width - width - 10;
+        const y = ctx.canvas.height - height - 10;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, y, width, height);
+        ctx.font = '11px sans-serif';
+        
+        this.bands.forEach((band, i) => {
+            const rowY = y + padding + i * lineHeight;
+            ctx.fillStyle = band.color;
+            ctx.fillRect(x + padding, rowY + 3, 10, 10);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillText(`${band.label} ${band.min}–${band.max}%`, x + padding + 16, rowY + 12);
+        });
+        ctx.restore();
+    }
+}
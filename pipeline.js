@@ -0,0 +1,419 @@
+/**
+ * AnyScope - Frame Pipelines
+ * Moves regions of the source video through analysis and scope rendering,
+ * either on the main thread or in a Web Worker drawing into OffscreenCanvases.
+ * A region is { sx, sy, sw, sh, width, height, id, color, label, match }: the source rectangle,
+ * the analysis size it is scaled to, the id of its zone (null for the full frame), its trace
+ * color (#rrggbb or null) and label, and whether it is compared with the match source.
+ */
+
+import { VideoScopes } from './scopes.js';
+import { getScope } from './registry.js';
+
+/**
+ * Main-thread pipeline: draws the region into a canvas, reads it back and
+ * renders the scopes synchronously. Works in every browser.
+ */
+export class InlinePipeline {
+    /**
+     * @param {object} canvases - Scope canvases keyed by scope id
+     * @param {HTMLCanvasElement} captureCanvas - Scratch canvas used to read back pixels
+     */
+    constructor(canvases, captureCanvas) {
+        this.scopes = new VideoScopes(canvases);
+        this.canvases = canvases;
+        this.captureCanvas = captureCanvas;
+        this.captureCtx = captureCanvas.getContext('2d');
+    }
+    
+    /**
+     * Analyze regions of the source and render the scopes
+     * @param {CanvasImageSource} source - Video element (or any drawable)
+     * @param {object[]} regions - Regions to analyze (see top of file)
+     * @returns {Promise<object[]>} One analysis result per region
+     */
+    async process(source, regions) {
+        const zones = regions.map((region) => {
+            this.captureCanvas.width = region.width;
+            this.captureCanvas.height = region.height;
+            
+            // Draw only the selected zone (or full frame if no zone selected)
+            this.captureCtx.drawImage(
+                source,
+                region.sx, region.sy, region.sw, region.sh, // Source rectangle
+                0, 0, region.width, region.height           // Destination rectangle
+            );
+            
+            const imageData = this.captureCtx.getImageData(0, 0, region.width, region.height);
+            return { imageData, id: region.id, color: region.color, label: region.label, match: region.match };
+        });
+        
+        return this.scopes.analyzeZones(zones);
+    }
+    
+    /**
+     * Analyze the last regions again with the current options (for a held frame)
+     * @returns {Promise<object[]|null>} The analysis results, or null before the first frame
+     */
+    async refresh() {
+        return this.scopes.refresh();
+    }
+    
+    /**
+     * Get images of the scopes as currently drawn
+     * @returns {Promise<object>} The scope canvases keyed by scope id
+     */
+    async snapshot() {
+        return { ...this.canvases };
+    }
+    
+    /**
+     * Get the numbers behind the scopes (see VideoScopes#getExportData)
+     * @returns {Promise<object[]|null>}
+     */
+    async exportData() {
+        return this.scopes.getExportData();
+    }
+    
+    /**
+     * Store the last analyzed frame as a reference (see VideoScopes#storeReference)
+     * @param {number} id
+     * @param {string} name
+     */
+    storeReference(id, name) {
+        this.scopes.storeReference(id, name);
+    }
+    
+    /**
+     * Delete a stored reference
+     * @param {number} id
+     */
+    deleteReference(id) {
+        this.scopes.deleteReference(id);
+    }
+    
+    /**
+     * Store a zone of the last analyzed frame as the match source (see VideoScopes#storeMatchSource)
+     * @param {number|null} id
+     * @param {string} name
+     */
+    storeMatchSource(id, name) {
+        this.scopes.storeMatchSource(id, name);
+    }
+    
+    /**
+     * Forget the match source
+     */
+    clearMatchSource() {
+        this.scopes.clearMatchSource();
+    }
+    
+    /**
+     * Update analysis and display options (see VideoScopes#setOptions)
+     * @param {object} options
+     */
+    setOptions(options) {
+        this.scopes.setOptions(options);
+    }
+    
+    /**
+     * Clear all scopes
+     */
+    clear() {
+        this.scopes.clearAll();
+    }
+    
+    /**
+     * Release resources (nothing to do on the main thread)
+     */
+    destroy() {}
+}
+
+/**
+ * Worker pipeline: crops and scales the region into an ImageBitmap, transfers
+ * it to scope-worker.js, which analyzes it and renders into the scope canvases
+ * transferred to it as OffscreenCanvases. Keeps the UI thread free.
+ */
+export class WorkerPipeline {
+    /**
+     * Check whether module workers, OffscreenCanvas and ImageBitmap are all available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        if (typeof Worker === 'undefined' ||
+            typeof OffscreenCanvas === 'undefined' ||
+            typeof createImageBitmap !== 'function' ||
+            typeof HTMLCanvasElement === 'undefined' ||
+            !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) {
+            return false;
+        }
+        
+        // Module workers are newer than workers; the option getter is only read when supported
+        let supportsModules = false;
+        const options = {
+            get type() {
+                supportsModules = true;
+                return 'module';
+            }
+        };
+        try {
+            new Worker('data:text/javascript,', options).terminate();
+        } catch (error) {
+            // Ignore: support is determined by whether the getter ran
+        }
+        return supportsModules;
+    }
+    
+    /**
+     * Check whether the worker can load every scope to draw
+     * @param {string[]} ids - Registered scope ids
+     * @returns {boolean} Whether every scope names its module (see registerScope)
+     */
+    static canDraw(ids) {
+        return ids.every((id) => getScope(id).module);
+    }
+    
+    /**
+     * @param {object} canvases - Scope canvases keyed by registered scope id (and match, see
+     *   VideoScopes); control of each is transferred to the worker once it has loaded, so they
+     *   cannot be drawn on afterwards
+     * @param {object} [options]
+     * @param {function(Error): void} [options.onFail] - Called if the worker fails to load. The
+     *   canvases are still untouched then, so an InlinePipeline can take them over, starting
+     *   from the options set so far (see options). Frames posted meanwhile are dropped, and
+     *   with them the references and match source stored from them.
+     * @throws {Error} If module workers or OffscreenCanvas are not supported (see isSupported)
+     */
+    constructor(canvases, { onFail = () => {} } = {}) {
+        if (!WorkerPipeline.isSupported()) {
+            throw new Error('Module workers with OffscreenCanvas are not supported.');
+        }
+        
+        this.canvases = canvases;
+        this.onFail = onFail;
+        this.options = {}; // Every option set, latest value per key
+        this.loaded = false;
+        this.queue = []; // [message, transfer] posted before the worker loaded
+        this.nextRequestId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        
+        this.worker = new Worker(new URL('./scope-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => {
+            if (e.data.type === 'loaded') {
+                this.start();
+            } else {
+                this.onMessage(e.data);
+            }
+        });
+        this.worker.addEventListener('error', (e) => {
+            const error = new Error(e.message || 'Scope worker failed');
+            console.error('Scope worker error:', error.message);
+            this.rejectPending(error);
+            if (!this.loaded) {
+                this.worker.terminate();
+                this.dropQueue();
+                this.onFail(error);
+            }
+        });
+    }
+    
+    /**
+     * Hand the canvases to the loaded worker and send what was posted while it loaded
+     */
+    start() {
+        this.loaded = true;
+        
+        const offscreen = {};
+        for (const [id, canvas] of Object.entries(this.canvases)) {
+            offscreen[id] = canvas.transferControlToOffscreen();
+        }
+        
+        // The worker imports the modules registering the scopes before it draws them
+        const ids = Object.keys(this.canvases).filter(getScope);
+        const modules = [...new Set(ids.map((id) => getScope(id).module))];
+        this.worker.postMessage({ type: 'init', canvases: offscreen, modules }, Object.values(offscreen));
+        
+        for (const [message, transfer] of this.queue) {
+            this.worker.postMessage(message, transfer);
+        }
+        this.queue = [];
+    }
+    
+    /**
+     * Forget the messages held for a worker that never loaded, closing the frames among them
+     */
+    dropQueue() {
+        for (const [, transfer] of this.queue) {
+            for (const object of transfer) {
+                if (object.close) object.close();
+            }
+        }
+        this.queue = [];
+    }
+    
+    /**
+     * Post a message to the worker, or hold it until the worker has loaded
+     * @param {object} message
+     * @param {Transferable[]} [transfer]
+     */
+    post(message, transfer = []) {
+        if (this.loaded) {
+            this.worker.postMessage(message, transfer);
+        } else {
+            this.queue.push([message, transfer]);
+        }
+    }
+    
+    /**
+     * Analyze regions of the source and render the scopes in the worker
+     * @param {CanvasImageSource} source - Video element (or any ImageBitmapSource)
+     * @param {object[]} regions - Regions to analyze (see top of file)
+     * @returns {Promise<object[]>} Analysis summary per region
+     *   ({ width, height, stats, histogram, legalMask, lumaMap, brushMask })
+     */
+    async process(source, regions) {
+        const results = await Promise.allSettled(regions.map((region) => {
+            return createImageBitmap(source, region.sx, region.sy, region.sw, region.sh, {
+                resizeWidth: region.width,
+                resizeHeight: region.height,
+                resizeQuality: 'low'
+            });
+        }));
+        
+        // On failure the bitmaps that did resolve are never transferred, so release them here
+        const failure = results.find(({ status }) => status === 'rejected');
+        if (failure) {
+            for (const { status, value } of results) {
+                if (status === 'fulfilled') value.close();
+            }
+            throw failure.reason;
+        }
+        const frames = results.map(({ value }) => value);
+        const zones = regions.map(({ id, color, label, match }) => ({ id, color, label, match }));
+        
+        return this.request({ type: 'frame', frames, zones }, frames);
+    }
+    
+    /**
+     * Analyze the last regions again with the current options (for a held frame)
+     * @returns {Promise<object[]|null>} Analysis summaries, or null before the first frame
+     */
+    refresh() {
+        return this.request({ type: 'refresh' });
+    }
+    
+    /**
+     * Get images of the scopes as currently drawn in the worker
+     * @returns {Promise<object>} ImageBitmap per scope id; close them once drawn
+     */
+    snapshot() {
+        return this.request({ type: 'snapshot' });
+    }
+    
+    /**
+     * Get the numbers behind the scopes (see VideoScopes#getExportData)
+     * @returns {Promise<object[]|null>}
+     */
+    exportData() {
+        return this.request({ type: 'exportData' });
+    }
+    
+    /**
+     * Post a message that the worker answers, tagged with a request id
+     * @param {object} message
+     * @param {Transferable[]} [transfer]
+     * @returns {Promise<*>} The worker's analysis summaries, or the result of other requests
+     */
+    request(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject });
+            this.post({ ...message, id }, transfer);
+        });
+    }
+    
+    /**
+     * Handle a response from the worker
+     */
+    onMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+        
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else if (message.type === 'analyzed') {
+            request.resolve(message.analysis);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+    
+    /**
+     * Reject every in-flight request
+     */
+    rejectPending(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+    
+    /**
+     * Update analysis and display options (see VideoScopes#setOptions)
+     * @param {object} options
+     */
+    setOptions(options) {
+        Object.assign(this.options, options);
+        this.post({ type: 'options', options });
+    }
+    
+    /**
+     * Store the last frame the worker analyzed as a reference (see VideoScopes#storeReference)
+     * @param {number} id
+     * @param {string} name
+     */
+    storeReference(id, name) {
+        this.post({ type: 'storeReference', id, name });
+    }
+    
+    /**
+     * Delete a stored reference
+     * @param {number} id
+     */
+    deleteReference(id) {
+        this.post({ type: 'deleteReference', id });
+    }
+    
+    /**
+     * Store a zone of the last frame the worker analyzed as the match source
+     * (see VideoScopes#storeMatchSource)
+     * @param {number|null} id
+     * @param {string} name
+     */
+    storeMatchSource(id, name) {
+        this.post({ type: 'storeMatchSource', id, name });
+    }
+    
+    /**
+     * Forget the match source
+     */
+    clearMatchSource() {
+        this.post({ type: 'clearMatchSource' });
+    }
+    
+    /**
+     * Clear all scopes
+     */
+    clear() {
+        this.post({ type: 'clear' });
+    }
+    
+    /**
+     * Stop the worker
+     */
+    destroy() {
+        this.worker.terminate();
+        this.rejectPending(new Error('Scope worker terminated'));
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * AnyScope - Pop-out Windows
+ * Moves parts of the page into windows of their own, e.g. on a second monitor, and docks
+ * them back when their window closes. Moved elements keep their listeners, and canvases
+ * handed to the scope worker keep showing what it draws.
+ */
+
+export class PopoutWindows {
+    // Room around a popped-out element for the window's padding, in pixels
+    static WINDOW_PADDING = 40;
+    
+    /**
+     * @param {object} options
+     * @param {function(string): object|null} options.loadBounds - Saved { left, top, width, height }
+     *   of a window by key, or null
+     * @param {function(string, object): void} options.saveBounds - Remember a window's bounds
+     * @param {function(Window): void} [options.onOpen] - Called with every new window
+     * @param {function(string, boolean): void} [options.onChange] - Called with a key when its
+     *   element pops out (true) or docks (false)
+     */
+    constructor({ loadBounds, saveBounds, onOpen = () => {}, onChange = () => {} }) {
+        this.loadBounds = loadBounds;
+        this.saveBounds = saveBounds;
+        this.onOpen = onOpen;
+        this.onChange = onChange;
+        this.windows = new Map(); // key -> { window, element, placeholder }
+        
+        // Pop-outs close with the page
+        window.addEventListener('pagehide', () => this.dockAll());
+    }
+    
+    /**
+     * @param {string} key
+     * @returns {boolean} Whether the element of a key is in its own window
+     */
+    isOpen(key) {
+        return this.windows.has(key);
+    }
+    
+    /**
+     * Move an element into a window of its own, leaving a placeholder with a Dock button.
+     * Must be called from a user gesture, or the browser blocks the window.
+     * @param {string} key - Names the window and its saved bounds
+     * @param {HTMLElement} element - Element to move
+     * @param {string} title - Window title and placeholder text
+     * @returns {boolean} Whether the element is now in its own window (false if the window was blocked)
+     */
+    popOut(key, element, title) {
+        const open = this.windows.get(key);
+        if (open) {
+            open.window.focus();
+            return true;
+        }
+        
+        const padding = PopoutWindows.WINDOW_PADDING;
+        const bounds = this.loadBounds(key) || {
+            width: Math.round(element.offsetWidth + padding),
+            height: Math.round(element.offsetHeight + padding)
+        };
+        const features = Object.entries(bounds).map(([name, value]) => `${name}=${Math.round(value)}`);
+        const win = window.open('', `anyscope-${key}`, ['popup', ...features].join(','));
+        if (!win) return false;
+        
+        // The window gets the page's stylesheets; a window left over from before a reload is emptied
+        const doc = win.document;
+        doc.title = `${title} - AnyScope`;
+        doc.head.replaceChildren();
+        doc.body.replaceChildren();
+        for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+            const copy = doc.createElement('link');
+            copy.rel = 'stylesheet';
+            copy.href = link.href;
+            doc.head.appendChild(copy);
+        }
+        doc.body.className = 'popout';
+        
+        const placeholder = element.ownerDocument.createElement('div');
+        placeholder.className = 'popout-placeholder';
+        placeholder.innerHTML = `
+            <span></span>
+            <button class="btn btn-reset btn-small">Dock</button>
+        `;
+        placeholder.querySelector('span').textContent = `${title} is in its own window`;
+        placeholder.querySelector('button').addEventListener('click', () => this.dock(key));
+        element.replaceWith(placeholder);
+        doc.body.appendChild(element);
+        
+        // Lets the stylesheet scale canvases to the window without distorting them
+        for (const canvas of element.querySelectorAll('canvas')) {
+            canvas.style.setProperty('--aspect', canvas.width / canvas.height);
+        }
+        
+        this.windows.set(key, { window: win, element, placeholder });
+        win.addEventListener('pagehide', () => this.dock(key));
+        
+        this.onOpen(win);
+        this.onChange(key, true);
+        return true;
+    }
+    
+    /**
+     * Put an element back where it was and close its window, remembering the window's bounds
+     * @param {string} key
+     */
+    dock(key) {
+        const open = this.windows.get(key);
+        if (!open) return;
+        this.windows.delete(key);
+        
+        const win = open.window;
+        if (!win.closed) {
+            this.saveBounds(key, {
+                left: win.screenX,
+                top: win.screenY,
+                width: win.innerWidth,
+                height: win.innerHeight
+            });
+        }
+        
+        open.placeholder.replaceWith(open.element);
+        if (!win.closed) {
+            win.close();
+        }
+        this.onChange(key, false);
+    }
+    
+    /**
+     * Dock every element
+     */
+    dockAll() {
+        for (const key of [...this.windows.keys()]) {
+            this.dock(key);
+        }
+    }
+    
+    /**
+     * @returns {Window|null} A pop-out that is being shown, if any
+     */
+    getVisibleWindow() {
+        for (const { window: win } of this.windows.values()) {
+            if (!win.closed && !win.document.hidden) return win;
+        }
+        return null;
+    }
+}
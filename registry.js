@@ -0,0 +1,82 @@
+/**
+ * AnyScope - Scope Registry
+ * The scopes the app shows, in panel order. The built-in waveform, parade, vectorscope,
+ * chromaticity diagram and histogram register themselves in scopes.js; other scopes register
+ * from modules of their own, loaded by the page before it finishes loading. DOM-free, so it
+ * also runs in the scope worker.
+ *
+ * A scope is { id, title, subtitle, width, height, keepAspect, module, accumulate, render }:
+ * - accumulate(frame, analysis, context) is called for every analyzed zone with its pixels
+ *   (frame is { data, width, height }, RGBA), the built-in analysis of them (see
+ *   FrameAnalyzer#analyze) and { colorSpace, width, height, state }: the color space result of
+ *   getColorSpace, the scope's canvas size, and an object kept for this scope and zone between
+ *   frames (for reusing buffers). It returns whatever the scope draws from.
+ * - render(ctx, traces, context) draws every zone at once: traces are { data, color, label }
+ *   per zone, data being what accumulate returned and color [r, g, b] or null for the scope's
+ *   usual colors; context is { colorSpace, ghost, scopes }: the data of the shown reference frame
+ *   (or null), and the VideoScopes instance, for its drawing helpers.
+ */
+
+// Ids name elements (the panel is #<id>Container), so they are plain identifiers
+const SCOPE_ID = /^[a-z][a-zA-Z0-9]*$/;
+
+// Panels the page has outside the registry, whose elements a scope of the same id would take over
+const RESERVED_IDS = new Set(['measurements', 'timeline', 'match']);
+
+const scopes = new Map(); // id -> scope, in registration order
+
+/**
+ * Add a scope to every scope display created from now on
+ * @param {object} scope
+ * @param {string} scope.id - Unique camelCase id, starting with a lowercase letter
+ * @param {string} scope.title - Panel heading
+ * @param {string} [scope.subtitle=''] - Shown after the heading, e.g. '(Luminance)'
+ * @param {number} [scope.width=512] - Canvas width in pixels
+ * @param {number} [scope.height=256] - Canvas height in pixels
+ * @param {boolean} [scope.keepAspect=false] - Side by side with a reference, scale the scope down
+ *   whole instead of squeezing it horizontally
+ * @param {string|null} [scope.module=null] - URL of the module that registers the scope
+ *   (import.meta.url), so the scope worker can load it too; without one the app analyzes on the
+ *   main thread
+ * @param {function(object, object, object): *} [scope.accumulate] - See top of file; without it
+ *   the scope draws from nothing but its context
+ * @param {function(CanvasRenderingContext2D, object[], object): void} scope.render - See top of file
+ * @returns {object} The registered scope, with defaults filled in
+ * @throws {Error} If the id is invalid, reserved or taken, or render is missing
+ */
+export function registerScope({
+    id, title, subtitle = '', width = 512, height = 256, keepAspect = false, module = null,
+    accumulate = () => null, render
+}) {
+    if (typeof id !== 'string' || !SCOPE_ID.test(id)) {
+        throw new Error(`Invalid scope id "${id}": use a camelCase identifier.`);
+    }
+    if (RESERVED_IDS.has(id)) {
+        throw new Error(`The scope id "${id}" is reserved for a built-in panel.`);
+    }
+    if (scopes.has(id)) {
+        throw new Error(`A scope with the id "${id}" is already registered.`);
+    }
+    if (typeof render !== 'function') {
+        throw new Error(`Scope "${id}" has no render function.`);
+    }
+    
+    const scope = Object.freeze({ id, title, subtitle, width, height, keepAspect, module, accumulate, render });
+    scopes.set(id, scope);
+    return scope;
+}
+
+/**
+ * @returns {object[]} Every registered scope, in registration order
+ */
+export function getScopes() {
+    return [...scopes.values()];
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} The registered scope with that id, or null
+ */
+export function getScope(id) {
+    return scopes.get(id) || null;
+}
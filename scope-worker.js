@@ -0,0 +1,190 @@
+/**
+ * AnyScope - Scope Worker
+ * Runs frame analysis and scope rendering off the main thread.
+ * Announces that it has loaded ('loaded'), then receives OffscreenCanvases and the modules
+ * registering their scopes once ('init') and then frames as ImageBitmap or VideoFrame, one
+ * per analyzed zone.
+ */
+
+import { VideoScopes } from './scopes.js';
+
+let scopes = null;
+let canvases = null;
+let ready = null; // Settles once the scope modules are loaded and scopes is set
+let frameCanvas = null;
+let frameCtx = null;
+
+/**
+ * Read back the pixels of a transferred frame
+ * @param {ImageBitmap|VideoFrame} frame
+ * @returns {ImageData}
+ */
+function readFrame(frame) {
+    const width = frame.displayWidth || frame.width;
+    const height = frame.displayHeight || frame.height;
+    
+    if (!frameCanvas) {
+        frameCanvas = new OffscreenCanvas(width, height);
+        frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    } else if (frameCanvas.width !== width || frameCanvas.height !== height) {
+        frameCanvas.width = width;
+        frameCanvas.height = height;
+    }
+    
+    frameCtx.drawImage(frame, 0, 0, width, height);
+    return frameCtx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Reply to a request with the summary of each zone's analysis (or null)
+ */
+function postAnalyses(id, analyses) {
+    if (!analyses) {
+        self.postMessage({ type: 'analyzed', id, analysis: null });
+        return;
+    }
+    
+    const transfer = [];
+    const summaries = analyses.map((analysis) => {
+        // The analyzer reuses its per-pixel buffers, so send copies
+        const legalMask = analysis.legalMask ? analysis.legalMask.slice() : null;
+        const lumaMap = analysis.lumaMap ? analysis.lumaMap.slice() : null;
+        const brushMask = analysis.brushMask ? analysis.brushMask.slice() : null;
+        transfer.push(...[legalMask, lumaMap, brushMask].filter(Boolean).map((buffer) => buffer.buffer));
+        
+        // Histograms are small enough to copy every frame (for the hover readout)
+        const { r, g, b, lum } = analysis.histogram;
+        const histogram = { r: r.slice(), g: g.slice(), b: b.slice(), lum: lum.slice() };
+        transfer.push(...Object.values(histogram).map((bins) => bins.buffer));
+        
+        return {
+            width: analysis.width,
+            height: analysis.height,
+            stats: analysis.stats,
+            histogram,
+            legalMask,
+            lumaMap,
+            brushMask
+        };
+    });
+    
+    self.postMessage({ type: 'analyzed', id, analysis: summaries }, transfer);
+}
+
+/**
+ * Analyze the frame of every zone, render the scopes and reply with summaries
+ */
+function handleFrame(message) {
+    const { id, frames } = message;
+    try {
+        // readFrame reuses its canvas, but every getImageData call returns new pixels
+        const zones = frames.map((frame, i) => ({ ...message.zones[i], imageData: readFrame(frame) }));
+        postAnalyses(id, scopes.analyzeZones(zones));
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        for (const frame of frames) {
+            frame.close();
+        }
+    }
+}
+
+/**
+ * Analyze the last zones again and reply with summaries
+ */
+function handleRefresh(message) {
+    try {
+        postAnalyses(message.id, scopes.refresh());
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+}
+
+/**
+ * Reply with an ImageBitmap of every scope canvas
+ */
+async function handleSnapshot(message) {
+    try {
+        const entries = await Promise.all(Object.entries(canvases).map(async ([id, canvas]) => {
+            return [id, await createImageBitmap(canvas)];
+        }));
+        const result = Object.fromEntries(entries);
+        self.postMessage({ type: 'snapshot', id: message.id, result }, Object.values(result));
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+}
+
+/**
+ * Reply with the numbers behind the scopes
+ */
+function handleExportData(message) {
+    try {
+        self.postMessage({ type: 'exportData', id: message.id, result: scopes.getExportData() });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+}
+
+/**
+ * Load the modules registering the scopes, then create the renderer. A module that fails to
+ * load leaves its scope blank rather than stopping the others.
+ */
+async function init(message) {
+    await Promise.all(message.modules.map(async (url) => {
+        try {
+            await import(url);
+        } catch (error) {
+            console.error(`Cannot load scope module ${url}:`, error);
+        }
+    }));
+    canvases = message.canvases;
+    scopes = new VideoScopes(canvases);
+}
+
+self.addEventListener('message', async (e) => {
+    const message = e.data;
+    
+    // Messages wait for init, and stay in order since they all wait for the same promise
+    if (message.type === 'init') {
+        ready = init(message);
+        return;
+    }
+    await ready;
+    
+    switch (message.type) {
+        case 'frame':
+            handleFrame(message);
+            break;
+        case 'refresh':
+            handleRefresh(message);
+            break;
+        case 'snapshot':
+            handleSnapshot(message);
+            break;
+        case 'exportData':
+            handleExportData(message);
+            break;
+        case 'options':
+            scopes.setOptions(message.options);
+            break;
+        case 'storeReference':
+            scopes.storeReference(message.id, message.name);
+            break;
+        case 'deleteReference':
+            scopes.deleteReference(message.id);
+            break;
+        case 'storeMatchSource':
+            scopes.storeMatchSource(message.id, message.name);
+            break;
+        case 'clearMatchSource':
+            scopes.clearMatchSource();
+            break;
+        case 'clear':
+            scopes.clearAll();
+            break;
+    }
+});
+
+// Reached only if this module and its imports loaded; the page holds the canvases until then
+self.postMessage({ type: 'loaded' });
@@ -1,411 +1,1673 @@
 /**
  * AnyScope - Video Scope Rendering Library
- * Provides professional video scopes for analyzing video/image content
+ * Provides professional video scopes for analyzing video/image content, drawing every scope
+ * in the registry (see registry.js) that it has a canvas for
  */
 
-class VideoScopes {
-    constructor() {
-        this.waveformCanvas = document.getElementById('waveformCanvas');
-        this.paradeCanvas = document.getElementById('paradeCanvas');
-        this.vectorscopeCanvas = document.getElementById('vectorscopeCanvas');
-        this.histogramCanvas = document.getElementById('histogramCanvas');
+import { FrameAnalyzer, DEFAULT_LEGAL_LIMITS, vectorscopeRadius, waveformColumnStats } from './analysis.js';
+import { getColorSpace, getVectorscopeTargets, hexToRgb, rgbToYCbCr } from './color.js';
+import { brushBand, brushWedge } from './brush.js';
+import { registerScope, getScopes } from './registry.js';
+import {
+    SPECTRAL_LOCUS, D65_WHITE, GAMUTS, accumulateChromaticity, chromaticityToCanvas, rgbToChromaticity
+} from './chromaticity.js';
+import { compareZones } from './match.js';
+import {
+    GRATICULE_UNITS, TRANSFER_FUNCTIONS, DEFAULT_GRATICULE_UNIT, DEFAULT_HISTOGRAM_UNIT, DEFAULT_TRANSFER_FUNCTION,
+    getScaleTicks, greyLevel, formatLevel
+} from './graticule.js';
+
+// Channel labels for parade-style layouts
+const RGB_LABELS = [
+    { text: 'R', color: '#ff8888' },
+    { text: 'G', color: '#88ff88' },
+    { text: 'B', color: '#8888ff' }
+];
+const YCBCR_LABELS = [
+    { text: 'Y', color: '#dddddd' },
+    { text: 'Cb', color: '#8fa8ff' },
+    { text: 'Cr', color: '#ff8fa0' }
+];
+
+// Reference traces are drawn in magenta, which none of the live traces use
+const GHOST_COLOR = [255, 70, 235];
+const GHOST_STYLE = 'rgb(255, 70, 235)';
+
+// Scope brushes are outlined in the color of their highlight on the preview
+const BRUSH_STYLE = '#ffd84a';
+const BRUSH_FILL = 'rgba(255, 216, 74, 0.12)';
+
+// User-placed reference lines and angle markers
+const MARKER_STYLE = '#9fd8ff';
+
+// Legal limit and 18% grey lines on the level scales
+const LEGAL_LINE_STYLE = 'rgba(255, 107, 107, 0.8)';
+const GREY_LINE_STYLE = 'rgba(200, 200, 200, 0.8)';
+
+// Wavelengths labeled on the spectral locus, in nm
+const LOCUS_LABELS = [460, 480, 500, 520, 540, 560, 580, 600, 620];
+
+// Histogram channels, top to bottom in the lanes mode
+const HISTOGRAM_LANES = [
+    { key: 'r', color: '#ff4444' },
+    { key: 'g', color: '#44ff44' },
+    { key: 'b', color: '#4488ff' }
+];
+
+/**
+ * Place a probe label beside its marker, on the left near the right edge
+ * @param {number} x - Marker position
+ * @param {number} width - Canvas width
+ * @returns {number}
+ */
+function probeLabelX(x, width) {
+    return x + 14 > width ? x - 12 : x + 4;
+}
+
+/**
+ * Map histogram bin counts to bar heights
+ * @param {number} maxVal - Largest count drawn on the same scale (at least 1)
+ * @param {string} scale - 'linear' or 'log'
+ * @returns {function(number): number} Bar height of a count, from 0 to 1
+ */
+function histogramScaler(maxVal, scale) {
+    if (scale === 'log') {
+        const top = Math.log1p(maxVal);
+        return (count) => Math.log1p(count) / top;
+    }
+    return (count) => count / maxVal;
+}
+
+/**
+ * Create a canvas for intermediate drawing, in a worker or on the main thread
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function createScratchCanvas() {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(1, 1);
+    }
+    return document.createElement('canvas');
+}
+
+// The built-in scopes draw from the grids FrameAnalyzer fills in its single pass over the pixels
+registerScope({
+    id: 'waveform',
+    title: 'Waveform',
+    subtitle: '(Luminance)',
+    module: import.meta.url,
+    accumulate: (frame, analysis) => analysis.waveform,
+    render: (ctx, traces, { scopes, ghost }) => scopes.renderWaveform(traces, ghost)
+});
+registerScope({
+    id: 'parade',
+    title: 'Parade',
+    subtitle: '(RGB Channels)',
+    module: import.meta.url,
+    accumulate: (frame, analysis) => analysis.parade,
+    render: (ctx, traces, { scopes, ghost }) => scopes.renderParade(traces, ghost)
+});
+registerScope({
+    id: 'vectorscope',
+    title: 'Vectorscope',
+    subtitle: '(Color Balance)',
+    width: 300,
+    height: 300,
+    keepAspect: true,
+    module: import.meta.url,
+    accumulate: (frame, analysis) => analysis.vectorscope,
+    render: (ctx, traces, { scopes, ghost }) => scopes.renderVectorscope(traces, ghost)
+});
+registerScope({
+    id: 'chromaticity',
+    title: 'Chromaticity',
+    subtitle: '(CIE 1931 xy)',
+    width: 300,
+    height: 300,
+    keepAspect: true,
+    module: import.meta.url,
+    accumulate: (frame, analysis, { colorSpace, width, state }) => {
+        return accumulateChromaticity(frame, colorSpace, width, state);
+    },
+    render: (ctx, traces, { scopes, ghost }) => scopes.renderChromaticity(traces, ghost)
+});
+registerScope({
+    id: 'histogram',
+    title: 'Histogram',
+    subtitle: '(Brightness Distribution)',
+    height: 200,
+    module: import.meta.url,
+    accumulate: (frame, analysis) => analysis.histogram,
+    render: (ctx, traces, { scopes, ghost }) => scopes.renderHistogram(traces, ghost)
+});
+
+export class VideoScopes {
+    /**
+     * @param {object} canvases - Target canvases keyed by scope id: the built-in waveform, parade,
+     *   vectorscope and histogram, and any other registered scopes to draw; optionally match, for
+     *   the parades of match mode; either HTMLCanvasElement or OffscreenCanvas, so the renderer
+     *   also runs inside a worker
+     */
+    constructor(canvases) {
+        this.waveformCanvas = canvases.waveform;
+        this.paradeCanvas = canvases.parade;
+        this.vectorscopeCanvas = canvases.vectorscope;
+        this.histogramCanvas = canvases.histogram;
         
         this.waveformCtx = this.waveformCanvas.getContext('2d');
         this.paradeCtx = this.paradeCanvas.getContext('2d');
         this.vectorscopeCtx = this.vectorscopeCanvas.getContext('2d');
         this.histogramCtx = this.histogramCanvas.getContext('2d');
         
+        // Optional: drawn only when given a canvas
+        this.chromaticityCanvas = canvases.chromaticity || null;
+        this.chromaticityCtx = this.chromaticityCanvas ? this.chromaticityCanvas.getContext('2d') : null;
+        this.matchCanvas = canvases.match || null;
+        this.matchCtx = this.matchCanvas ? this.matchCanvas.getContext('2d') : null;
+        
+        // Registered scopes drawn here, in panel order (scopes registered later are not)
+        this.targets = getScopes()
+            .filter(({ id }) => canvases[id])
+            .map((scope) => ({ scope, canvas: canvases[scope.id], ctx: canvases[scope.id].getContext('2d') }));
+        this.scopeStates = []; // Per zone, each scope's accumulate state by id
+        this.referenceStates = {}; // The same for the shown reference
+        
+        // Accumulate straight into grids the size of our canvases
+        this.colorSpace = getColorSpace();
+        this.layout = {
+            waveform: { width: this.waveformCanvas.width, height: this.waveformCanvas.height },
+            parade: { width: this.paradeCanvas.width, height: this.paradeCanvas.height },
+            vectorscope: { size: this.vectorscopeCanvas.width }
+        };
+        this.analyzer = new FrameAnalyzer(this.layout, { colorSpace: this.colorSpace });
+        this.analyzers = [this.analyzer]; // One per zone, created as zones are added
+        this.additiveBuffer = null; // Scratch sums for drawAdditiveDensity
+        this.targetLevel = 0.75; // Color bar amplitude of the vectorscope targets
+        this.colorTargets = getVectorscopeTargets(this.colorSpace, this.targetLevel);
+        this.vectorscopeMode = 'phosphor';
+        this.histogramOptions = { mode: 'rgb', scale: 'linear', cumulative: false };
+        this.chromaticityGamuts = Object.keys(GAMUTS); // Gamut triangles on the chromaticity diagram
+        this.probes = []; // Sampled pixels marked on every scope (see setOptions)
+        this.brush = null; // Selection drawn on a scope (see brush.js)
+        this.levelLines = []; // Reference lines on the waveform and parade (see setOptions)
+        this.graticuleUnit = DEFAULT_GRATICULE_UNIT; // Unit of the level scales (see graticule.js)
+        this.histogramUnit = DEFAULT_HISTOGRAM_UNIT; // Unit of the histogram's scale
+        this.graticuleTransfer = DEFAULT_TRANSFER_FUNCTION; // For nits and the 18% grey line
+        this.legalLines = null; // Legal limits marked on the level scales, or null
+        this.greyLine = false;
+        this.angleMarkers = []; // Hue lines on the vectorscope (see setOptions)
+        
+        // Last analyzed zones, kept so a held frame can be analyzed again with new options
+        this.lastZones = null;
+        this.lastAnalyses = null; // Analyses of lastZones, valid until the next analysis
+        
+        // Stored reference frames, analyzed with the current options when shown
+        this.references = new Map(); // id -> { name, frame: { data, width, height } }
+        this.shownReference = null;
+        this.referenceView = 'overlay';
+        this.referenceAnalyzer = null;
+        this.referenceAnalysis = null; // Cached analysis of the shown reference
+        this.scratchCanvas = null; // Used to compose side-by-side views
+        
+        // Match mode: a stored zone that the zone flagged match in analyzeZones is compared with
+        this.matchSource = null; // { name, frame: { data, width, height } }
+        this.matchAnalyzer = null;
+        this.matchSourceAnalysis = null; // Cached analysis of matchSource
+        
         // Skin tone line angle (approximately 123 degrees in vectorscope, which is around I-line)
         this.skinToneAngle = 123 * (Math.PI / 180);
     }
     
+    /**
+     * Update display options
+     * @param {object} options
+     * @param {string} [options.colorStandard] - Key of COLOR_STANDARDS driving luma, chroma and targets
+     * @param {string} [options.signalRange] - Key of SIGNAL_RANGES used to interpret code values
+     * @param {string} [options.waveformMode] - Key of WAVEFORM_MODES
+     * @param {object|null} [options.legalLimits] - Broadcast-safe limits to check, or null to stop checking
+     * @param {boolean} [options.lumaMap] - Whether analyses include per-pixel luma
+     * @param {number|null} [options.reference] - Id of the stored reference to show, or null for none
+     * @param {string} [options.referenceView] - 'overlay' (ghost trace) or 'sideBySide'
+     * @param {number} [options.vectorscopeZoom] - Vectorscope magnification (1, 2, 5...)
+     * @param {number} [options.vectorscopeTargets] - Color bar level of the targets (0.75 or 1)
+     * @param {string} [options.vectorscopeMode] - 'phosphor' or 'hue' (each point in its source color)
+     * @param {string} [options.histogramMode] - 'rgb' (overlaid), 'luma' or 'lanes' (a lane per channel)
+     * @param {string} [options.histogramScale] - 'linear' or 'log'
+     * @param {boolean} [options.histogramCumulative] - Overlay the cumulative distribution
+     * @param {string[]} [options.chromaticityGamuts] - Keys of GAMUTS to outline on the chromaticity diagram
+     * @param {object[]} [options.probes] - Sampled pixels to mark: { r, g, b, columns, color, label },
+     *   columns being the pixel's horizontal position (0-1) in each analyzed zone containing it
+     * @param {object|null} [options.brush] - Scope selection whose pixels analyses flag in their
+     *   brushMask (see brush.js), or null for none
+     * @param {{ level: number, label: string }[]} [options.levelLines] - Horizontal reference
+     *   lines on the waveform and parade, at 8-bit code values
+     * @param {{ angle: number, label: string }[]} [options.angleMarkers] - Lines from the center
+     *   of the vectorscope, at hue angles in degrees counterclockwise from +Cb
+     * @param {string} [options.graticuleUnit] - Key of GRATICULE_UNITS the level scales of the
+     *   waveform and parade are labeled in
+     * @param {string} [options.histogramUnit] - Key of GRATICULE_UNITS the histogram's scale is
+     *   labeled in
+     * @param {string} [options.graticuleTransfer] - Key of TRANSFER_FUNCTIONS, for the nits scale
+     *   and the 18% grey line
+     * @param {object|null} [options.legalLines] - Broadcast-safe limits to mark on the level scales
+     *   (see DEFAULT_LEGAL_LIMITS), or null for none
+     * @param {boolean} [options.greyLine] - Mark 18% grey on the level scales
+     */
+    setOptions({
+        colorStandard, signalRange, waveformMode, legalLimits, lumaMap, reference, referenceView,
+        vectorscopeZoom, vectorscopeTargets, vectorscopeMode, histogramMode, histogramScale, histogramCumulative,
+        chromaticityGamuts, probes, brush, levelLines, angleMarkers, graticuleUnit, histogramUnit, graticuleTransfer,
+        legalLines, greyLine
+    }) {
+        if (colorStandard !== undefined || signalRange !== undefined) {
+            this.colorSpace = getColorSpace(
+                colorStandard ?? this.colorSpace.standard,
+                signalRange ?? this.colorSpace.range
+            );
+            for (const analyzer of this.analyzers) {
+                analyzer.setColorSpace(this.colorSpace);
+            }
+            this.colorTargets = getVectorscopeTargets(this.colorSpace, this.targetLevel);
+            this.referenceAnalysis = null;
+            this.matchSourceAnalysis = null;
+        }
+        
+        if (vectorscopeTargets !== undefined) {
+            this.targetLevel = vectorscopeTargets;
+            this.colorTargets = getVectorscopeTargets(this.colorSpace, this.targetLevel);
+        }
+        
+        if (vectorscopeZoom !== undefined) {
+            for (const analyzer of this.analyzers) {
+                analyzer.setVectorscopeZoom(vectorscopeZoom);
+            }
+            this.referenceAnalysis = null;
+            this.matchSourceAnalysis = null;
+        }
+        
+        if (vectorscopeMode !== undefined) {
+            this.vectorscopeMode = vectorscopeMode;
+            for (const analyzer of this.analyzers) {
+                analyzer.setVectorscopeColors(vectorscopeMode === 'hue');
+            }
+        }
+        
+        if (waveformMode !== undefined) {
+            for (const analyzer of this.analyzers) {
+                analyzer.setWaveformMode(waveformMode);
+            }
+            this.referenceAnalysis = null;
+        }
+        
+        if (legalLimits !== undefined) {
+            for (const analyzer of this.analyzers) {
+                analyzer.setLegalLimits(legalLimits);
+            }
+        }
+        
+        if (lumaMap !== undefined) {
+            for (const analyzer of this.analyzers) {
+                analyzer.setLumaMap(lumaMap);
+            }
+        }
+        
+        if (reference !== undefined) {
+            this.shownReference = reference;
+            this.referenceAnalysis = null;
+        }
+        
+        if (referenceView !== undefined) {
+            this.referenceView = referenceView;
+        }
+        
+        if (histogramMode !== undefined) {
+            this.histogramOptions.mode = histogramMode;
+        }
+        if (histogramScale !== undefined) {
+            this.histogramOptions.scale = histogramScale;
+        }
+        if (histogramCumulative !== undefined) {
+            this.histogramOptions.cumulative = histogramCumulative;
+        }
+        
+        if (chromaticityGamuts !== undefined) {
+            const unknown = chromaticityGamuts.find((key) => !GAMUTS[key]);
+            if (unknown) {
+                throw new RangeError(`Unknown gamut "${unknown}"`);
+            }
+            this.chromaticityGamuts = chromaticityGamuts;
+        }
+        
+        if (probes !== undefined) {
+            this.probes = probes;
+        }
+        
+        if (brush !== undefined) {
+            this.brush = brush;
+            for (const analyzer of this.analyzers) {
+                analyzer.setBrush(brush);
+            }
+        }
+        
+        if (levelLines !== undefined) {
+            this.levelLines = levelLines;
+        }
+        if (angleMarkers !== undefined) {
+            this.angleMarkers = angleMarkers;
+        }
+        
+        if (graticuleUnit !== undefined) {
+            if (!GRATICULE_UNITS[graticuleUnit]) {
+                throw new RangeError(`Unknown graticule unit "${graticuleUnit}"`);
+            }
+            this.graticuleUnit = graticuleUnit;
+        }
+        if (histogramUnit !== undefined) {
+            if (!GRATICULE_UNITS[histogramUnit]) {
+                throw new RangeError(`Unknown graticule unit "${histogramUnit}"`);
+            }
+            this.histogramUnit = histogramUnit;
+        }
+        if (graticuleTransfer !== undefined) {
+            if (!TRANSFER_FUNCTIONS[graticuleTransfer]) {
+                throw new RangeError(`Unknown transfer function "${graticuleTransfer}"`);
+            }
+            this.graticuleTransfer = graticuleTransfer;
+        }
+        if (legalLines !== undefined) {
+            this.legalLines = legalLines ? { ...DEFAULT_LEGAL_LIMITS, ...legalLines } : null;
+        }
+        if (greyLine !== undefined) {
+            this.greyLine = greyLine;
+        }
+    }
+    
     /**
      * Analyze image data and render all scopes
      * @param {ImageData} imageData - The image data from canvas
+     * @returns {object} The analysis result (grids are reused by the next call)
      */
     analyze(imageData) {
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
+        return this.analyzeZones([{ imageData, id: null, color: null, label: '' }])[0];
+    }
+    
+    /**
+     * Analyze several zones and render them together on the scopes
+     * @param {{ imageData: ImageData, id: number|null, color: string|null, label: string,
+     *   match: boolean }[]} zones - Pixels of each zone and its zone id (null for a full frame);
+     *   zones with a #rrggbb color are traced in that color, others in the usual colors; the
+     *   zone with match set is compared with the match source
+     * @returns {object[]} One analysis result per zone (grids are reused by the next call), with
+     *   stats.match the comparison (see compareZones) for the matched zone and null for the others
+     */
+    analyzeZones(zones) {
+        this.lastZones = zones;
+        
+        // Every zone accumulates into grids of its own
+        while (this.analyzers.length < zones.length) {
+            this.analyzers.push(new FrameAnalyzer(this.layout, {
+                colorSpace: this.colorSpace,
+                waveformMode: this.analyzer.waveform.mode,
+                legalLimits: this.analyzer.legalLimits,
+                lumaMap: this.analyzer.keepLumaMap,
+                vectorscopeZoom: this.analyzer.vectorscope.zoom,
+                vectorscopeColors: this.vectorscopeMode === 'hue',
+                brush: this.brush
+            }));
+        }
         
-        // Calculate all scope data
-        const analysis = this.calculateScopeData(data, width, height);
+        while (this.scopeStates.length < zones.length) {
+            this.scopeStates.push({});
+        }
         
-        // Render each scope
-        this.renderWaveform(analysis.luminance, width, height);
-        this.renderParade(analysis.rgbColumns, width, height);
-        this.renderVectorscope(analysis.colorPoints);
-        this.renderHistogram(analysis.histogram);
+        const analyses = zones.map(({ imageData }, i) => {
+            const analysis = this.analyzers[i].analyze(imageData.data, imageData.width, imageData.height);
+            this.accumulateScopes(imageData, analysis, this.scopeStates[i]);
+            return analysis;
+        });
+        this.lastAnalyses = analyses;
+        this.render(analyses, zones);
+        this.updateMatch(zones, analyses);
+        return analyses;
     }
     
     /**
-     * Calculate data for all scopes from image data
+     * Run every drawn scope's accumulate step on the pixels of a zone
+     * @param {{ data: Uint8ClampedArray, width: number, height: number }} frame
+     * @param {object} analysis - FrameAnalyzer result for the frame; gets scopeData, the
+     *   accumulated data by scope id
+     * @param {object} states - State objects of the zone by scope id, created as needed
      */
-    calculateScopeData(data, width, height) {
-        const luminanceColumns = new Array(width).fill(null).map(() => []);
-        const rgbColumns = {
-            r: new Array(Math.floor(width / 3)).fill(null).map(() => []),
-            g: new Array(Math.floor(width / 3)).fill(null).map(() => []),
-            b: new Array(Math.floor(width / 3)).fill(null).map(() => [])
-        };
-        const colorPoints = [];
-        const histogram = {
-            r: new Array(256).fill(0),
-            g: new Array(256).fill(0),
-            b: new Array(256).fill(0),
-            lum: new Array(256).fill(0)
-        };
+    accumulateScopes(frame, analysis, states) {
+        analysis.scopeData = {};
+        for (const { scope, canvas } of this.targets) {
+            states[scope.id] ??= {};
+            analysis.scopeData[scope.id] = scope.accumulate(frame, analysis, {
+                colorSpace: this.colorSpace,
+                width: canvas.width,
+                height: canvas.height,
+                state: states[scope.id]
+            });
+        }
+    }
+    
+    /**
+     * Get the numbers behind the scopes for the last analyzed zones, as plain arrays
+     * @returns {object[]|null} Per zone: { label, width, height, stats, histogram: { r, g, b, luma },
+     *   waveform: column stats (see waveformColumnStats) }, or null if nothing was analyzed yet
+     */
+    getExportData() {
+        if (!this.lastZones) return null;
+        
+        return this.lastZones.map(({ imageData, label }, i) => {
+            const { stats, histogram } = this.lastAnalyses[i];
+            const { data, width, height } = imageData;
+            const columns = waveformColumnStats(data, width, height, {
+                colorSpace: this.colorSpace,
+                columns: this.layout.waveform.width
+            });
+            
+            return {
+                label,
+                width,
+                height,
+                stats,
+                histogram: {
+                    r: Array.from(histogram.r),
+                    g: Array.from(histogram.g),
+                    b: Array.from(histogram.b),
+                    luma: Array.from(histogram.lum)
+                },
+                waveform: Object.fromEntries(Object.entries(columns).map(([key, value]) => {
+                    return [key, typeof value === 'number' ? value : Array.from(value)];
+                }))
+            };
+        });
+    }
+    
+    /**
+     * Analyze the last zones again with the current options and render them
+     * @returns {object[]|null} The analysis results, or null if nothing was analyzed yet
+     */
+    refresh() {
+        return this.lastZones ? this.analyzeZones(this.lastZones) : null;
+    }
+    
+    /**
+     * Store the last analyzed frame (the first zone's, with several zones) as a reference
+     * @param {number} id - Id to show it by (see setOptions)
+     * @param {string} name - Display name
+     * @returns {boolean} Whether there was a frame to store
+     */
+    storeReference(id, name) {
+        if (!this.lastZones) return false;
         
-        // Sample rate for vectorscope (don't need every pixel)
-        const vectorSampleRate = Math.max(1, Math.floor((width * height) / 50000));
+        const { data, width, height } = this.lastZones[0].imageData;
+        this.references.set(id, { name, frame: { data: data.slice(), width, height } });
+        if (id === this.shownReference) {
+            this.referenceAnalysis = null;
+        }
+        return true;
+    }
+    
+    /**
+     * Delete a stored reference
+     * @param {number} id
+     */
+    deleteReference(id) {
+        this.references.delete(id);
+        if (id === this.shownReference) {
+            this.referenceAnalysis = null;
+        }
+    }
+    
+    /**
+     * Store a zone of the last analyzed frame as the source of match mode
+     * @param {number|null} id - Id of the zone to store, null for a full frame
+     * @param {string} name - Display name
+     * @returns {boolean} Whether the last analyzed frame had such a zone
+     */
+    storeMatchSource(id, name) {
+        const zone = this.lastZones && this.lastZones.find((lastZone) => lastZone.id === id);
+        if (!zone) return false;
         
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const i = (y * width + x) * 4;
-                const r = data[i];
-                const g = data[i + 1];
-                const b = data[i + 2];
-                
-                // Calculate luminance (Rec. 709)
-                const lum = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
-                
-                // Waveform data (luminance per column)
-                luminanceColumns[x].push(lum);
-                
-                // Parade data (RGB values per column, in thirds)
-                const paradeWidth = Math.floor(width / 3);
-                const paradeX = Math.floor(x / 3);
-                if (paradeX < paradeWidth) {
-                    rgbColumns.r[paradeX].push(r);
-                    rgbColumns.g[paradeX].push(g);
-                    rgbColumns.b[paradeX].push(b);
-                }
-                
-                // Vectorscope data (sample for performance)
-                if ((y * width + x) % vectorSampleRate === 0) {
-                    // Convert RGB to YCbCr for vectorscope
-                    const cb = 128 + (-0.168736 * r - 0.331264 * g + 0.5 * b);
-                    const cr = 128 + (0.5 * r - 0.418688 * g - 0.081312 * b);
-                    colorPoints.push({ cb, cr, r, g, b });
-                }
-                
-                // Histogram data
-                histogram.r[r]++;
-                histogram.g[g]++;
-                histogram.b[b]++;
-                histogram.lum[lum]++;
+        const { data, width, height } = zone.imageData;
+        this.matchSource = { name, frame: { data: data.slice(), width, height } };
+        this.matchSourceAnalysis = null;
+        return true;
+    }
+    
+    /**
+     * Forget the match source
+     */
+    clearMatchSource() {
+        this.matchSource = null;
+        this.matchSourceAnalysis = null;
+    }
+    
+    /**
+     * Get the analysis of the match source with the current options
+     * @returns {object|null} Null without a match source
+     */
+    getMatchSourceAnalysis() {
+        if (!this.matchSource) return null;
+        
+        if (!this.matchSourceAnalysis) {
+            if (!this.matchAnalyzer) {
+                this.matchAnalyzer = new FrameAnalyzer(this.layout);
             }
+            this.matchAnalyzer.setColorSpace(this.colorSpace);
+            this.matchAnalyzer.setVectorscopeZoom(this.analyzer.vectorscope.zoom);
+            
+            const { data, width, height } = this.matchSource.frame;
+            this.matchSourceAnalysis = this.matchAnalyzer.analyze(data, width, height);
         }
+        return this.matchSourceAnalysis;
+    }
+    
+    /**
+     * Compare the zone flagged match with the match source, and show the parades of both
+     * @param {object[]} zones - Zones as given to analyzeZones
+     * @param {object[]} analyses - Their analyses; each gets stats.match
+     */
+    updateMatch(zones, analyses) {
+        const index = zones.findIndex((zone) => zone.match);
+        const source = this.getMatchSourceAnalysis();
         
-        return {
-            luminance: luminanceColumns,
-            rgbColumns,
-            colorPoints,
-            histogram
-        };
+        analyses.forEach((analysis, i) => {
+            analysis.stats.match = source && i === index
+                ? compareZones(
+                    { frame: this.matchSource.frame, histogram: source.histogram, stats: source.stats },
+                    { frame: zones[i].imageData, histogram: analysis.histogram, stats: analysis.stats },
+                    this.colorSpace
+                )
+                : null;
+        });
+        
+        if (this.matchCtx) {
+            this.renderMatch(source, index >= 0 ? analyses[index] : null, index >= 0 ? zones[index].label : '');
+        }
     }
     
     /**
-     * Render waveform scope (luminance display)
+     * Get the analysis of the shown reference with the current options
+     * @returns {object|null} Null when no reference is shown
      */
-    renderWaveform(luminanceColumns, srcWidth, srcHeight) {
-        const canvas = this.waveformCanvas;
-        const ctx = this.waveformCtx;
-        const width = canvas.width;
-        const height = canvas.height;
+    getReferenceAnalysis() {
+        const reference = this.references.get(this.shownReference);
+        if (!reference) return null;
         
-        // Clear canvas
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, width, height);
+        if (!this.referenceAnalysis) {
+            // A separate analyzer, so live frames don't overwrite the reference grids
+            if (!this.referenceAnalyzer) {
+                this.referenceAnalyzer = new FrameAnalyzer(this.layout);
+            }
+            this.referenceAnalyzer.setColorSpace(this.colorSpace);
+            this.referenceAnalyzer.setWaveformMode(this.analyzer.waveform.mode);
+            this.referenceAnalyzer.setVectorscopeZoom(this.analyzer.vectorscope.zoom);
+            
+            const { data, width, height } = reference.frame;
+            this.referenceAnalysis = this.referenceAnalyzer.analyze(data, width, height);
+            this.accumulateScopes(reference.frame, this.referenceAnalysis, this.referenceStates);
+        }
+        return this.referenceAnalysis;
+    }
+    
+    /**
+     * Render all scopes from previously computed analyses
+     * @param {object|object[]} analyses - Result of analyzeZones (FrameAnalyzer#analyze results
+     *   for this renderer's layout with their scopeData), or one of them
+     * @param {{ color: string|null, label: string }[]} [zones] - Trace color and label of each zone
+     */
+    render(analyses, zones = []) {
+        const list = Array.isArray(analyses) ? analyses : [analyses];
+        const colors = list.map((analysis, i) => (zones[i] && zones[i].color ? hexToRgb(zones[i].color) : null));
+        const traces = (id) => list.map((analysis, i) => ({
+            data: analysis.scopeData[id],
+            color: colors[i],
+            label: zones[i] ? zones[i].label : ''
+        }));
+        const reference = this.getReferenceAnalysis();
         
-        // Draw graticule lines
-        this.drawGraticule(ctx, width, height, 'waveform');
+        if (reference && this.referenceView === 'sideBySide') {
+            this.renderSideBySide(traces, reference);
+            return;
+        }
         
-        // Create intensity map for phosphor-like effect
-        const intensityMap = new Uint32Array(width * height);
+        for (const { scope, ctx } of this.targets) {
+            scope.render(ctx, traces(scope.id), {
+                colorSpace: this.colorSpace,
+                ghost: reference && reference.scopeData[scope.id],
+                scopes: this
+            });
+        }
+        this.drawLiveMarks();
+    }
+    
+    /**
+     * Draw the brush and the probes, which mark the live frame
+     * @param {string|null} [only=null] - Scope id to draw them on, or null for every scope
+     */
+    drawLiveMarks(only = null) {
+        if (this.brush && (only === null || only === this.brush.scope)) {
+            this.drawBrush(this.brush);
+        }
+        for (const probe of this.probes) {
+            this.drawProbe(probe, only);
+        }
+    }
+    
+    /**
+     * Render each scope twice, the reference on the left and the live frame on the right
+     * @param {function(string): object[]} traces - Live traces for a scope id (see render)
+     * @param {object} reference - Analysis of the shown reference
+     */
+    renderSideBySide(traces, reference) {
+        const { name } = this.references.get(this.shownReference);
         
-        for (let col = 0; col < luminanceColumns.length; col++) {
-            const values = luminanceColumns[col];
-            const x = Math.floor((col / luminanceColumns.length) * width);
+        for (const { scope, canvas, ctx } of this.targets) {
+            const { id, keepAspect } = scope;
+            const render = (t) => scope.render(ctx, t, { colorSpace: this.colorSpace, ghost: null, scopes: this });
+            this.drawHalves(canvas, ctx, keepAspect,
+                () => render([{ data: reference.scopeData[id], color: null, label: '' }]),
+                () => {
+                    render(traces(id));
+                    this.drawLiveMarks(id);
+                });
             
-            for (const lum of values) {
-                // Map luminance (0-255) to y position (height-1 to 0)
-                const y = Math.floor(height - 1 - (lum / 255) * (height - 1));
-                if (y >= 0 && y < height && x >= 0 && x < width) {
-                    intensityMap[y * width + x]++;
-                }
-            }
+            const { width, height } = canvas;
+            ctx.font = '11px sans-serif';
+            ctx.fillStyle = GHOST_STYLE;
+            ctx.fillText(name, 5, height - 5);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillText('Live', width / 2 + 5, height - 5);
+        }
+    }
+    
+    /**
+     * Draw a scope twice into its canvas, side by side with a divider
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Scope canvas
+     * @param {CanvasRenderingContext2D} ctx - Its context
+     * @param {boolean} keepAspect - Scale each half down whole instead of squeezing it horizontally
+     * @param {function(): void} drawLeft - Draws the left scope over the whole canvas
+     * @param {function(): void} drawRight - Draws the right scope over the whole canvas
+     */
+    drawHalves(canvas, ctx, keepAspect, drawLeft, drawRight) {
+        if (!this.scratchCanvas) {
+            this.scratchCanvas = createScratchCanvas();
+        }
+        const scratch = this.scratchCanvas;
+        const { width, height } = canvas;
+        if (scratch.width !== width || scratch.height !== height) {
+            scratch.width = width;
+            scratch.height = height;
         }
+        const scratchCtx = scratch.getContext('2d');
+        scratchCtx.fillStyle = '#000';
+        scratchCtx.fillRect(0, 0, width, height);
         
-        // Render intensity map
-        const imageData = ctx.getImageData(0, 0, width, height);
+        const halfWidth = width / 2;
+        const halfHeight = keepAspect ? height / 2 : height;
+        const top = (height - halfHeight) / 2;
+        
+        drawLeft();
+        scratchCtx.drawImage(canvas, 0, top, halfWidth, halfHeight);
+        drawRight();
+        scratchCtx.drawImage(canvas, halfWidth, top, halfWidth, halfHeight);
+        
+        ctx.drawImage(scratch, 0, 0);
+        
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(halfWidth, 0);
+        ctx.lineTo(halfWidth, height);
+        ctx.stroke();
+    }
+    
+    /**
+     * Render the parades of the match source and the matched zone side by side
+     * @param {object|null} source - Analysis of the match source, or null without one
+     * @param {object|null} target - Analysis of the matched zone, or null without one
+     * @param {string} targetLabel - Label of the matched zone ('' for the whole frame)
+     */
+    renderMatch(source, target, targetLabel) {
+        const canvas = this.matchCanvas;
+        const ctx = this.matchCtx;
+        const { width, height } = canvas;
+        
+        if (!source || !target) {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            ctx.fillStyle = '#777';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(source ? 'Set a target to compare with the source' : 'Set a source to match', width / 2, height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+        
+        this.drawHalves(canvas, ctx, false,
+            () => this.renderParade([{ data: source.parade, color: null, label: '' }], null, ctx),
+            () => this.renderParade([{ data: target.parade, color: null, label: '' }], null, ctx));
+        
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#e0e0e0';
+        ctx.fillText(`Source: ${this.matchSource.name}`, 5, height - 5);
+        ctx.fillText(`Target: ${targetLabel || 'Frame'}`, width / 2 + 5, height - 5);
+    }
+    
+    /**
+     * Colorize a density grid onto the canvas with a phosphor-like falloff
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Uint32Array} density - Hit counts, gridWidth × gridHeight
+     * @param {number} gridWidth - Grid width in pixels
+     * @param {number} gridHeight - Grid height in pixels
+     * @param {number} offsetX - Horizontal canvas offset of the grid
+     * @param {number} gain - Multiplier applied to the normalized density
+     * @param {number[]} color - [r, g, b] at full intensity
+     * @param {boolean} [blend=false] - Keep the brighter of the existing and new color
+     *   per channel (for ghost traces) instead of replacing it
+     */
+    drawDensity(ctx, density, gridWidth, gridHeight, offsetX, gain, color, blend = false) {
+        if (gridWidth === 0 || gridHeight === 0) return;
+        
+        const imageData = ctx.getImageData(offsetX, 0, gridWidth, gridHeight);
         const pixels = imageData.data;
+        const [red, green, blue] = color;
         
         // Find max intensity without using spread operator (which causes stack overflow on large arrays)
         let maxIntensity = 1;
-        for (let i = 0; i < intensityMap.length; i++) {
-            if (intensityMap[i] > maxIntensity) {
-                maxIntensity = intensityMap[i];
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > maxIntensity) {
+                maxIntensity = density[i];
             }
         }
         
-        for (let i = 0; i < intensityMap.length; i++) {
-            if (intensityMap[i] > 0) {
-                const intensity = Math.min(1, (intensityMap[i] / maxIntensity) * 8);
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > 0) {
+                const intensity = Math.min(1, (density[i] / maxIntensity) * gain);
                 const pixelIndex = i * 4;
                 
-                // Bright green phosphor color for better visibility
-                pixels[pixelIndex] = Math.floor(intensity * 150);     // R
-                pixels[pixelIndex + 1] = Math.floor(intensity * 255); // G
-                pixels[pixelIndex + 2] = Math.floor(intensity * 100); // B
-                pixels[pixelIndex + 3] = 255;                          // A
+                if (blend) {
+                    pixels[pixelIndex] = Math.max(pixels[pixelIndex], Math.floor(intensity * red));
+                    pixels[pixelIndex + 1] = Math.max(pixels[pixelIndex + 1], Math.floor(intensity * green));
+                    pixels[pixelIndex + 2] = Math.max(pixels[pixelIndex + 2], Math.floor(intensity * blue));
+                } else {
+                    pixels[pixelIndex] = Math.floor(intensity * red);
+                    pixels[pixelIndex + 1] = Math.floor(intensity * green);
+                    pixels[pixelIndex + 2] = Math.floor(intensity * blue);
+                }
+                pixels[pixelIndex + 3] = 255;
             }
         }
         
-        ctx.putImageData(imageData, 0, 0);
+        ctx.putImageData(imageData, offsetX, 0);
+    }
+    
+    /**
+     * Blend several density grids additively, so overlapping traces mix toward white
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {{ density: Uint32Array, color: number[] }[]} layers - Grids of gridWidth × gridHeight
+     * @param {number} gridWidth - Grid width in pixels
+     * @param {number} gridHeight - Grid height in pixels
+     * @param {number} gain - Multiplier applied to each layer's normalized density
+     */
+    drawAdditiveDensity(ctx, layers, gridWidth, gridHeight, gain) {
+        const size = gridWidth * gridHeight;
+        if (size === 0) return;
         
-        // Redraw graticule on top
-        this.drawGraticule(ctx, width, height, 'waveform');
+        if (!this.additiveBuffer || this.additiveBuffer.length < size * 3) {
+            this.additiveBuffer = new Float32Array(size * 3);
+        }
+        const sums = this.additiveBuffer;
+        sums.fill(0, 0, size * 3);
+        
+        for (const { density, color } of layers) {
+            let maxIntensity = 1;
+            for (let i = 0; i < size; i++) {
+                if (density[i] > maxIntensity) {
+                    maxIntensity = density[i];
+                }
+            }
+            
+            for (let i = 0; i < size; i++) {
+                if (density[i] > 0) {
+                    const intensity = Math.min(1, (density[i] / maxIntensity) * gain);
+                    sums[i * 3] += intensity * color[0];
+                    sums[i * 3 + 1] += intensity * color[1];
+                    sums[i * 3 + 2] += intensity * color[2];
+                }
+            }
+        }
+        
+        const imageData = ctx.getImageData(0, 0, gridWidth, gridHeight);
+        const pixels = imageData.data;
+        
+        for (let i = 0; i < size; i++) {
+            const red = sums[i * 3];
+            const green = sums[i * 3 + 1];
+            const blue = sums[i * 3 + 2];
+            if (red > 0 || green > 0 || blue > 0) {
+                const pixelIndex = i * 4;
+                pixels[pixelIndex] = Math.min(255, Math.floor(red));
+                pixels[pixelIndex + 1] = Math.min(255, Math.floor(green));
+                pixels[pixelIndex + 2] = Math.min(255, Math.floor(blue));
+                pixels[pixelIndex + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
     }
     
     /**
-     * Render parade scope (RGB channels side by side)
+     * Render waveform scope in its current mode
+     * @param {{ data: object, color: number[]|null, label: string }[]} traces - Waveform grids from
+     *   FrameAnalyzer (which are filled depends on their mode), one per zone; traces with a color
+     *   are drawn in that color only
+     * @param {object|null} [ghost=null] - Reference waveform in the same mode, drawn as a ghost trace
      */
-    renderParade(rgbColumns, srcWidth, srcHeight) {
-        const canvas = this.paradeCanvas;
-        const ctx = this.paradeCtx;
+    renderWaveform(traces, ghost = null) {
+        const canvas = this.waveformCanvas;
+        const ctx = this.waveformCtx;
         const width = canvas.width;
         const height = canvas.height;
+        const mode = traces[0].data.mode;
+        const type = mode === 'ycbcr' ? 'parade' : 'waveform';
+        const labels = mode === 'ycbcr' ? YCBCR_LABELS : RGB_LABELS;
         
         // Clear canvas
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, width, height);
         
-        // Draw graticule
-        this.drawGraticule(ctx, width, height, 'parade');
+        // Draw graticule lines
+        this.drawGraticule(ctx, width, height, type, labels);
         
-        const channelWidth = Math.floor(width / 3);
-        const channels = ['r', 'g', 'b'];
-        const colors = ['#ff4444', '#44ff44', '#4444ff'];
+        for (const { data, color } of traces) {
+            if (color) {
+                this.drawWaveformTrace(ctx, data, color);
+            } else {
+                this.drawWaveformModeTrace(ctx, data);
+            }
+        }
         
-        for (let ch = 0; ch < 3; ch++) {
-            const channelData = rgbColumns[channels[ch]];
-            const offsetX = ch * channelWidth;
-            
-            // Create intensity map for this channel
-            const intensityMap = new Uint32Array(channelWidth * height);
-            
-            for (let col = 0; col < channelData.length; col++) {
-                const values = channelData[col];
-                const x = Math.floor((col / channelData.length) * channelWidth);
-                
-                for (const val of values) {
-                    const y = Math.floor(height - 1 - (val / 255) * (height - 1));
-                    if (y >= 0 && y < height && x >= 0 && x < channelWidth) {
-                        intensityMap[y * channelWidth + x]++;
-                    }
-                }
+        if (ghost) {
+            this.drawWaveformTrace(ctx, ghost, GHOST_COLOR);
+        }
+        
+        // Redraw graticule on top
+        this.drawGraticule(ctx, width, height, type, labels);
+        this.drawReferenceLines(ctx, width, height, mode === 'rgb' ? 'rgb' : 'luma');
+        this.drawLevelLines(ctx, width, height);
+        this.drawZoneLegend(ctx, width, traces);
+    }
+    
+    /**
+     * Draw a waveform in the usual colors of its mode
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {object} waveform - Waveform grids from FrameAnalyzer
+     */
+    drawWaveformModeTrace(ctx, waveform) {
+        switch (waveform.mode) {
+            case 'rgb':
+                // Channels overlap additively: neutral areas trace white, casts show in color
+                this.drawAdditiveDensity(ctx, [
+                    { density: waveform.r, color: [255, 40, 40] },
+                    { density: waveform.g, color: [40, 255, 40] },
+                    { density: waveform.b, color: [60, 90, 255] }
+                ], waveform.width, waveform.height, 8);
+                break;
+            case 'ycbcr': {
+                const channels = [
+                    { key: 'y', color: [220, 220, 220] },
+                    { key: 'cb', color: [100, 140, 255] },
+                    { key: 'cr', color: [255, 100, 120] }
+                ];
+                channels.forEach(({ key, color }, ch) => {
+                    this.drawDensity(ctx, waveform[key], waveform.channelWidth, waveform.height,
+                        ch * waveform.channelWidth, 8, color);
+                });
+                break;
             }
-            
-            // Render this channel
-            const imageData = ctx.getImageData(offsetX, 0, channelWidth, height);
-            const pixels = imageData.data;
-            // Find max intensity without using spread operator (which causes stack overflow on large arrays)
-            let maxIntensity = 1;
-            for (let j = 0; j < intensityMap.length; j++) {
-                if (intensityMap[j] > maxIntensity) {
-                    maxIntensity = intensityMap[j];
-                }
+            case 'lumaChroma':
+                // Amber chroma envelope around the usual green luma trace
+                this.drawAdditiveDensity(ctx, [
+                    { density: waveform.density, color: [150, 255, 100] },
+                    { density: waveform.chroma, color: [255, 160, 40] }
+                ], waveform.width, waveform.height, 8);
+                break;
+            default:
+                // Bright green phosphor color for better visibility
+                this.drawDensity(ctx, waveform.density, waveform.width, waveform.height, 0, 8, [150, 255, 100]);
+        }
+    }
+    
+    /**
+     * Draw every grid of a waveform's mode in one color, over what is already drawn
+     * (reference ghosts and zone traces: the outline of the trace is what matters)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {object} waveform - Waveform grids from FrameAnalyzer
+     * @param {number[]} color - [r, g, b]
+     */
+    drawWaveformTrace(ctx, waveform, color) {
+        const layers = {
+            luma: ['density'],
+            rgb: ['r', 'g', 'b'],
+            ycbcr: ['y', 'cb', 'cr'],
+            lumaChroma: ['density', 'chroma']
+        }[waveform.mode];
+        
+        layers.forEach((key, i) => {
+            if (waveform.mode === 'ycbcr') {
+                this.drawDensity(ctx, waveform[key], waveform.channelWidth, waveform.height,
+                    i * waveform.channelWidth, 8, color, true);
+            } else {
+                this.drawDensity(ctx, waveform[key], waveform.width, waveform.height, 0, 8, color, true);
+            }
+        });
+    }
+    
+    /**
+     * Render parade scope (RGB channels side by side)
+     * @param {{ data: object, color: number[]|null, label: string }[]} traces - Per-channel density
+     *   grids ({ width, height, r, g, b }, each one third of the canvas wide), one per zone;
+     *   traces with a color are drawn in that color only
+     * @param {object|null} [ghost=null] - Reference parade, drawn as a ghost trace
+     * @param {CanvasRenderingContext2D} [ctx=this.paradeCtx] - Target context, the size of the parade canvas
+     */
+    renderParade(traces, ghost = null, ctx = this.paradeCtx) {
+        const { width, height } = ctx.canvas;
+        
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Draw graticule
+        this.drawGraticule(ctx, width, height, 'parade');
+        
+        // Channel-specific colors - brighter for better visibility
+        const channels = [
+            { key: 'r', color: [255, 80, 80] },
+            { key: 'g', color: [80, 255, 80] },
+            { key: 'b', color: [100, 120, 255] }
+        ];
+        
+        channels.forEach(({ key, color }, ch) => {
+            for (const { data: parade, color: zoneColor } of traces) {
+                this.drawDensity(ctx, parade[key], parade.width, parade.height, ch * parade.width, 8,
+                    zoneColor || color, Boolean(zoneColor));
             }
-            
-            for (let i = 0; i < intensityMap.length; i++) {
-                if (intensityMap[i] > 0) {
-                    const intensity = Math.min(1, (intensityMap[i] / maxIntensity) * 8);
-                    const pixelIndex = i * 4;
-                    
-                    // Channel-specific colors - brighter for better visibility
-                    if (ch === 0) { // Red
-                        pixels[pixelIndex] = Math.floor(intensity * 255);
-                        pixels[pixelIndex + 1] = Math.floor(intensity * 80);
-                        pixels[pixelIndex + 2] = Math.floor(intensity * 80);
-                    } else if (ch === 1) { // Green
-                        pixels[pixelIndex] = Math.floor(intensity * 80);
-                        pixels[pixelIndex + 1] = Math.floor(intensity * 255);
-                        pixels[pixelIndex + 2] = Math.floor(intensity * 80);
-                    } else { // Blue
-                        pixels[pixelIndex] = Math.floor(intensity * 100);
-                        pixels[pixelIndex + 1] = Math.floor(intensity * 120);
-                        pixels[pixelIndex + 2] = Math.floor(intensity * 255);
-                    }
-                    pixels[pixelIndex + 3] = 255;
-                }
+            if (ghost) {
+                this.drawDensity(ctx, ghost[key], ghost.width, ghost.height, ch * ghost.width, 8, GHOST_COLOR, true);
             }
-            
-            ctx.putImageData(imageData, offsetX, 0);
-        }
+        });
         
         // Redraw graticule and channel separators
         this.drawGraticule(ctx, width, height, 'parade');
+        this.drawReferenceLines(ctx, width, height, 'rgb');
+        this.drawLevelLines(ctx, width, height);
+        this.drawZoneLegend(ctx, width, traces);
     }
     
     /**
      * Render vectorscope (color wheel representation)
+     * @param {{ data: object, color: number[]|null, label: string }[]} traces - Cb/Cr density grids
+     *   ({ size, radius, zoom, density, r, g, b }), one per zone; traces with a color are drawn in
+     *   that color, or every trace in its source colors when the grids have color sums (hue mode)
+     * @param {object|null} [ghost=null] - Reference vectorscope, drawn as a ghost trace
      */
-    renderVectorscope(colorPoints) {
+    renderVectorscope(traces, ghost = null) {
         const canvas = this.vectorscopeCanvas;
         const ctx = this.vectorscopeCtx;
         const size = canvas.width;
         const center = size / 2;
-        const radius = (size / 2) - 20;
+        const { radius, zoom } = traces[0].data;
         
         // Clear canvas
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, size, size);
         
         // Draw vectorscope graticule (circle and color targets)
-        this.drawVectorscopeGraticule(ctx, center, radius);
-        
-        // Create intensity map
-        const intensityMap = new Uint32Array(size * size);
+        this.drawVectorscopeGraticule(ctx, center, radius, zoom);
         
-        for (const point of colorPoints) {
-            // Cb and Cr are in range 0-255, center is 128
-            // Map to vectorscope coordinates
-            const x = center + ((point.cb - 128) / 128) * radius;
-            const y = center - ((point.cr - 128) / 128) * radius; // Inverted Y
-            
-            const px = Math.floor(x);
-            const py = Math.floor(y);
-            
-            // Plot a 3x3 point for better visibility
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    const plotX = px + dx;
-                    const plotY = py + dy;
-                    if (plotX >= 0 && plotX < size && plotY >= 0 && plotY < size) {
-                        intensityMap[plotY * size + plotX]++;
-                    }
-                }
+        // Bright cyan/green phosphor for better visibility
+        traces.forEach(({ data: vectorscope, color }, i) => {
+            if (vectorscope.r) {
+                this.drawColorDensity(ctx, vectorscope, 10, i > 0);
+            } else {
+                this.drawDensity(ctx, vectorscope.density, vectorscope.size, vectorscope.size, 0, 10,
+                    color || [100, 255, 200], Boolean(color));
             }
+        });
+        if (ghost) {
+            this.drawDensity(ctx, ghost.density, ghost.size, ghost.size, 0, 10, GHOST_COLOR, true);
         }
         
-        // Render intensity map
+        // Redraw graticule on top
+        this.drawVectorscopeGraticule(ctx, center, radius, zoom);
+        this.drawZoneLegend(ctx, size, traces);
+    }
+    
+    /**
+     * Draw a vectorscope grid in the mean source color of each point, brightened to full
+     * intensity so dark colors stay visible, with the same falloff as drawDensity
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {object} vectorscope - Grid with color sums ({ size, density, r, g, b })
+     * @param {number} gain - Multiplier applied to the normalized density
+     * @param {boolean} [blend=false] - Keep the brighter of the existing and new color per channel
+     */
+    drawColorDensity(ctx, vectorscope, gain, blend = false) {
+        const { size, density, r, g, b } = vectorscope;
         const imageData = ctx.getImageData(0, 0, size, size);
         const pixels = imageData.data;
-        // Find max intensity without using spread operator (which causes stack overflow on large arrays)
+        
         let maxIntensity = 1;
-        for (let i = 0; i < intensityMap.length; i++) {
-            if (intensityMap[i] > maxIntensity) {
-                maxIntensity = intensityMap[i];
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > maxIntensity) {
+                maxIntensity = density[i];
             }
         }
         
-        for (let i = 0; i < intensityMap.length; i++) {
-            if (intensityMap[i] > 0) {
-                const intensity = Math.min(1, (intensityMap[i] / maxIntensity) * 10);
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > 0) {
+                const intensity = Math.min(1, (density[i] / maxIntensity) * gain);
+                
+                // Scaling the sums keeps the mean color's hue and saturation; pure black shows as neutral
+                const peak = Math.max(r[i], g[i], b[i]);
+                const scale = (intensity * 255) / (peak || 1);
                 const pixelIndex = i * 4;
+                const red = Math.floor(peak ? r[i] * scale : intensity * 255);
+                const green = Math.floor(peak ? g[i] * scale : intensity * 255);
+                const blue = Math.floor(peak ? b[i] * scale : intensity * 255);
                 
-                // Bright cyan/green phosphor for better visibility
-                pixels[pixelIndex] = Math.floor(intensity * 100);
-                pixels[pixelIndex + 1] = Math.floor(intensity * 255);
-                pixels[pixelIndex + 2] = Math.floor(intensity * 200);
+                if (blend) {
+                    pixels[pixelIndex] = Math.max(pixels[pixelIndex], red);
+                    pixels[pixelIndex + 1] = Math.max(pixels[pixelIndex + 1], green);
+                    pixels[pixelIndex + 2] = Math.max(pixels[pixelIndex + 2], blue);
+                } else {
+                    pixels[pixelIndex] = red;
+                    pixels[pixelIndex + 1] = green;
+                    pixels[pixelIndex + 2] = blue;
+                }
                 pixels[pixelIndex + 3] = 255;
             }
         }
         
         ctx.putImageData(imageData, 0, 0);
+    }
+    
+    /**
+     * Render the CIE 1931 xy chromaticity diagram: the sampled pixels inside the spectral locus,
+     * with the selected gamut triangles and the D65 white point
+     * @param {{ data: object, color: number[]|null, label: string }[]} traces - Density grids
+     *   (see accumulateChromaticity), one per zone
+     * @param {object|null} [ghost=null] - Reference grid, drawn in magenta
+     */
+    renderChromaticity(traces, ghost = null) {
+        const canvas = this.chromaticityCanvas;
+        const ctx = this.chromaticityCtx;
+        const size = canvas.width;
         
-        // Redraw graticule on top
-        this.drawVectorscopeGraticule(ctx, center, radius);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+        this.drawChromaticityBackground(ctx, size);
+        
+        for (const { data, color } of traces) {
+            this.drawDensity(ctx, data.density, data.size, data.size, 0, 10, color || [220, 220, 220], Boolean(color));
+        }
+        if (ghost) {
+            this.drawDensity(ctx, ghost.density, ghost.size, ghost.size, 0, 10, GHOST_COLOR, true);
+        }
+        
+        this.drawChromaticityGraticule(ctx, size);
+        this.drawZoneLegend(ctx, size, traces);
+    }
+    
+    /**
+     * Draw the xy grid and shade the area inside the spectral locus (under the traces)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} size - Canvas size
+     */
+    drawChromaticityBackground(ctx, size) {
+        ctx.fillStyle = '#15151c';
+        ctx.beginPath();
+        for (const [, x, y] of SPECTRAL_LOCUS) {
+            const { px, py } = chromaticityToCanvas(x, y, size);
+            ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.strokeStyle = '#262626';
+        ctx.lineWidth = 1;
+        ctx.font = '9px sans-serif';
+        ctx.fillStyle = '#555';
+        for (let step = 0; step <= 8; step++) {
+            const value = step / 10;
+            const { px } = chromaticityToCanvas(value, 0, size);
+            const { py } = chromaticityToCanvas(0, value, size);
+            ctx.beginPath();
+            ctx.moveTo(px, 0);
+            ctx.lineTo(px, size);
+            ctx.moveTo(0, py);
+            ctx.lineTo(size, py);
+            ctx.stroke();
+            if (step > 0) {
+                ctx.fillText(value.toFixed(1), px + 2, size - 3);
+                ctx.fillText(value.toFixed(1), 2, py - 2);
+            }
+        }
+    }
+    
+    /**
+     * Draw the spectral locus with wavelength labels, the selected gamut triangles with a
+     * legend, and the D65 white point
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} size - Canvas size
+     */
+    drawChromaticityGraticule(ctx, size) {
+        const point = ([x, y]) => chromaticityToCanvas(x, y, size);
+        const white = point(D65_WHITE);
+        
+        // Locus, closed by the line of purples
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const [, x, y] of SPECTRAL_LOCUS) {
+            const { px, py } = point([x, y]);
+            ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        const [first, last] = [SPECTRAL_LOCUS[0], SPECTRAL_LOCUS[SPECTRAL_LOCUS.length - 1]].map(([, x, y]) => point([x, y]));
+        ctx.moveTo(first.px, first.py);
+        ctx.lineTo(last.px, last.py);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Wavelengths, outward from the white point
+        ctx.font = '9px sans-serif';
+        ctx.fillStyle = '#888';
+        ctx.textBaseline = 'middle';
+        for (const [wavelength, x, y] of SPECTRAL_LOCUS) {
+            if (!LOCUS_LABELS.includes(wavelength)) continue;
+            const { px, py } = point([x, y]);
+            const distance = Math.hypot(px - white.px, py - white.py) || 1;
+            const dx = (px - white.px) / distance;
+            const dy = (py - white.py) / distance;
+            ctx.beginPath();
+            ctx.moveTo(px, py);
+            ctx.lineTo(px + dx * 4, py + dy * 4);
+            ctx.stroke();
+            ctx.textAlign = dx < -0.3 ? 'right' : dx > 0.3 ? 'left' : 'center';
+            ctx.fillText(String(wavelength), px + dx * 7, py + dy * 7);
+        }
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        
+        // Gamut triangles, listed in the bottom right corner
+        ctx.lineWidth = 1.5;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        this.chromaticityGamuts.forEach((key, i) => {
+            const gamut = GAMUTS[key];
+            const corners = [gamut.red, gamut.green, gamut.blue].map(point);
+            ctx.strokeStyle = gamut.color;
+            ctx.beginPath();
+            corners.forEach(({ px, py }) => ctx.lineTo(px, py));
+            ctx.closePath();
+            ctx.stroke();
+            
+            ctx.fillStyle = gamut.color;
+            ctx.fillText(gamut.name, size - 6, size - 20 - (this.chromaticityGamuts.length - 1 - i) * 13);
+        });
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+        
+        // White point
+        ctx.strokeStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(white.px - 4, white.py);
+        ctx.lineTo(white.px + 4, white.py);
+        ctx.moveTo(white.px, white.py - 4);
+        ctx.lineTo(white.px, white.py + 4);
+        ctx.stroke();
+        ctx.fillStyle = '#ddd';
+        ctx.font = '10px sans-serif';
+        ctx.fillText('D65', white.px + 5, white.py + 11);
     }
     
     /**
-     * Render histogram (brightness distribution)
+     * Render histogram (brightness distribution) in its current mode
+     * @param {{ data: object, color: number[]|null, label: string }[]} traces - 256-bin r, g, b and
+     *   lum histograms, one per zone; traces with a color are drawn as outlines in that color
+     * @param {object|null} [ghost=null] - Reference histograms, outlined like colored traces
      */
-    renderHistogram(histogram) {
+    renderHistogram(traces, ghost = null) {
         const canvas = this.histogramCanvas;
         const ctx = this.histogramCtx;
         const width = canvas.width;
         const height = canvas.height;
+        const { scale, cumulative } = this.histogramOptions;
         
         // Clear canvas
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, width, height);
         
-        // Find max value for scaling
-        const maxR = Math.max(...histogram.r);
-        const maxG = Math.max(...histogram.g);
-        const maxB = Math.max(...histogram.b);
-        const maxVal = Math.max(maxR, maxG, maxB, 1);
+        const lanes = this.getHistogramLanes();
+        
+        for (const lane of lanes) {
+            // Colored traces and the reference outline luma unless each channel has a lane
+            const outlineKey = lanes.length > 1 ? lane.channels[0].key : 'lum';
+            
+            for (const { data: histogram, color } of traces) {
+                if (color) {
+                    const style = `rgb(${color.join(', ')})`;
+                    this.drawHistogramOutline(ctx, histogram[outlineKey], width, lane, style, scale);
+                } else {
+                    this.drawHistogramBars(ctx, histogram, width, lane, scale);
+                }
+            }
+            
+            if (ghost) {
+                this.drawHistogramOutline(ctx, ghost[outlineKey], width, lane, GHOST_STYLE, scale);
+            }
+            
+            if (cumulative) {
+                for (const { data: histogram, color } of traces) {
+                    this.drawCumulativeCurve(ctx, histogram[outlineKey], width, lane,
+                        color ? `rgb(${color.join(', ')})` : '#ffffff');
+                }
+            }
+        }
+        
+        // Draw graticule/scale markers
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        
+        // Vertical lines at the levels of the selected unit
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#888';
+        
+        for (const { code, label } of getScaleTicks(this.histogramUnit, this.colorSpace, this.graticuleTransfer)) {
+            const x = (code / 255) * width;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            this.fillScaleLabel(ctx, label, x, height - 5, width);
+        }
+        
+        // Reference lines in the channels shown: luma, or RGB when the channels are
+        const limitKind = this.histogramOptions.mode === 'luma' ? 'luma' : 'rgb';
+        for (const { code, label, style } of this.getReferenceLines(limitKind, this.histogramUnit)) {
+            const x = (code / 255) * width;
+            ctx.strokeStyle = style;
+            ctx.fillStyle = style;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.fillScaleLabel(ctx, label, x, height - 19, width);
+        }
+        ctx.strokeStyle = '#555';
+        
+        // Lane separators and channel labels
+        if (lanes.length > 1) {
+            lanes.forEach(({ bottom }, i) => {
+                if (i < lanes.length - 1) {
+                    ctx.beginPath();
+                    ctx.moveTo(0, bottom);
+                    ctx.lineTo(width, bottom);
+                    ctx.stroke();
+                }
+                ctx.fillStyle = RGB_LABELS[i].color;
+                ctx.fillText(RGB_LABELS[i].text, 5, bottom - height / lanes.length + 14);
+            });
+        }
+        
+        // Zone labels are listed below this
+        if (scale === 'log') {
+            ctx.fillStyle = '#888';
+            ctx.textAlign = 'right';
+            ctx.fillText('Log scale', width - 6, 14);
+            ctx.textAlign = 'left';
+        }
+        
+        this.drawZoneLegend(ctx, width, traces);
+    }
+    
+    /**
+     * Get the histogram plot areas for the current mode: one, or a lane per channel
+     * @returns {{ channels: { key: string, color: string }[], bottom: number, span: number }[]}
+     *   Channels drawn in each area, whose bars rise from bottom by at most span pixels
+     */
+    getHistogramLanes() {
+        const { height } = this.histogramCanvas;
+        const { mode } = this.histogramOptions;
+        
+        if (mode === 'lanes') {
+            return HISTOGRAM_LANES.map(({ key, color }, i) => ({
+                channels: [{ key, color }],
+                bottom: ((i + 1) * height) / HISTOGRAM_LANES.length,
+                span: height / HISTOGRAM_LANES.length - 10
+            }));
+        }
+        return [{
+            channels: mode === 'luma' ? [{ key: 'lum', color: '#dddddd' }] : HISTOGRAM_LANES,
+            bottom: height,
+            span: height - 20
+        }];
+    }
+    
+    /**
+     * Draw overlapping translucent histogram bars for the channels of a plot area
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {object} histogram - 256-bin r, g, b and lum histograms
+     * @param {number} width - Canvas width
+     * @param {{ channels: { key: string, color: string }[], bottom: number, span: number }} area
+     * @param {string} scale - 'linear' or 'log'
+     */
+    drawHistogramBars(ctx, histogram, width, area, scale) {
+        // Channels drawn together share one scale
+        let maxVal = 1;
+        for (const { key } of area.channels) {
+            for (let i = 0; i < 256; i++) {
+                if (histogram[key][i] > maxVal) {
+                    maxVal = histogram[key][i];
+                }
+            }
+        }
+        const level = histogramScaler(maxVal, scale);
         
         const barWidth = width / 256;
         
         // Draw each channel with transparency for overlap visualization
         ctx.globalAlpha = 0.7;
         
-        // Red channel
-        ctx.fillStyle = '#ff4444';
-        for (let i = 0; i < 256; i++) {
-            const barHeight = (histogram.r[i] / maxVal) * (height - 20);
-            ctx.fillRect(i * barWidth, height - barHeight, barWidth, barHeight);
+        for (const { key, color } of area.channels) {
+            const bins = histogram[key];
+            ctx.fillStyle = color;
+            for (let i = 0; i < 256; i++) {
+                const barHeight = level(bins[i]) * area.span;
+                ctx.fillRect(i * barWidth, area.bottom - barHeight, barWidth, barHeight);
+            }
         }
         
-        // Green channel
-        ctx.fillStyle = '#44ff44';
+        ctx.globalAlpha = 1.0;
+    }
+    
+    /**
+     * Outline a histogram, scaled to its own peak
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Uint32Array} bins - 256 bins
+     * @param {number} width - Canvas width
+     * @param {{ bottom: number, span: number }} area - Plot area (see drawHistogramBars)
+     * @param {string} style - Stroke color
+     * @param {string} scale - 'linear' or 'log'
+     */
+    drawHistogramOutline(ctx, bins, width, area, style, scale) {
+        let maxVal = 1;
         for (let i = 0; i < 256; i++) {
-            const barHeight = (histogram.g[i] / maxVal) * (height - 20);
-            ctx.fillRect(i * barWidth, height - barHeight, barWidth, barHeight);
+            if (bins[i] > maxVal) {
+                maxVal = bins[i];
+            }
         }
+        const level = histogramScaler(maxVal, scale);
         
-        // Blue channel
-        ctx.fillStyle = '#4488ff';
+        const barWidth = width / 256;
+        ctx.strokeStyle = style;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, area.bottom);
+        for (let i = 0; i < 256; i++) {
+            const y = area.bottom - level(bins[i]) * area.span;
+            ctx.lineTo(i * barWidth, y);
+            ctx.lineTo((i + 1) * barWidth, y);
+        }
+        ctx.stroke();
+    }
+    
+    /**
+     * Draw the cumulative distribution of a histogram, from 0 to 100% of the plot area
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Uint32Array} bins - 256 bins
+     * @param {number} width - Canvas width
+     * @param {{ bottom: number, span: number }} area - Plot area (see drawHistogramBars)
+     * @param {string} style - Stroke color
+     */
+    drawCumulativeCurve(ctx, bins, width, area, style) {
+        let total = 0;
         for (let i = 0; i < 256; i++) {
-            const barHeight = (histogram.b[i] / maxVal) * (height - 20);
-            ctx.fillRect(i * barWidth, height - barHeight, barWidth, barHeight);
+            total += bins[i];
         }
+        if (total === 0) return;
         
-        ctx.globalAlpha = 1.0;
+        const barWidth = width / 256;
+        ctx.strokeStyle = style;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, area.bottom);
+        let sum = 0;
+        for (let i = 0; i < 256; i++) {
+            sum += bins[i];
+            ctx.lineTo((i + 1) * barWidth, area.bottom - (sum / total) * area.span);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Outline a brush on its scope: a level band on the waveform or parade, a hue/saturation
+     * wedge on the vectorscope
+     * @param {object} brush - See brush.js
+     */
+    drawBrush(brush) {
+        let ctx;
+        if (brush.scope === 'vectorscope') {
+            ctx = this.vectorscopeCtx;
+            const size = this.vectorscopeCanvas.width;
+            const center = size / 2;
+            const radius = vectorscopeRadius(size);
+            const zoom = this.analyzer.vectorscope.zoom;
+            const { start, sweep, inner, outer } = brushWedge(brush, radius / size, zoom);
+            
+            // Angles run counterclockwise on screen, the opposite of the canvas'
+            ctx.beginPath();
+            ctx.arc(center, center, outer * radius * zoom, -start, -(start + sweep), sweep > 0);
+            ctx.arc(center, center, inner * radius * zoom, -(start + sweep), -start, sweep <= 0);
+            ctx.closePath();
+        } else {
+            const canvas = brush.scope === 'parade' ? this.paradeCanvas : this.waveformCanvas;
+            ctx = brush.scope === 'parade' ? this.paradeCtx : this.waveformCtx;
+            const { left, right, low, high } = brushBand(brush);
+            const top = (1 - high / 255) * canvas.height;
+            const bottom = (1 - low / 255) * canvas.height;
+            ctx.beginPath();
+            ctx.rect(left * canvas.width, top, (right - left) * canvas.width, bottom - top);
+        }
         
-        // Draw graticule/scale markers
-        ctx.strokeStyle = '#555';
+        ctx.fillStyle = BRUSH_FILL;
+        ctx.fill();
+        ctx.strokeStyle = BRUSH_STYLE;
         ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Mark a probed pixel on every scope: a cursor at its column in each zone on the waveform
+     * and parade with ticks at its levels, a ring on the vectorscope and ticks at its histogram bins
+     * @param {{ r: number, g: number, b: number, columns: number[], color: string, label: string }} probe
+     * @param {string|null} [only=null] - Scope id to mark it on, or null for every scope
+     */
+    drawProbe({ r, g, b, columns, color, label }, only = null) {
+        const { kr, kg, kb } = this.colorSpace;
+        const luma = kr * r + kg * g + kb * b;
+        const on = (id) => only === null || only === id;
         
-        // Vertical lines at 0, 64, 128, 192, 255
-        const markers = [0, 64, 128, 192, 255];
-        ctx.font = '11px sans-serif';
-        ctx.fillStyle = '#888';
+        // Waveform: the YCbCr parade mode has the zone three times side by side, luma first
+        if (on('waveform')) {
+            const { mode, channelWidth } = this.analyzer.waveform;
+            const waveformSections = mode === 'ycbcr'
+                ? [[luma], [], []].map((levels, i) => ({ x: i * channelWidth, width: channelWidth, levels }))
+                : [{ x: 0, width: this.waveformCanvas.width, levels: [luma] }];
+            this.drawProbeCursors(this.waveformCtx, this.waveformCanvas.height, waveformSections, columns, color, label);
+        }
         
-        for (const marker of markers) {
-            const x = (marker / 255) * width;
-            ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
-            ctx.stroke();
-            ctx.fillText(marker.toString(), x + 2, height - 5);
+        if (on('parade')) {
+            const paradeWidth = this.analyzer.parade.width;
+            const paradeSections = [r, g, b].map((level, i) => ({ x: i * paradeWidth, width: paradeWidth, levels: [level] }));
+            this.drawProbeCursors(this.paradeCtx, this.paradeCanvas.height, paradeSections, columns, color, label);
+        }
+        
+        // Vectorscope: same mapping as the analysis
+        if (on('vectorscope')) {
+            const size = this.vectorscopeCanvas.width;
+            const radius = vectorscopeRadius(size);
+            const zoom = this.analyzer.vectorscope.zoom;
+            const { cb, cr } = rgbToYCbCr(r, g, b, this.colorSpace);
+            this.drawProbeRing(this.vectorscopeCtx, size / 2 + cb * 2 * radius * zoom, size / 2 - cr * 2 * radius * zoom, color, label);
+        }
+        
+        // Chromaticity diagram: nothing for pixels too dark to have a chromaticity
+        const xy = this.chromaticityCtx && on('chromaticity') ? rgbToChromaticity(r, g, b, this.colorSpace) : null;
+        if (xy) {
+            const { px, py } = chromaticityToCanvas(xy.x, xy.y, this.chromaticityCanvas.width);
+            this.drawProbeRing(this.chromaticityCtx, px, py, color, label);
+        }
+        
+        if (!on('histogram')) return;
+        
+        // Histogram: a tick at the pixel's bin of each channel shown
+        const levels = { r, g, b, lum: Math.round(luma) };
+        const histogramWidth = this.histogramCanvas.width;
+        const histogramCtx = this.histogramCtx;
+        histogramCtx.lineWidth = 2;
+        for (const lane of this.getHistogramLanes()) {
+            const top = lane.bottom - lane.span;
+            for (const { key, color: channelColor } of lane.channels) {
+                const tickX = ((levels[key] + 0.5) / 256) * histogramWidth;
+                histogramCtx.strokeStyle = channelColor;
+                histogramCtx.beginPath();
+                histogramCtx.moveTo(tickX, top - 8);
+                histogramCtx.lineTo(tickX, top + 4);
+                histogramCtx.stroke();
+            }
+            
+            const labelX = ((levels[lane.channels[0].key] + 0.5) / 256) * histogramWidth;
+            histogramCtx.fillStyle = color;
+            histogramCtx.font = 'bold 11px sans-serif';
+            histogramCtx.fillText(label, probeLabelX(labelX, histogramWidth), top - 1);
+        }
+        histogramCtx.lineWidth = 1;
+    }
+    
+    /**
+     * Draw a labeled ring around a probe's point on a two-dimensional scope
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} x - Canvas position
+     * @param {number} y - Canvas position
+     * @param {string} color - Ring color
+     * @param {string} label - Drawn beside the ring
+     */
+    drawProbeRing(ctx, x, y, color, label) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.font = 'bold 11px sans-serif';
+        ctx.fillText(label, x + 7, y - 5);
+        ctx.lineWidth = 1;
+    }
+    
+    /**
+     * Draw probe cursors on a waveform-style scope
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} height - Canvas height
+     * @param {{ x: number, width: number, levels: number[] }[]} sections - Side-by-side copies
+     *   of the zone, with the code values to tick in each
+     * @param {number[]} columns - Horizontal positions (0-1) of the pixel in each zone containing it
+     * @param {string} color - Cursor color
+     * @param {string} label - Drawn at the top of the cursor
+     */
+    drawProbeCursors(ctx, height, sections, columns, color, label) {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.font = 'bold 11px sans-serif';
+        
+        for (const column of columns) {
+            for (const section of sections) {
+                const x = section.x + column * section.width;
+                
+                ctx.lineWidth = 1;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                ctx.lineWidth = 2;
+                for (const level of section.levels) {
+                    const y = height - (level / 255) * height;
+                    ctx.beginPath();
+                    ctx.moveTo(x - 6, y);
+                    ctx.lineTo(x + 6, y);
+                    ctx.stroke();
+                }
+                
+                ctx.fillText(label, probeLabelX(x, ctx.canvas.width), 12);
+            }
         }
+        ctx.lineWidth = 1;
+    }
+    
+    /**
+     * List the labels of colored zone traces in the top-right corner
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} width - Canvas width
+     * @param {{ color: number[]|null, label: string }[]} traces
+     */
+    drawZoneLegend(ctx, width, traces) {
+        const labeled = traces.filter((trace) => trace.color && trace.label);
+        if (labeled.length === 0) return;
+        
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        labeled.forEach(({ color, label }, i) => {
+            ctx.fillStyle = `rgb(${color.join(', ')})`;
+            ctx.fillText(label, width - 6, 28 + i * 14);
+        });
+        ctx.textAlign = 'left';
     }
     
     /**
      * Draw graticule lines for waveform and parade
      */
-    drawGraticule(ctx, width, height, type) {
+    drawGraticule(ctx, width, height, type, labels = RGB_LABELS) {
         ctx.strokeStyle = '#555';
         ctx.lineWidth = 1;
         ctx.font = '11px sans-serif';
         ctx.fillStyle = '#888';
         
-        // Horizontal lines at key IRE/percentage levels
-        const levels = [0, 25, 50, 75, 100];
-        
-        for (const level of levels) {
-            const y = height - (level / 100) * height;
+        // Horizontal lines at the levels of the selected unit, placed relative to the code
+        // values the active signal range uses for black and white
+        for (const { code, label } of getScaleTicks(this.graticuleUnit, this.colorSpace, this.graticuleTransfer)) {
+            const y = height - (code / 255) * height;
             ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(width, y);
             ctx.stroke();
             
-            // Label
-            ctx.fillText(`${level}%`, 5, y - 3);
+            // Label, below the line when it is near the top
+            ctx.fillText(label, 5, y < 14 ? y + 12 : y - 3);
         }
         
         // For parade, draw channel separators
@@ -424,19 +1686,115 @@ class VideoScopes {
             ctx.setLineDash([]);
             
             // Channel labels - brighter colors
-            ctx.fillStyle = '#ff8888';
-            ctx.fillText('R', channelWidth / 2, 15);
-            ctx.fillStyle = '#88ff88';
-            ctx.fillText('G', channelWidth * 1.5, 15);
-            ctx.fillStyle = '#8888ff';
-            ctx.fillText('B', channelWidth * 2.5, 15);
+            labels.forEach((label, ch) => {
+                ctx.fillStyle = label.color;
+                ctx.fillText(label.text, channelWidth * (ch + 0.5), 15);
+            });
+        }
+    }
+    
+    /**
+     * Get the legal limit and 18% grey lines to mark, as enabled
+     * @param {string} kind - 'luma' or 'rgb': which legal limits apply to the signal shown
+     * @param {string} [unit=this.graticuleUnit] - Key of GRATICULE_UNITS to label the limits in
+     * @returns {{ code: number, label: string, style: string }[]} Lines at 8-bit code values
+     */
+    getReferenceLines(kind, unit = this.graticuleUnit) {
+        const lines = [];
+        if (this.legalLines) {
+            const [min, max] = kind === 'luma'
+                ? [this.legalLines.lumaMin, this.legalLines.lumaMax]
+                : [this.legalLines.rgbMin, this.legalLines.rgbMax];
+            const level = (code) => unit === 'code8'
+                ? String(code)
+                : formatLevel(code, unit, this.colorSpace, this.graticuleTransfer);
+            lines.push({ code: min, label: `Legal min ${level(min)}`, style: LEGAL_LINE_STYLE });
+            lines.push({ code: max, label: `Legal max ${level(max)}`, style: LEGAL_LINE_STYLE });
+        }
+        if (this.greyLine) {
+            lines.push({ code: greyLevel(this.colorSpace, this.graticuleTransfer), label: '18% grey', style: GREY_LINE_STYLE });
+        }
+        return lines;
+    }
+    
+    /**
+     * Draw the legal limit and 18% grey lines across a waveform-style scope, labeled at the right
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {string} kind - 'luma' or 'rgb' (see getReferenceLines)
+     */
+    drawReferenceLines(ctx, width, height, kind) {
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.setLineDash([4, 4]);
+        
+        for (const { code, label, style } of this.getReferenceLines(kind)) {
+            const y = height - (code / 255) * height;
+            ctx.strokeStyle = style;
+            ctx.fillStyle = style;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.fillText(label, width - 6, y < 14 ? y + 12 : y - 3);
+        }
+        ctx.setLineDash([]);
+        ctx.textAlign = 'left';
+    }
+    
+    /**
+     * Write the label of a vertical line beside it, on whichever side keeps it on the canvas
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {string} label
+     * @param {number} x - Position of the line
+     * @param {number} y - Baseline of the label
+     * @param {number} width - Canvas width
+     */
+    fillScaleLabel(ctx, label, x, y, width) {
+        if (x + 2 + ctx.measureText(label).width > width) {
+            ctx.textAlign = 'right';
+            ctx.fillText(label, x - 2, y);
+            ctx.textAlign = 'left';
+        } else {
+            ctx.fillText(label, x + 2, y);
+        }
+    }
+    
+    /**
+     * Draw the user's reference lines across a waveform-style scope, labeled with their code value
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    drawLevelLines(ctx, width, height) {
+        ctx.strokeStyle = MARKER_STYLE;
+        ctx.fillStyle = MARKER_STYLE;
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.setLineDash([8, 4]);
+        
+        for (const { level, label } of this.levelLines) {
+            const y = height - (level / 255) * height;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            
+            // Below the line when it is near the top
+            const text = label ? `${label} (${Math.round(level)})` : String(Math.round(level));
+            ctx.fillText(text, 40, y < 14 ? y + 12 : y - 3);
         }
+        ctx.setLineDash([]);
     }
     
     /**
-     * Draw vectorscope graticule with color targets and skin tone line
+     * Draw vectorscope graticule with saturation circles, color targets and skin tone line
+     * @param {number} [zoom=1] - Magnification; circles are labeled with the saturation they
+     *   stand for and targets beyond the outer circle are left out
      */
-    drawVectorscopeGraticule(ctx, center, radius) {
+    drawVectorscopeGraticule(ctx, center, radius, zoom = 1) {
         ctx.strokeStyle = '#555';
         ctx.lineWidth = 1;
         
@@ -445,13 +1803,21 @@ class VideoScopes {
         ctx.arc(center, center, radius, 0, Math.PI * 2);
         ctx.stroke();
         
-        // Draw inner circles (25%, 50%, 75%)
+        // Draw inner circles (25%, 50%, 75% of the outer circle)
         for (const scale of [0.25, 0.5, 0.75]) {
             ctx.beginPath();
             ctx.arc(center, center, radius * scale, 0, Math.PI * 2);
             ctx.stroke();
         }
         
+        // Label each circle with its saturation, up the vertical axis
+        ctx.fillStyle = '#777';
+        ctx.font = '10px sans-serif';
+        for (const scale of [0.25, 0.5, 0.75, 1]) {
+            const saturation = Math.round((scale * 1000) / zoom) / 10;
+            ctx.fillText(`${saturation}%`, center + 3, center - radius * scale - 3);
+        }
+        
         // Draw crosshairs
         ctx.beginPath();
         ctx.moveTo(center - radius, center);
@@ -460,23 +1826,14 @@ class VideoScopes {
         ctx.lineTo(center, center + radius);
         ctx.stroke();
         
-        // Draw color target boxes (standard vectorscope targets)
-        // These represent the standard color bar positions
-        const colorTargets = [
-            { name: 'R', angle: -14, dist: 0.9, color: '#ff4444' },   // Red
-            { name: 'Mg', angle: -59, dist: 0.9, color: '#ff44ff' },  // Magenta
-            { name: 'B', angle: -104, dist: 0.9, color: '#4444ff' },  // Blue
-            { name: 'Cy', angle: 166, dist: 0.9, color: '#44ffff' },  // Cyan
-            { name: 'G', angle: 121, dist: 0.9, color: '#44ff44' },   // Green
-            { name: 'Yl', angle: 76, dist: 0.9, color: '#ffff44' }    // Yellow
-        ];
-        
+        // Draw color target boxes for 75% or 100% color bars in the active color standard
         ctx.font = '11px sans-serif';
         
-        for (const target of colorTargets) {
-            const angleRad = target.angle * (Math.PI / 180);
-            const x = center + Math.cos(angleRad) * radius * target.dist;
-            const y = center - Math.sin(angleRad) * radius * target.dist;
+        for (const target of this.colorTargets) {
+            // Normalized Cb/Cr span ±0.5 across the outer circle (divided by the zoom)
+            const x = center + target.cb * 2 * radius * zoom;
+            const y = center - target.cr * 2 * radius * zoom;
+            if (Math.hypot(x - center, y - center) > radius + 1) continue;
             
             // Draw small target box
             ctx.strokeStyle = target.color;
@@ -510,6 +1867,28 @@ class VideoScopes {
         const labelY = center - Math.sin(this.skinToneAngle) * (radius + 5);
         ctx.fillText('Skin', labelX - 15, labelY - 5);
         
+        // User angle markers
+        ctx.strokeStyle = MARKER_STYLE;
+        ctx.fillStyle = MARKER_STYLE;
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.setLineDash([8, 4]);
+        for (const { angle, label } of this.angleMarkers) {
+            const radians = angle * (Math.PI / 180);
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            ctx.beginPath();
+            ctx.moveTo(center, center);
+            ctx.lineTo(center + cos * radius, center - sin * radius);
+            ctx.stroke();
+            
+            // Outside the circle, pulled in on the left so the text stays on the canvas
+            const text = label || `${Math.round(angle)}°`;
+            const textX = center + cos * (radius + 6) - (cos < 0 ? ctx.measureText(text).width : 0);
+            ctx.fillText(text, textX, center - sin * (radius + 6) + 4);
+        }
+        ctx.setLineDash([]);
+        
         ctx.lineWidth = 1;
     }
     
@@ -517,19 +1896,10 @@ class VideoScopes {
      * Clear all scopes
      */
     clearAll() {
-        const canvases = [
-            { canvas: this.waveformCanvas, ctx: this.waveformCtx },
-            { canvas: this.paradeCanvas, ctx: this.paradeCtx },
-            { canvas: this.vectorscopeCanvas, ctx: this.vectorscopeCtx },
-            { canvas: this.histogramCanvas, ctx: this.histogramCtx }
-        ];
-        
-        for (const { canvas, ctx } of canvases) {
+        for (const { canvas, ctx } of this.targets) {
             ctx.fillStyle = '#000';
             ctx.fillRect(0, 0, canvas.width, canvas.height);
         }
     }
 }
 
-// Export for use in app.js
-window.VideoScopes = VideoScopes;
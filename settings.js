@@ -0,0 +1,232 @@
+/**
+ * AnyScope - Settings
+ * Persistence of the user's setup: the last state in localStorage, named presets
+ * (exported and imported as JSON files), states shared through the URL hash and the
+ * bounds of pop-out windows.
+ * A state is { version, controls: { name: value }, zones: [...], markers: { levels, angles } },
+ * see AnyScope#getSettingsState; markers may be missing from older states.
+ */
+
+export const SETTINGS_VERSION = 1;
+
+const STATE_KEY = 'anyscope.state';
+const PRESETS_KEY = 'anyscope.presets';
+const WINDOWS_KEY = 'anyscope.windows';
+const HASH_PREFIX = '#state=';
+
+/**
+ * Check that a value has the shape of a saved state
+ * @param {*} state
+ * @returns {boolean}
+ */
+export function isValidState(state) {
+    return Boolean(state) &&
+        typeof state === 'object' &&
+        state.version === SETTINGS_VERSION &&
+        Boolean(state.controls) &&
+        typeof state.controls === 'object' &&
+        Array.isArray(state.zones) &&
+        (state.markers === undefined || isValidMarkers(state.markers));
+}
+
+/**
+ * Check that a value has the shape of saved scope markers (entries are checked as they are applied)
+ * @param {*} markers
+ * @returns {boolean}
+ */
+function isValidMarkers(markers) {
+    return Boolean(markers) &&
+        typeof markers === 'object' &&
+        (markers.levels === undefined || Array.isArray(markers.levels)) &&
+        (markers.angles === undefined || Array.isArray(markers.angles));
+}
+
+/**
+ * Saved state and presets in localStorage; storage errors (private browsing, full quota)
+ * are logged and otherwise ignored so the app keeps working without persistence
+ */
+export class SettingsStore {
+    constructor() {
+        try {
+            this.storage = globalThis.localStorage || null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is blocked
+            this.storage = null;
+        }
+    }
+    
+    /**
+     * @returns {object|null} The last saved state, or null if there is none
+     */
+    loadState() {
+        const state = this.read(STATE_KEY);
+        return isValidState(state) ? state : null;
+    }
+    
+    /**
+     * @param {object} state
+     */
+    saveState(state) {
+        this.write(STATE_KEY, state);
+    }
+    
+    /**
+     * @returns {string[]} Preset names in alphabetical order
+     */
+    listPresets() {
+        return Object.keys(this.readPresets()).sort((a, b) => a.localeCompare(b));
+    }
+    
+    /**
+     * @param {string} name
+     * @returns {object|null} The preset's state, or null if there is no such preset
+     */
+    getPreset(name) {
+        const presets = this.readPresets();
+        return Object.hasOwn(presets, name) ? presets[name] : null;
+    }
+    
+    /**
+     * Save a preset, replacing any preset of the same name
+     * @param {string} name
+     * @param {object} state
+     */
+    savePreset(name, state) {
+        this.write(PRESETS_KEY, { ...this.readPresets(), [name]: state });
+    }
+    
+    /**
+     * @param {string} name
+     */
+    deletePreset(name) {
+        const presets = this.readPresets();
+        delete presets[name];
+        this.write(PRESETS_KEY, presets);
+    }
+    
+    /**
+     * Serialize every preset for a preset file
+     * @returns {string} JSON text
+     */
+    exportPresets() {
+        return JSON.stringify({ app: 'AnyScope', version: SETTINGS_VERSION, presets: this.readPresets() }, null, 2);
+    }
+    
+    /**
+     * Add the presets of a preset file, replacing presets of the same name
+     * @param {string} text - Contents of a file written by exportPresets()
+     * @returns {number} Number of presets imported
+     * @throws {Error} If the file is not a preset file
+     */
+    importPresets(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!file || file.app !== 'AnyScope' || !file.presets || typeof file.presets !== 'object') {
+            throw new Error('The file is not an AnyScope preset file.');
+        }
+        
+        const imported = Object.entries(file.presets).filter(([, state]) => isValidState(state));
+        if (imported.length === 0) {
+            throw new Error('The file contains no presets this version can read.');
+        }
+        
+        this.write(PRESETS_KEY, { ...this.readPresets(), ...Object.fromEntries(imported) });
+        return imported.length;
+    }
+    
+    /**
+     * @returns {object} Every preset's state by name
+     */
+    readPresets() {
+        const presets = this.read(PRESETS_KEY);
+        return presets && typeof presets === 'object' ? presets : {};
+    }
+    
+    /**
+     * @param {string} key - Pop-out window key
+     * @returns {{ left: number, top: number, width: number, height: number }|null} The window's
+     *   last position and size, or null if it was never closed
+     */
+    getWindowBounds(key) {
+        const bounds = (this.read(WINDOWS_KEY) || {})[key];
+        const valid = bounds && ['left', 'top', 'width', 'height'].every((name) => Number.isFinite(bounds[name]));
+        return valid ? bounds : null;
+    }
+    
+    /**
+     * @param {string} key - Pop-out window key
+     * @param {{ left: number, top: number, width: number, height: number }} bounds
+     */
+    setWindowBounds(key, bounds) {
+        this.write(WINDOWS_KEY, { ...this.read(WINDOWS_KEY), [key]: bounds });
+    }
+    
+    /**
+     * Read a JSON value from storage
+     * @param {string} key
+     * @returns {*} The value, or null if missing or unreadable
+     */
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            const text = this.storage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn(`Ignoring unreadable saved settings "${key}":`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Write a value to storage as JSON
+     * @param {string} key
+     * @param {*} value
+     */
+    write(key, value) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Cannot save settings "${key}":`, error);
+        }
+    }
+}
+
+/**
+ * Encode a state as a URL hash (base64url JSON)
+ * @param {object} state
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeStateHash(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return HASH_PREFIX + base64;
+}
+
+/**
+ * Decode a state from a URL hash made by encodeStateHash()
+ * @param {string} hash - location.hash
+ * @returns {object|null} The state, or null if the hash holds no (readable) state
+ */
+export function decodeStateHash(hash) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    
+    try {
+        const base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        const state = JSON.parse(new TextDecoder().decode(bytes));
+        return isValidState(state) ? state : null;
+    } catch (error) {
+        console.warn('Ignoring malformed state in the URL:', error);
+        return null;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * AnyScope - Input Sources
+ * Screen capture, camera, video file and still image sources for the analysis loop.
+ * Every source exposes the same surface: start(), stop(), element (drawable shown
+ * in the preview), width/height, isReady(), isStill and an onEnded callback.
+ */
+
+// Still image types we accept (what every supported browser decodes)
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+/**
+ * Base for sources backed by a MediaStream played in the preview video element
+ */
+class StreamSource {
+    /**
+     * @param {HTMLVideoElement} video - Preview video element
+     */
+    constructor(video) {
+        this.video = video;
+        this.stream = null;
+        this.onEnded = null; // Called when the stream ends outside our control
+    }
+    
+    get element() {
+        return this.video;
+    }
+    
+    get width() {
+        return this.video.videoWidth;
+    }
+    
+    get height() {
+        return this.video.videoHeight;
+    }
+    
+    // Live streams change every frame
+    get isStill() {
+        return false;
+    }
+    
+    isReady() {
+        return this.video.readyState >= this.video.HAVE_CURRENT_DATA;
+    }
+    
+    /**
+     * Play a stream in the preview and wait for its first frame
+     * @param {MediaStream} stream
+     */
+    async attach(stream) {
+        this.stream = stream;
+        this.video.srcObject = stream;
+        
+        // Handle when the user stops sharing via browser UI (or unplugs the camera)
+        stream.getVideoTracks()[0].addEventListener('ended', () => {
+            if (this.onEnded) this.onEnded();
+        });
+        
+        // Wait for video to be ready
+        await new Promise((resolve) => {
+            this.video.onloadeddata = resolve;
+        });
+    }
+    
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+}
+
+/**
+ * Screen, window or tab capture via the Screen Capture API
+ */
+export class ScreenSource extends StreamSource {
+    static isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+    }
+    
+    async start() {
+        // Request screen capture with options
+        const displayMediaOptions = {
+            video: {
+                cursor: 'always',
+                displaySurface: 'monitor' // Hint to prefer full screen options
+            },
+            audio: false
+        };
+        
+        await this.attach(await navigator.mediaDevices.getDisplayMedia(displayMediaOptions));
+    }
+}
+
+/**
+ * Camera capture via getUserMedia
+ */
+export class CameraSource extends StreamSource {
+    static isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+    
+    /**
+     * List available cameras (labels are only filled in once camera permission was granted)
+     * @returns {Promise<MediaDeviceInfo[]>}
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter((device) => device.kind === 'videoinput');
+    }
+    
+    /**
+     * @param {HTMLVideoElement} video - Preview video element
+     * @param {string|null} deviceId - Camera to open, or null for the default camera
+     */
+    constructor(video, deviceId = null) {
+        super(video);
+        this.deviceId = deviceId;
+    }
+    
+    async start() {
+        const constraints = {
+            video: this.deviceId ? { deviceId: { exact: this.deviceId } } : true,
+            audio: false
+        };
+        
+        await this.attach(await navigator.mediaDevices.getUserMedia(constraints));
+    }
+}
+
+/**
+ * Local video file played in the preview video element, with transport control
+ */
+export class VideoFileSource {
+    /**
+     * @param {HTMLVideoElement} video - Preview video element
+     * @param {File} file - Video file to play
+     */
+    constructor(video, file) {
+        this.video = video;
+        this.file = file;
+        this.url = null;
+        this.onEnded = null; // Never called: a file that reaches its end just pauses
+    }
+    
+    get element() {
+        return this.video;
+    }
+    
+    get width() {
+        return this.video.videoWidth;
+    }
+    
+    get height() {
+        return this.video.videoHeight;
+    }
+    
+    // A paused video only changes when it is scrubbed
+    get isStill() {
+        return this.video.paused;
+    }
+    
+    isReady() {
+        return this.video.readyState >= this.video.HAVE_CURRENT_DATA;
+    }
+    
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        this.video.src = this.url;
+        
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = resolve;
+            this.video.onerror = () => reject(new Error(`Cannot play "${this.file.name}"`));
+        });
+        this.video.onerror = null;
+        
+        await this.video.play();
+    }
+    
+    stop() {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+/**
+ * Still image shown in the preview image element; analyzed on demand only
+ */
+export class ImageFileSource {
+    /**
+     * @param {HTMLImageElement} image - Preview image element
+     * @param {File} file - PNG, JPEG or WebP file
+     */
+    constructor(image, file) {
+        this.image = image;
+        this.file = file;
+        this.url = null;
+        this.onEnded = null; // Never called
+    }
+    
+    get element() {
+        return this.image;
+    }
+    
+    get width() {
+        return this.image.naturalWidth;
+    }
+    
+    get height() {
+        return this.image.naturalHeight;
+    }
+    
+    get isStill() {
+        return true;
+    }
+    
+    isReady() {
+        return this.image.complete && this.image.naturalWidth > 0;
+    }
+    
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        this.image.src = this.url;
+        
+        try {
+            await this.image.decode();
+        } catch (error) {
+            throw new Error(`Cannot decode "${this.file.name}"`);
+        }
+    }
+    
+    stop() {
+        this.image.removeAttribute('src');
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+/**
+ * Create the right source for a dropped or opened file
+ * @param {File} file
+ * @param {HTMLVideoElement} video - Preview video element
+ * @param {HTMLImageElement} image - Preview image element
+ * @returns {VideoFileSource|ImageFileSource}
+ */
+export function createFileSource(file, video, image) {
+    if (IMAGE_TYPES.includes(file.type)) {
+        return new ImageFileSource(image, file);
+    }
+    if (file.type.startsWith('video/')) {
+        return new VideoFileSource(video, file);
+    }
+    throw new TypeError(`Unsupported file type "${file.type || file.name}". Use a video file or a PNG, JPEG or WebP image.`);
+}
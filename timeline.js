@@ -0,0 +1,281 @@
+/**
+ * AnyScope - Timeline
+ * Per-frame exposure and color over time, and detection of periodic luma oscillation
+ * (flicker from LED lighting or mains-powered lamps beating with the camera's frame rate).
+ * A sample is { time, luma, r, g, b, clipLow, clipHigh }: time in ms, the pixel-weighted
+ * luma and channel means of all zones in 8-bit code values, and the percentage of pixels
+ * clipped to 0 and 255 in the worst channel.
+ */
+
+// Longest span kept, in ms (the longest the panel shows)
+export const MAX_TIMELINE_DURATION = 5 * 60 * 1000;
+
+// Flicker detection: span analyzed, in ms, and the fewest samples worth analyzing
+export const FLICKER_WINDOW = 5000;
+const MIN_FLICKER_SAMPLES = 24;
+
+// Slower swings are exposure drift rather than flicker (Hz)
+const MIN_FLICKER_FREQUENCY = 0.5;
+
+// Smallest swing flagged, as peak amplitude in luma code values
+const MIN_FLICKER_AMPLITUDE = 0.75;
+
+// Share of the luma variance the oscillation must explain, so scene changes and noise are not flagged
+const MIN_FLICKER_SHARE = 0.35;
+
+// Series drawn on the timeline, over a 0-255 scale
+const SERIES = [
+    { key: 'r', color: 'rgba(255, 80, 80, 0.8)', width: 1 },
+    { key: 'g', color: 'rgba(80, 255, 80, 0.8)', width: 1 },
+    { key: 'b', color: 'rgba(100, 140, 255, 0.8)', width: 1 },
+    { key: 'luma', color: '#ffffff', width: 2 }
+];
+
+// Time tick spacings to pick from, in seconds
+const TICK_STEPS = [1, 2, 5, 10, 15, 30, 60, 120];
+
+// Height of the clipping strip at the bottom of the timeline, as a fraction of the canvas
+const CLIP_STRIP = 0.2;
+
+/**
+ * Combine the stats of one frame's zones into a sample
+ * @param {number} time - Timestamp in ms
+ * @param {object[]} stats - Analysis stats per zone (see FrameAnalyzer#analyze)
+ * @returns {object} Sample (see top of file)
+ */
+export function timelineSample(time, stats) {
+    const total = stats.reduce((sum, { pixelCount }) => sum + pixelCount, 0);
+    const weighted = (value) => (total
+        ? stats.reduce((sum, zone) => sum + value(zone) * zone.pixelCount, 0) / total
+        : 0);
+    const worst = (channels) => Math.max(channels.r, channels.g, channels.b);
+    
+    return {
+        time,
+        luma: weighted((zone) => zone.luma.mean),
+        r: weighted((zone) => zone.mean.r),
+        g: weighted((zone) => zone.mean.g),
+        b: weighted((zone) => zone.mean.b),
+        clipLow: weighted((zone) => worst(zone.clipped.low)),
+        clipHigh: weighted((zone) => worst(zone.clipped.high))
+    };
+}
+
+/**
+ * Look for a periodic swing in the mean luma of the last samples. The samples are resampled
+ * at their average interval, detrended and searched for the strongest frequency; frequencies
+ * above half the sampling rate alias, so mains flicker shows as its beat with the frame rate.
+ * @param {object[]} samples - Samples, oldest first
+ * @param {number} [window=FLICKER_WINDOW] - Span to analyze, in ms
+ * @returns {{ frequency: number, amplitude: number, share: number }|null} Frequency in Hz,
+ *   peak amplitude in luma code values and share of the luma variance, or null if there is
+ *   no flicker (or too few samples to tell)
+ */
+export function detectFlicker(samples, window = FLICKER_WINDOW) {
+    if (samples.length < MIN_FLICKER_SAMPLES) return null;
+    
+    const end = samples[samples.length - 1].time;
+    let first = samples.length - 1;
+    while (first > 0 && samples[first - 1].time >= end - window) first--;
+    const recent = samples.slice(first);
+    const count = recent.length;
+    const duration = end - recent[0].time;
+    if (count < MIN_FLICKER_SAMPLES || duration <= 0) return null;
+    
+    // Resample at even intervals by linear interpolation
+    const interval = duration / (count - 1);
+    const values = new Float64Array(count);
+    let j = 0;
+    for (let i = 0; i < count; i++) {
+        const time = recent[0].time + i * interval;
+        while (j < count - 2 && recent[j + 1].time < time) j++;
+        const a = recent[j];
+        const b = recent[j + 1];
+        const t = b.time > a.time ? Math.min(Math.max((time - a.time) / (b.time - a.time), 0), 1) : 0;
+        values[i] = a.luma + (b.luma - a.luma) * t;
+    }
+    
+    // Remove the straight-line trend (slow exposure changes)
+    const middle = (count - 1) / 2;
+    let mean = 0;
+    let slope = 0;
+    let spread = 0;
+    for (let i = 0; i < count; i++) mean += values[i] / count;
+    for (let i = 0; i < count; i++) {
+        slope += (i - middle) * (values[i] - mean);
+        spread += (i - middle) ** 2;
+    }
+    slope /= spread;
+    let variance = 0;
+    for (let i = 0; i < count; i++) {
+        values[i] -= mean + slope * (i - middle);
+        variance += values[i] ** 2 / count;
+    }
+    if (variance === 0) return null;
+    
+    // Power at each frequency; a peak between two bins spreads into its neighbors
+    const sampleRate = 1000 / interval;
+    const firstBin = Math.max(1, Math.ceil((MIN_FLICKER_FREQUENCY * count) / sampleRate));
+    const lastBin = Math.floor(count / 2);
+    const power = new Float64Array(lastBin + 2);
+    for (let k = firstBin; k <= lastBin; k++) {
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < count; i++) {
+            const phase = (2 * Math.PI * k * i) / count;
+            re += values[i] * Math.cos(phase);
+            im -= values[i] * Math.sin(phase);
+        }
+        // Mean square of the sinusoid at this bin (the Nyquist bin has no pair)
+        power[k] = ((k === count / 2 ? 1 : 2) * (re * re + im * im)) / (count * count);
+    }
+    
+    let best = null;
+    for (let k = firstBin; k <= lastBin; k++) {
+        if (power[k] < power[k - 1] || power[k] < power[k + 1]) continue;
+        const peak = power[k - 1] + power[k] + power[k + 1];
+        if (!best || peak > best.power) {
+            best = { bin: k, power: peak };
+        }
+    }
+    if (!best) return null;
+    
+    const amplitude = Math.sqrt(2 * best.power);
+    const share = best.power / variance;
+    if (amplitude < MIN_FLICKER_AMPLITUDE || share < MIN_FLICKER_SHARE) return null;
+    
+    return { frequency: (best.bin * sampleRate) / count, amplitude, share: Math.min(share, 1) };
+}
+
+/**
+ * Rolling record of samples
+ */
+export class FrameTimeline {
+    /**
+     * @param {number} [duration=MAX_TIMELINE_DURATION] - Span to keep, in ms
+     */
+    constructor(duration = MAX_TIMELINE_DURATION) {
+        this.duration = duration;
+        this.samples = []; // Oldest first
+    }
+    
+    /**
+     * Add a sample, dropping the ones that fell out of the span
+     * @param {object} sample - See timelineSample
+     */
+    push(sample) {
+        // Time going backwards means a new clock; start over
+        const last = this.samples[this.samples.length - 1];
+        if (last && sample.time < last.time) {
+            this.samples = [];
+        }
+        
+        this.samples.push(sample);
+        const cutoff = sample.time - this.duration;
+        let expired = 0;
+        while (expired < this.samples.length && this.samples[expired].time < cutoff) expired++;
+        if (expired > 0) {
+            this.samples.splice(0, expired);
+        }
+    }
+    
+    /**
+     * Forget all samples
+     */
+    clear() {
+        this.samples = [];
+    }
+}
+
+/**
+ * Draw the samples of the last span: luma and channel means over a 0-255 scale, and the
+ * clipped percentages in a strip along the bottom, the newest sample at the right edge
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object[]} samples - Samples, oldest first
+ * @param {object} options
+ * @param {number} options.duration - Span shown, in ms
+ * @param {number} options.now - Time at the right edge, in ms
+ * @param {object} options.colorSpace - Result of getColorSpace, for the black and white lines
+ * @param {object|null} [options.flicker=null] - Result of detectFlicker, to shade the window it covers
+ */
+export function drawTimeline(ctx, samples, { duration, now, colorSpace, flicker = null }) {
+    const { width, height } = ctx.canvas;
+    const stripHeight = Math.round(height * CLIP_STRIP);
+    const plotHeight = height - stripHeight;
+    const xOf = (time) => width - ((now - time) / duration) * width;
+    const yOf = (value) => plotHeight - (value / 255) * plotHeight;
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (flicker) {
+        ctx.fillStyle = 'rgba(255, 176, 32, 0.12)';
+        const left = xOf(now - FLICKER_WINDOW);
+        ctx.fillRect(left, 0, width - left, plotHeight);
+    }
+    
+    // Levels at 0/25/50/75/100% of the active range
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#777';
+    const { black, white } = colorSpace;
+    for (const level of [0, 25, 50, 75, 100]) {
+        const y = yOf(black + (level / 100) * (white - black));
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+        ctx.fillText(`${level}%`, 4, Math.max(10, y - 2));
+    }
+    
+    // Time ticks at a round spacing, at most eight across the span
+    const step = TICK_STEPS.find((seconds) => seconds * 1000 >= duration / 8) ?? TICK_STEPS[TICK_STEPS.length - 1];
+    for (let seconds = step; seconds * 1000 < duration; seconds += step) {
+        const x = xOf(now - seconds * 1000);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        const label = seconds >= 60
+            ? `-${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+            : `-${seconds}s`;
+        ctx.fillText(label, x + 3, height - 3);
+    }
+    
+    // Clipping strip: its own scale, so small percentages still show
+    const visible = samples.filter((sample) => sample.time >= now - duration);
+    const clipMax = Math.max(1, ...visible.map((sample) => Math.max(sample.clipLow, sample.clipHigh)));
+    ctx.strokeStyle = '#444';
+    ctx.beginPath();
+    ctx.moveTo(0, plotHeight);
+    ctx.lineTo(width, plotHeight);
+    ctx.stroke();
+    ctx.fillStyle = '#777';
+    ctx.fillText(`Clipped (max ${clipMax.toFixed(1)}%)`, 4, plotHeight + 11);
+    
+    const clipY = (percent) => height - (percent / clipMax) * (stripHeight - 2);
+    const drawSeries = (value, color, lineWidth, y) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        visible.forEach((sample, i) => {
+            const x = xOf(sample.time);
+            if (i === 0) {
+                ctx.moveTo(x, y(value(sample)));
+            } else {
+                ctx.lineTo(x, y(value(sample)));
+            }
+        });
+        ctx.stroke();
+    };
+    
+    if (visible.length > 0) {
+        drawSeries((sample) => sample.clipHigh, '#ff6b6b', 1, clipY);
+        drawSeries((sample) => sample.clipLow, '#6b9bff', 1, clipY);
+        for (const { key, color, width: lineWidth } of SERIES) {
+            drawSeries((sample) => sample[key], color, lineWidth, yOf);
+        }
+    }
+    ctx.lineWidth = 1;
+}
@@ -0,0 +1,204 @@
+/**
+ * AnyScope - Zone Geometry
+ * Hit testing, moving and resizing of analysis zones. Zones are rectangles
+ * ({ x, y, width, height }) in normalized preview coordinates (0-1). DOM-free.
+ */
+
+// Cursor shown over each drag handle ('move' is the inside of a zone)
+export const HANDLE_CURSORS = {
+    move: 'move',
+    nw: 'nwse-resize',
+    se: 'nwse-resize',
+    ne: 'nesw-resize',
+    sw: 'nesw-resize',
+    n: 'ns-resize',
+    s: 'ns-resize',
+    e: 'ew-resize',
+    w: 'ew-resize'
+};
+
+/**
+ * Find the zone and handle under a point
+ * @param {object[]} zones - Zones in drawing order (later ones are on top)
+ * @param {{ x: number, y: number }} point - Normalized position
+ * @param {number} width - Overlay width in pixels
+ * @param {number} height - Overlay height in pixels
+ * @param {number} tolerance - How far from an edge, in pixels, it can still be grabbed; inside
+ *   the zone, at most a quarter of its width or height
+ * @returns {{ zone: object, handle: string }|null} handle is 'move' or the corner or edge
+ *   as compass directions ('nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w')
+ */
+export function hitTestZones(zones, point, width, height, tolerance) {
+    const px = point.x * width;
+    const py = point.y * height;
+    
+    for (let i = zones.length - 1; i >= 0; i--) {
+        const zone = zones[i];
+        const left = zone.x * width;
+        const right = (zone.x + zone.width) * width;
+        const top = zone.y * height;
+        const bottom = (zone.y + zone.height) * height;
+        
+        // Handles reach at most a quarter of the way in, so small zones keep a move area
+        const reach = Math.min(tolerance, (right - left) / 4, (bottom - top) / 4);
+        
+        if (px < left - tolerance || px > right + tolerance || py < top - tolerance || py > bottom + tolerance) {
+            continue;
+        }
+        
+        const vertical = py - top <= reach && top - py <= tolerance ? 'n'
+            : bottom - py <= reach && py - bottom <= tolerance ? 's'
+            : '';
+        const horizontal = px - left <= reach && left - px <= tolerance ? 'w'
+            : right - px <= reach && px - right <= tolerance ? 'e'
+            : '';
+        if (vertical || horizontal) {
+            return { zone, handle: vertical + horizontal };
+        }
+        if (px > left && px < right && py > top && py < bottom) {
+            return { zone, handle: 'move' };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Move a zone, keeping it inside the frame
+ * @param {object} zone
+ * @param {number} dx - Normalized horizontal offset
+ * @param {number} dy - Normalized vertical offset
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function moveZone(zone, dx, dy) {
+    return {
+        x: Math.max(0, Math.min(1 - zone.width, zone.x + dx)),
+        y: Math.max(0, Math.min(1 - zone.height, zone.y + dy)),
+        width: zone.width,
+        height: zone.height
+    };
+}
+
+/**
+ * Drag a corner or edge of a zone to a point
+ * @param {object} zone - Zone as it was when the drag started
+ * @param {string} handle - Corner or edge being dragged (see hitTestZones)
+ * @param {{ x: number, y: number }} point - Normalized pointer position
+ * @param {boolean} [lockAspect=false] - Keep the zone's aspect ratio; edges then grow around the center
+ * @param {number} [minSize=0] - Minimum normalized width and height
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function resizeZone(zone, handle, point, lockAspect = false, minSize = 0) {
+    const movesLeft = handle.includes('w');
+    const movesRight = handle.includes('e');
+    const movesTop = handle.includes('n');
+    const movesBottom = handle.includes('s');
+    
+    let left = zone.x;
+    let right = zone.x + zone.width;
+    let top = zone.y;
+    let bottom = zone.y + zone.height;
+    
+    // The opposite corner or edge stays put; the zone never turns inside out
+    if (movesLeft) left = Math.min(point.x, right - minSize);
+    if (movesRight) right = Math.max(point.x, left + minSize);
+    if (movesTop) top = Math.min(point.y, bottom - minSize);
+    if (movesBottom) bottom = Math.max(point.y, top + minSize);
+    
+    if (lockAspect && zone.height > 0) {
+        const ratio = zone.width / zone.height;
+        let width = right - left;
+        let height = bottom - top;
+        const horizontal = movesLeft || movesRight;
+        const vertical = movesTop || movesBottom;
+        
+        if (horizontal && vertical) {
+            // Corners follow whichever side was dragged further
+            if (width / height > ratio) {
+                height = width / ratio;
+            } else {
+                width = height * ratio;
+            }
+        } else if (horizontal) {
+            height = width / ratio;
+        } else {
+            width = height * ratio;
+        }
+        
+        // Shrink both sides alike where the frame stops them, so the ratio holds at the border
+        const centerX = zone.x + zone.width / 2;
+        const centerY = zone.y + zone.height / 2;
+        const maxWidth = movesLeft ? right : movesRight ? 1 - left : 2 * Math.min(centerX, 1 - centerX);
+        const maxHeight = movesTop ? bottom : movesBottom ? 1 - top : 2 * Math.min(centerY, 1 - centerY);
+        const fit = Math.min(1, maxWidth / width, maxHeight / height);
+        width *= fit;
+        height *= fit;
+        
+        if (movesLeft) {
+            left = right - width;
+        } else if (movesRight) {
+            right = left + width;
+        } else {
+            left = centerX - width / 2;
+            right = centerX + width / 2;
+        }
+        if (movesTop) {
+            top = bottom - height;
+        } else if (movesBottom) {
+            bottom = top + height;
+        } else {
+            top = centerY - height / 2;
+            bottom = centerY + height / 2;
+        }
+    }
+    
+    // Keep the zone inside the frame (already the case with a locked aspect)
+    left = Math.max(0, left);
+    top = Math.max(0, top);
+    right = Math.min(1, right);
+    bottom = Math.min(1, bottom);
+    
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Convert a zone to whole source pixels
+ * @param {object} zone
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function zoneToSourceRect(zone, sourceWidth, sourceHeight) {
+    const x = Math.round(zone.x * sourceWidth);
+    const y = Math.round(zone.y * sourceHeight);
+    
+    // Rounding must not push the far edge past the frame
+    return {
+        x,
+        y,
+        width: Math.min(Math.round(zone.width * sourceWidth), sourceWidth - x),
+        height: Math.min(Math.round(zone.height * sourceHeight), sourceHeight - y)
+    };
+}
+
+/**
+ * Convert a rectangle in source pixels to a zone, fitting it inside the frame
+ * @param {{ x: number, y: number, width: number, height: number }} rect - Source pixels
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @param {number} [minPixels=1] - Minimum width and height in pixels
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function sourceRectToZone(rect, sourceWidth, sourceHeight, minPixels = 1) {
+    const width = Math.max(minPixels, Math.min(sourceWidth, Math.round(rect.width)));
+    const height = Math.max(minPixels, Math.min(sourceHeight, Math.round(rect.height)));
+    const x = Math.max(0, Math.min(sourceWidth - width, Math.round(rect.x)));
+    const y = Math.max(0, Math.min(sourceHeight - height, Math.round(rect.y)));
+    
+    return {
+        x: x / sourceWidth,
+        y: y / sourceHeight,
+        width: width / sourceWidth,
+        height: height / sourceHeight
+    };
+}